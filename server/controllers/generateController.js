@@ -3,11 +3,59 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import { cleanText, splitIntoPages } from '../services/textCleaner.js';
-import { microChunk, chunkText } from '../services/chunkService.js';
-import { smartTranslate, clearTranslationCache } from '../services/translationService.js';
-import { generateChunkWithTimings } from '../services/ttsService.js';
-import { detectLanguage } from '../services/languageDetector.js';
-import { mergeAudioFiles, cleanupChunks } from '../services/audioMergeService.js';
+import { microChunk, chunkText, chunkParagraphs } from '../services/chunkService.js';
+import { smartTranslate } from '../services/translationService.js';
+import {
+    generateChunkWithTimings,
+    hasTtsProvider,
+    supportsPhonemes,
+    findVoice,
+    DEFAULT_TTS_PROVIDER,
+} from '../services/ttsService.js';
+import { detectLanguage, getIso639Code } from '../services/languageDetector.js';
+import {
+    mergeAudioFiles,
+    getChunkDurations,
+    createSilenceQuantizer,
+    cleanupChunks,
+} from '../services/audioMergeService.js';
+import { normalizePauses, planChunkPauses } from '../services/pauseService.js';
+import { buildId3Tag } from '../services/id3Service.js';
+import {
+    runLimited,
+    mapOrdered,
+    clampConcurrency,
+    DEFAULT_CONCURRENCY,
+} from '../services/concurrencyService.js';
+import {
+    hashText,
+    openCheckpoint,
+    setCheckpointTotal,
+    getCompletedChunk,
+    recordChunk,
+    writeChunkTimings,
+    readChunkTimings,
+    releaseChunks,
+    listCheckpoints,
+} from '../services/checkpointService.js';
+import { resolveSelection } from '../services/selectionService.js';
+import { buildSubtitleCues, writeSubtitleFiles } from '../services/subtitleService.js';
+import { writeEpub } from '../services/epubService.js';
+import { applyLexicon, getLexiconEntries, getLexiconKey, transliterateLexicon } from '../services/lexiconService.js';
+import { getGlossaryEntries, getGlossaryKey } from '../services/glossaryService.js';
+import { normalizeNarration, planDialogueVoices } from '../services/dialogueService.js';
+import { splitScriptRuns } from '../services/scriptService.js';
+import { normalizeTransliteration, transliterate } from '../services/transliterationService.js';
+import { locateWordTimings } from '../services/wordAlignment.js';
+import { alignSentences } from '../services/sentenceAlignment.js';
+import { createCacheLease } from '../services/ttsCacheService.js';
+import { openLiveAudio, pipeLiveAudio, dropLiveAudio } from '../services/liveAudioService.js';
+import {
+    normalizeSections,
+    normalizeChapterMode,
+    planChapters,
+    buildChapterTimeline,
+} from '../services/chapterService.js';
 import {
     upsertSession,
     getSessionById,
@@ -15,6 +63,23 @@ import {
     listSessionEntries,
     touchSession,
 } from '../services/sessionStore.js';
+import {
+    createJob,
+    getJobById,
+    findActiveJob,
+    serializeJob,
+    startJob,
+    updateJobProgress,
+    completeJob,
+    failJob,
+    markJobCancelled,
+    requestJobCancel,
+    isJobCancelled,
+    isTerminalStatus,
+    subscribeToJob,
+    deleteJobsForSession,
+    pruneFinishedJobs,
+} from '../services/jobManager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,6 +92,21 @@ if (!fs.existsSync(AUDIO_DIR)) {
 const activeStreams = new Map();
 const TRANSLATION_TIMEOUT_MS = 45000;
 const TTS_TIMEOUT_MS = 180000;
+const AUDIOBOOK_JOB_TYPE = 'audiobook';
+const JOB_HEARTBEAT_MS = 15000;
+const FINISHED_JOB_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_COVER_BYTES = 2 * 1024 * 1024;
+const MAX_METADATA_LENGTH = 300;
+// 'file': chunks are written under audio/ and fetched once ready;
+// 'direct': chunks are piped from memory while they are synthesized
+const AUDIO_DELIVERY_MODES = ['file', 'direct'];
+
+class CancelledError extends Error {
+    constructor() {
+        super('Cancelled');
+        this.name = 'CancelledError';
+    }
+}
 
 function clampSpeed(speed) {
     const numeric = Number(speed);
@@ -34,10 +114,78 @@ function clampSpeed(speed) {
     return Math.max(0.5, Math.min(2, numeric));
 }
 
+// Pitch and volume are percent offsets from the voice's normal delivery
+function clampPercent(value, min, max) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return 0;
+    return Math.round(Math.max(min, Math.min(max, numeric)));
+}
+
+function clampPitch(pitch) {
+    return clampPercent(pitch, -50, 50);
+}
+
+function clampVolume(volume) {
+    return clampPercent(volume, -50, 50);
+}
+
 function normalizeVoiceGender(voiceGender) {
     return voiceGender === 'male' ? 'male' : 'female';
 }
 
+/**
+ * Validate playback options shared by streaming and audiobook generation
+ * An explicit `voice` must be in the provider's catalog (see GET /api/voices);
+ * so must the voices named in a dialogue `narration`.
+ * @returns {Promise<{ playback?: object, error?: string }>}
+ */
+export async function buildPlayback({ speed, pitch, volume, voiceGender, ttsProvider, voice, narration, transliteration }) {
+    const provider = ttsProvider || DEFAULT_TTS_PROVIDER;
+    if (!hasTtsProvider(provider)) {
+        return { error: `Unknown TTS provider "${provider}"` };
+    }
+
+    const playback = {
+        speed: clampSpeed(speed),
+        pitch: clampPitch(pitch),
+        volume: clampVolume(volume),
+        voiceGender: normalizeVoiceGender(voiceGender),
+        provider,
+    };
+
+    if (voice) {
+        const entry = typeof voice === 'string' ? await findVoice(provider, voice) : null;
+        if (!entry) {
+            return { error: `Unknown voice "${voice}" for provider "${provider}"` };
+        }
+        playback.voice = entry.id;
+        playback.voiceGender = entry.gender === 'male' ? 'male' : 'female';
+    }
+
+    const narrationResult = await normalizeNarration(narration, (voiceId) => findVoice(provider, voiceId));
+    if (narrationResult.error) {
+        return { error: narrationResult.error };
+    }
+    if (narrationResult.narration) {
+        playback.narration = narrationResult.narration;
+    }
+
+    const transliterationResult = normalizeTransliteration(transliteration);
+    if (transliterationResult.error) {
+        return { error: transliterationResult.error };
+    }
+    if (transliterationResult.transliteration) {
+        playback.transliteration = transliterationResult.transliteration;
+    }
+
+    return { playback };
+}
+
+// Files under AUDIO_DIR (session folders and the TTS cache) are served at /audio
+function toAudioUrl(audioPath) {
+    return `/audio/${path.relative(AUDIO_DIR, audioPath).split(path.sep).join('/')}`;
+}
+
 function withTimeout(promise, timeoutMs, label) {
     return Promise.race([
         promise,
@@ -47,6 +195,222 @@ function withTimeout(promise, timeoutMs, label) {
     ]);
 }
 
+/**
+ * Synthesize text with the pronunciation lexicon applied; the returned word
+ * timings refer to the written words of `text`
+ * @returns {Promise<{ audioPath: string, wordTimings: Array<object> }>}
+ */
+async function speakWithLexicon(text, language, {
+    outputPath,
+    playback,
+    lexicon,
+    reuseCachedAudio,
+    cacheLease,
+    audioSink,
+    label,
+}) {
+    const lexical = applyLexicon(text, lexicon, { usePhonemes: supportsPhonemes(playback.provider) });
+    const ttsResult = await withTimeout(
+        generateChunkWithTimings(lexical.text, language, outputPath, {
+            ...playback,
+            phonemes: lexical.phonemes,
+            reuseCachedAudio,
+            cacheLease,
+            audioSink,
+        }),
+        TTS_TIMEOUT_MS,
+        label
+    );
+    return { audioPath: ttsResult.audioPath, wordTimings: lexical.restoreTimings(ttsResult.wordTimings) };
+}
+
+/**
+ * Synthesize one chunk, routing each part to the right voice: runs in
+ * another script (English inside Hindi, say) go to that language's default
+ * voice, and quoted dialogue gets its own voice when the playback asks for
+ * dialogue narration. Parts are synthesized (and cached) on their own, then
+ * joined into outputPath with their word timings shifted onto the joined audio.
+ * With an `audioSink` the parts are streamed into it one after another instead
+ * and no joined file is written (audioPath is then null).
+ * `routeScripts: false` keeps every run on the chunk language's voice, for
+ * romanized text that should still sound like that language.
+ * @returns {Promise<{ audioPath: string|null, wordTimings: Array<object> }>}
+ */
+async function speakChunk(text, language, {
+    outputPath,
+    playback,
+    lexicon,
+    reuseCachedAudio,
+    audioSink,
+    label,
+    routeScripts = true,
+}) {
+    const { narration, transliteration: _transliteration, ...voicePlayback } = playback;
+    const segments = narration
+        ? planDialogueVoices(text, language, narration, voicePlayback)
+        : [{ text, kind: 'narration', voice: null }];
+    const splitRuns = (segmentText) => (routeScripts
+        ? splitScriptRuns(segmentText, language)
+        : [{ text: segmentText, language }]);
+
+    const parts = segments.flatMap((segment) => splitRuns(segment.text).map((run) => ({
+        text: run.text,
+        language: run.language,
+        kind: segment.kind,
+        playback: {
+            ...voicePlayback,
+            ...segment.voice,
+            // An explicit voice only speaks its own language
+            ...(run.language !== language && { voice: undefined }),
+        },
+    })));
+
+    if (parts.length <= 1) {
+        const part = parts[0] || { text, language, playback: voicePlayback };
+        return speakWithLexicon(part.text, part.language, {
+            outputPath,
+            playback: part.playback,
+            lexicon,
+            reuseCachedAudio,
+            audioSink,
+            label,
+        });
+    }
+
+    const partPaths = parts.map((_, index) => outputPath.replace(/\.mp3$/, `.part${index}.mp3`));
+    // Parts are read straight from the TTS cache, so hold them until merged
+    const cacheLease = createCacheLease();
+    const results = [];
+    try {
+        for (const [index, part] of parts.entries()) {
+            results.push(await speakWithLexicon(part.text, part.language, {
+                outputPath: partPaths[index],
+                playback: part.playback,
+                lexicon,
+                reuseCachedAudio: true,
+                cacheLease,
+                audioSink,
+                label: `${label} (${part.kind}, ${part.language} ${index + 1}/${parts.length})`,
+            }));
+        }
+
+        const audioPaths = results.map((result) => result.audioPath);
+        const durations = getChunkDurations(audioPaths);
+        if (!audioSink) {
+            await mergeAudioFiles(audioPaths, outputPath);
+        }
+
+        let offset = 0;
+        const wordTimings = results.flatMap((result, index) => {
+            const shifted = result.wordTimings.map((timing) => ({
+                ...timing,
+                start: timing.start + offset,
+                end: timing.end + offset,
+            }));
+            offset += durations[index];
+            return shifted;
+        });
+        return { audioPath: audioSink ? null : outputPath, wordTimings };
+    } finally {
+        // Parts served from the TTS cache stay there; only our own copies go
+        cacheLease.release();
+        cleanupChunks(partPaths);
+    }
+}
+
+/**
+ * Translate (when needed) and synthesize one chunk under the session/global
+ * concurrency caps. Falls back to the source text when translation or
+ * synthesis of the translated text fails, so one bad chunk doesn't halt reading.
+ * With `reuseCachedAudio` the returned audioPath may point into the shared
+ * TTS cache instead of outputPath. With an `audioSink` (direct streaming) the
+ * audio is also written to the sink, and `onSpeechStart` is called once the
+ * text is ready and synthesis begins.
+ * A playback `transliteration` transliterates the (translated) text into
+ * `transliteratedText`; when it is spoken, that text is what the voice reads,
+ * with the lexicon transliterated along with it.
+ */
+async function synthesizeChunk({
+    sessionId,
+    text,
+    language,
+    sourceLanguageCode,
+    outputPath,
+    playback,
+    lexicon = [],
+    glossary = [],
+    reuseCachedAudio = false,
+    audioSink,
+    onSpeechStart,
+    label,
+    isCancelled = () => false,
+}) {
+    return runLimited(sessionId, async () => {
+        // Work may have queued behind other chunks; skip it if nobody wants it anymore.
+        if (isCancelled()) throw new CancelledError();
+
+        let translationResult;
+        let usedFallback = false;
+
+        try {
+            translationResult = await withTimeout(
+                smartTranslate(text, language, sourceLanguageCode, { glossary }),
+                TRANSLATION_TIMEOUT_MS,
+                `${label} translation`
+            );
+        } catch {
+            usedFallback = true;
+            translationResult = {
+                text,
+                translated: false,
+                sourceLang: sourceLanguageCode,
+                provider: null,
+            };
+        }
+
+        const { transliteration } = playback;
+        let transliteratedText = transliteration
+            ? transliterate(translationResult.text, transliteration)
+            : null;
+        let speakTransliteration = Boolean(transliteration?.speak) && transliteratedText !== translationResult.text;
+
+        let spokenText = speakTransliteration ? transliteratedText : translationResult.text;
+        let translated = translationResult.translated;
+        let speech;
+        const speechOptions = { outputPath, playback, lexicon, reuseCachedAudio, audioSink };
+        onSpeechStart?.();
+
+        try {
+            speech = await speakChunk(spokenText, language, {
+                ...speechOptions,
+                lexicon: speakTransliteration ? transliterateLexicon(lexicon, transliteration) : lexicon,
+                routeScripts: !speakTransliteration,
+                label: `${label} TTS`,
+            });
+        } catch {
+            // Start the streamed audio over with the source text
+            audioSink?.truncate(0);
+            usedFallback = usedFallback || translated || speakTransliteration;
+            spokenText = text;
+            translated = false;
+            speakTransliteration = false;
+            transliteratedText = transliteration ? transliterate(text, transliteration) : null;
+            speech = await speakChunk(spokenText, language, { ...speechOptions, label: `${label} TTS fallback` });
+        }
+
+        return {
+            spokenText,
+            translated,
+            transliteratedText,
+            spokeTransliteration: speakTransliteration,
+            translationProvider: translated ? translationResult.provider : null,
+            wordTimings: speech.wordTimings,
+            audioPath: speech.audioPath,
+            usedFallback,
+        };
+    });
+}
+
 setInterval(() => {
     const now = Date.now();
     for (const [id, session] of listSessionEntries()) {
@@ -54,6 +418,7 @@ setInterval(() => {
             cleanupSession(id);
         }
     }
+    pruneFinishedJobs(FINISHED_JOB_TTL_MS);
 }, 30 * 60 * 1000);
 
 function cleanupSession(sessionId) {
@@ -65,7 +430,8 @@ function cleanupSession(sessionId) {
         fs.rmSync(sessionAudioDir, { recursive: true, force: true });
     }
 
-    clearTranslationCache(sessionId);
+    dropLiveAudio(sessionId);
+    deleteJobsForSession(sessionId);
     deleteSessionById(sessionId);
 
     for (const [streamId, stream] of activeStreams) {
@@ -77,10 +443,13 @@ function cleanupSession(sessionId) {
 
 function buildPagesFromRequest(rawText, rawPages) {
     if (Array.isArray(rawPages) && rawPages.length > 0) {
+        // Keep paragraph breaks (blank lines), collapse all other whitespace
         const normalizedPages = rawPages.map((page) =>
             String(page || '')
-                .replace(/\s+/g, ' ')
-                .trim()
+                .split(/\n\s*\n/)
+                .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+                .filter(Boolean)
+                .join('\n\n')
         );
         const hasAnyText = normalizedPages.some((page) => page.length > 0);
         if (hasAnyText) return normalizedPages;
@@ -91,9 +460,48 @@ function buildPagesFromRequest(rawText, rawPages) {
     return splitPages.length > 0 ? splitPages : [cleanedText];
 }
 
+function normalizeMetadataText(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim().substring(0, MAX_METADATA_LENGTH);
+}
+
+function buildMetadataFromRequest(rawMetadata, fileName) {
+    const fallbackTitle = normalizeMetadataText(String(fileName || '').replace(/\.pdf$/i, ''));
+    return {
+        title: normalizeMetadataText(rawMetadata?.title) || fallbackTitle,
+        author: normalizeMetadataText(rawMetadata?.author),
+    };
+}
+
+/**
+ * Save a data-URL cover image into the session audio folder
+ * @returns {string|null} - Stored file name
+ */
+function saveCoverImage(sessionAudioDir, dataUrl) {
+    const match = /^data:image\/(jpeg|png);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+    if (!match) return null;
+
+    const data = Buffer.from(match[2], 'base64');
+    if (data.length === 0 || data.length > MAX_COVER_BYTES) return null;
+
+    const coverFile = `cover.${match[1] === 'png' ? 'png' : 'jpg'}`;
+    fs.writeFileSync(path.join(sessionAudioDir, coverFile), data);
+    return coverFile;
+}
+
+function loadCoverImage(sessionId, coverFile) {
+    if (!coverFile) return null;
+    const coverPath = path.join(AUDIO_DIR, sessionId, coverFile);
+    if (!fs.existsSync(coverPath)) return null;
+
+    return {
+        data: fs.readFileSync(coverPath),
+        mimeType: coverFile.endsWith('.png') ? 'image/png' : 'image/jpeg',
+    };
+}
+
 export async function processText(req, res) {
     try {
-        const { text, pages } = req.body || {};
+        const { text, pages, outline, metadata, cover, fileName } = req.body || {};
         if (!text || text.trim().length === 0) {
             return res.status(400).json({ error: 'No text provided' });
         }
@@ -106,12 +514,19 @@ export async function processText(req, res) {
         const sessionAudioDir = path.join(AUDIO_DIR, sessionId);
         fs.mkdirSync(sessionAudioDir, { recursive: true });
 
+        const sections = normalizeSections(outline, normalizedPages.length);
+        const sessionMetadata = {
+            ...buildMetadataFromRequest(metadata, fileName),
+            coverFile: saveCoverImage(sessionAudioDir, cover),
+        };
+
         upsertSession({
             id: sessionId,
             fullText,
             pages: normalizedPages,
             detectedLanguage: detected,
-            audioCacheMap: new Map(),
+            metadata: sessionMetadata,
+            sections,
             lastAccess: Date.now(),
         });
 
@@ -119,6 +534,8 @@ export async function processText(req, res) {
             sessionId,
             totalPages: normalizedPages.length,
             detectedLanguage: detected,
+            metadata: sessionMetadata,
+            sections,
             pagePreviews: normalizedPages.map((pageText, i) => ({
                 page: i + 1,
                 preview: pageText
@@ -139,7 +556,15 @@ export async function streamRead(req, res) {
         pageIndex,
         startOffset = 0,
         speed = 1,
+        pitch = 0,
+        volume = 0,
         voiceGender = 'female',
+        voice,
+        narration,
+        transliteration,
+        ttsProvider,
+        concurrency,
+        audioDelivery = 'file',
     } = req.body || {};
 
     const session = getSessionById(sessionId);
@@ -147,11 +572,32 @@ export async function streamRead(req, res) {
         return res.status(404).json({ error: 'Session not found' });
     }
 
+    const { playback, error: playbackError } = await buildPlayback({
+        speed,
+        pitch,
+        volume,
+        voiceGender,
+        ttsProvider,
+        voice,
+        narration,
+        transliteration,
+    });
+    if (playbackError) {
+        return res.status(400).json({ error: playbackError });
+    }
+
     if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= session.pages.length) {
         return res.status(400).json({ error: 'Invalid page index' });
     }
 
+    if (!AUDIO_DELIVERY_MODES.includes(audioDelivery)) {
+        return res.status(400).json({ error: `audioDelivery must be one of: ${AUDIO_DELIVERY_MODES.join(', ')}` });
+    }
+    const direct = audioDelivery === 'direct';
+
     touchSession(sessionId);
+    // A new reading replaces whatever was streamed before
+    dropLiveAudio(sessionId);
 
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -181,19 +627,19 @@ export async function streamRead(req, res) {
 
     try {
         const pageText = session.pages[pageIndex] || '';
-        const playback = {
-            speed: clampSpeed(speed),
-            voiceGender: normalizeVoiceGender(voiceGender),
-        };
         const safeStartOffset = Math.max(
             0,
             Math.min(Number(startOffset) || 0, Math.max(pageText.length - 1, 0))
         );
         const { chunks } = microChunk(pageText, safeStartOffset);
         const sourceLanguageCode = session.detectedLanguage?.code || 'en';
+        const lexicon = getLexiconEntries(session, language);
+        const glossary = getGlossaryEntries(session, language);
 
         sendEvent({
             type: 'stream-start',
+            pageIndex,
+            pageText,
             totalChunks: chunks.length,
             detectedLanguage: session.detectedLanguage,
             needsTranslation: sourceLanguageCode !== language,
@@ -201,91 +647,118 @@ export async function streamRead(req, res) {
 
         const sessionAudioDir = path.join(AUDIO_DIR, sessionId);
 
-        for (let i = 0; i < chunks.length; i++) {
-            const stream = activeStreams.get(streamId);
-            if (!stream || !stream.active) {
-                sendEvent({ type: 'stopped' });
-                break;
-            }
+        const isStreamActive = () => activeStreams.get(streamId)?.active === true;
 
+        // Direct delivery: tell the client about a chunk as soon as its audio
+        // starts flowing. Announcements go out in chunk order; a chunk that
+        // fails before starting is skipped (it gets its chunk-error instead).
+        const liveChannels = [];
+        const chunkStarts = [];
+        let announcedChunks = 0;
+        const flushChunkStarts = () => {
+            while (announcedChunks < chunks.length && chunkStarts[announcedChunks] !== undefined) {
+                if (chunkStarts[announcedChunks] && isStreamActive()) sendEvent(chunkStarts[announcedChunks]);
+                announcedChunks++;
+            }
+        };
+        const announceChunk = (i) => {
             const chunk = chunks[i];
-            const audioFileName = `chunk_p${pageIndex}_${language}_${i}_${Date.now()}.mp3`;
-            const audioFilePath = path.join(sessionAudioDir, audioFileName);
+            chunkStarts[i] = {
+                type: 'chunk-start',
+                chunkIndex: i,
+                totalChunks: chunks.length,
+                audioUrl: liveChannels[i].url,
+                originalText: chunk.text,
+                charStart: chunk.charStart,
+                charEnd: chunk.charEnd,
+            };
+            flushChunkStarts();
+        };
+
+        const { stopped } = await mapOrdered(chunks, {
+            concurrency: clampConcurrency(concurrency),
+            shouldStop: () => !isStreamActive(),
+            worker: async (chunk, i) => {
+                const audioFileName = `chunk_p${pageIndex}_${language}_${i}_${Date.now()}.mp3`;
+                const live = direct ? openLiveAudio(sessionId) : null;
+                liveChannels[i] = live;
 
-            try {
-                let translationResult;
                 try {
-                    translationResult = await withTimeout(
-                        smartTranslate(
-                            chunk.text,
-                            language,
-                            `${sessionId}_p${pageIndex}_chunk${i}_${language}`,
-                            sourceLanguageCode
-                        ),
-                        TRANSLATION_TIMEOUT_MS,
-                        'Translation'
-                    );
-                } catch {
-                    // Fallback so reading does not halt on translation failures.
-                    translationResult = {
+                    const result = await synthesizeChunk({
+                        sessionId,
                         text: chunk.text,
-                        translated: false,
-                        sourceLang: sourceLanguageCode,
-                    };
+                        language,
+                        sourceLanguageCode,
+                        outputPath: path.join(sessionAudioDir, audioFileName),
+                        playback,
+                        lexicon,
+                        glossary,
+                        // Direct audio is delivered from memory; a file URL must not
+                        // point into the cache, where eviction could remove it
+                        reuseCachedAudio: direct,
+                        audioSink: live?.sink,
+                        onSpeechStart: live && (() => announceChunk(i)),
+                        label: 'Reading',
+                        isCancelled: () => !isStreamActive(),
+                    });
+                    live?.sink.end();
+                    // The bytes live in memory; drop the file unless it is a TTS cache entry
+                    if (live && result.audioPath?.startsWith(sessionAudioDir)) {
+                        fs.rmSync(result.audioPath, { force: true });
+                    }
+                    return result;
+                } catch (error) {
+                    live?.sink.fail();
+                    throw error;
                 }
+            },
+            onResult: ({ value, error }, i) => {
+                if (!isStreamActive()) return;
 
-                let spokenText = translationResult.text;
-                let translated = translationResult.translated;
-                let wordTimings = [];
+                if (direct) {
+                    if (chunkStarts[i] === undefined) chunkStarts[i] = null;
+                    flushChunkStarts();
+                }
 
-                try {
-                    const ttsResult = await withTimeout(
-                        generateChunkWithTimings(
-                            spokenText,
-                            language,
-                            audioFilePath,
-                            playback
-                        ),
-                        TTS_TIMEOUT_MS,
-                        'TTS'
-                    );
-                    wordTimings = ttsResult.wordTimings;
-                } catch {
-                    // Keep reading alive when translated text synthesis fails.
-                    spokenText = chunk.text;
-                    translated = false;
-                    const fallbackTtsResult = await withTimeout(
-                        generateChunkWithTimings(
-                            spokenText,
-                            language,
-                            audioFilePath,
-                            playback
-                        ),
-                        TTS_TIMEOUT_MS,
-                        'TTS fallback'
-                    );
-                    wordTimings = fallbackTtsResult.wordTimings;
+                if (error) {
+                    sendEvent({
+                        type: 'chunk-error',
+                        chunkIndex: i,
+                        message: error.message,
+                    });
+                    return;
                 }
 
+                // Word offsets point into the page text, or into spokenText
+                // when the chunk was translated or its transliteration spoken
+                const chunk = chunks[i];
+                const pageSlice = pageText.slice(chunk.charStart, chunk.charEnd);
+                const spokenOffsets = value.translated || value.spokeTransliteration;
+                const wordTimings = spokenOffsets
+                    ? locateWordTimings(value.spokenText, value.wordTimings)
+                    : locateWordTimings(pageSlice, value.wordTimings, chunk.charStart);
                 sendEvent({
                     type: 'chunk-ready',
                     chunkIndex: i,
                     totalChunks: chunks.length,
-                    audioUrl: `/audio/${sessionId}/${audioFileName}`,
+                    audioUrl: direct ? liveChannels[i].url : toAudioUrl(value.audioPath),
                     wordTimings,
+                    wordOffsets: spokenOffsets ? 'spoken' : 'page',
                     originalText: chunk.text,
-                    spokenText,
+                    spokenText: value.spokenText,
                     charStart: chunk.charStart,
                     charEnd: chunk.charEnd,
-                    translated,
+                    translated: value.translated,
+                    translationProvider: value.translationProvider,
+                    transliteratedText: value.transliteratedText,
+                    transliteration: playback.transliteration?.to || null,
+                    sentences: alignSentences(pageSlice, value.spokenText, chunk.charStart),
                 });
-            } catch (chunkError) {
-                sendEvent({
-                    type: 'chunk-error',
-                    chunkIndex: i,
-                    message: chunkError.message,
-                });
-            }
+            },
+        });
+
+        if (stopped || !isStreamActive()) {
+            sendEvent({ type: 'stopped' });
         }
 
         sendEvent({ type: 'page-done', pageIndex });
@@ -302,7 +775,21 @@ export async function generateAudiobook(req, res) {
         sessionId,
         language = 'en',
         speed = 1,
+        pitch = 0,
+        volume = 0,
         voiceGender = 'female',
+        voice,
+        narration,
+        transliteration,
+        ttsProvider,
+        title,
+        author,
+        chapterMode = 'auto',
+        pageRange,
+        sectionIds,
+        concurrency,
+        pauses,
+        epub = false,
     } = req.body || {};
 
     if (!sessionId) {
@@ -314,96 +801,398 @@ export async function generateAudiobook(req, res) {
         return res.status(404).json({ error: 'Session not found' });
     }
 
+    const runningJob = findActiveJob(sessionId, AUDIOBOOK_JOB_TYPE);
+    if (runningJob) {
+        return res.status(409).json({
+            error: 'An audiobook is already being generated for this session',
+            job: serializeJob(runningJob),
+        });
+    }
+
+    let selection;
+    try {
+        selection = resolveSelection(session, { pageRange, sectionIds });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const { playback, error: playbackError } = await buildPlayback({
+        speed,
+        pitch,
+        volume,
+        voiceGender,
+        ttsProvider,
+        voice,
+        narration,
+        transliteration,
+    });
+    if (playbackError) {
+        return res.status(400).json({ error: playbackError });
+    }
+    // A book has nowhere to show a transliteration it doesn't speak
+    if (playback.transliteration && !playback.transliteration.speak) {
+        delete playback.transliteration;
+    }
+
     touchSession(sessionId);
 
-    const playback = {
-        speed: clampSpeed(speed),
-        voiceGender: normalizeVoiceGender(voiceGender),
+    const bookTitle = normalizeMetadataText(title) || session.metadata?.title || '';
+    const job = launchAudiobookJob(session, {
+        language,
+        playback,
+        chapterMode: normalizeChapterMode(chapterMode),
+        concurrency: clampConcurrency(concurrency),
+        pauses: normalizePauses(pauses),
+        title: selection.label && bookTitle ? `${bookTitle} — ${selection.label}` : bookTitle || selection.label,
+        author: normalizeMetadataText(author) || session.metadata?.author || '',
+        pageIndexes: selection.pageIndexes,
+        selectionLabel: selection.label,
+        fileLabel: selection.fileLabel,
+        epub: epub === true,
+    });
+
+    res.status(202).json(describeJobLaunch(job));
+}
+
+function launchAudiobookJob(session, params) {
+    const job = createJob({ sessionId: session.id, type: AUDIOBOOK_JOB_TYPE, params });
+
+    runAudiobookJob(job.id, session, params).catch((error) => {
+        console.error(`Audiobook job ${job.id} crashed:`, error.message);
+        failJob(job.id, error.message);
+    });
+
+    return job;
+}
+
+function describeJobLaunch(job) {
+    return {
+        jobId: job.id,
+        job: serializeJob(job),
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`,
     };
+}
+
+async function runAudiobookJob(jobId, session, params) {
+    const { language, playback, chapterMode, title, author, fileLabel } = params;
+    const pauses = normalizePauses(params.pauses);
+    const sessionId = session.id;
     const sourceLanguageCode = session.detectedLanguage?.code || 'en';
     const sessionAudioDir = path.join(AUDIO_DIR, sessionId);
     fs.mkdirSync(sessionAudioDir, { recursive: true });
 
+    const pageIndexes = params.pageIndexes || session.pages.map((_, pageIndex) => pageIndex);
+    const pagePlan = pageIndexes.map((pageIndex) => ({
+        pageIndex,
+        // Paragraph pauses need each paragraph to end a chunk
+        chunks: pauses.paragraphMs > 0
+            ? chunkParagraphs(session.pages[pageIndex] || '', 2200)
+            : chunkText(session.pages[pageIndex] || '', 2200).map((text) => ({ text, endsParagraph: false })),
+    }));
+    const totalChunks = pagePlan.reduce((sum, page) => sum + page.chunks.length, 0);
+
+    const lexicon = getLexiconEntries(session, language);
+    const lexiconKey = getLexiconKey(lexicon);
+    const glossary = getGlossaryEntries(session, language);
+    const glossaryKey = getGlossaryKey(glossary);
+    const checkpoint = openCheckpoint(sessionAudioDir, {
+        language,
+        playback,
+        // Pronunciation and glossary edits must not resume from chunks spoken the old way
+        ...(lexiconKey && { lexicon: lexiconKey }),
+        ...(glossaryKey && { glossary: glossaryKey }),
+    });
+    setCheckpointTotal(checkpoint, totalChunks);
+
+    startJob(jobId, {
+        totalPages: pagePlan.length,
+        totalChunks,
+        resumedChunks: 0,
+    });
+
+    const generatedChunkIds = [];
     const generatedChunkPaths = [];
+    const generatedChunkPages = [];
+    const generatedChunkTimings = [];
+    const generatedChunkBoundaries = [];
+    let completedChunks = 0;
+    let resumedChunks = 0;
 
     try {
-        for (let pageIndex = 0; pageIndex < session.pages.length; pageIndex++) {
-            const pageText = session.pages[pageIndex] || '';
-            const pageChunks = chunkText(pageText, 2200);
-
-            for (let chunkIndex = 0; chunkIndex < pageChunks.length; chunkIndex++) {
-                const chunk = pageChunks[chunkIndex];
-                let translationResult;
+        const tasks = pagePlan.flatMap(({ pageIndex, chunks: pageChunks }, planIndex) =>
+            pageChunks.map(({ text, endsParagraph }, chunkIndex) => ({
+                pageIndex,
+                planIndex,
+                chunkIndex,
+                text,
+                endsParagraph,
+                chunkId: `p${pageIndex}_c${chunkIndex}`,
+                isLastInPage: chunkIndex === pageChunks.length - 1,
+            }))
+        );
+        const isCancelled = () => isJobCancelled(jobId);
 
-                try {
-                    translationResult = await withTimeout(
-                        smartTranslate(
-                            chunk,
-                            language,
-                            `${sessionId}_book_p${pageIndex}_c${chunkIndex}_${language}`,
-                            sourceLanguageCode
-                        ),
-                        TRANSLATION_TIMEOUT_MS,
-                        'Book translation'
-                    );
-                } catch {
-                    translationResult = {
-                        text: chunk,
-                        translated: false,
-                        sourceLang: sourceLanguageCode,
-                    };
+        await mapOrdered(tasks, {
+            concurrency: params.concurrency || DEFAULT_CONCURRENCY,
+            shouldStop: isCancelled,
+            worker: async (task) => {
+                const textHash = hashText(task.text);
+                const completed = getCompletedChunk(checkpoint, task.chunkId, textHash);
+                if (completed) {
+                    return { resumed: true, ...readChunkTimings(checkpoint, completed) };
                 }
 
-                const chunkPath = path.join(
-                    sessionAudioDir,
-                    `book_p${pageIndex}_c${chunkIndex}_${Date.now()}.mp3`
-                );
+                const chunkPath = path.join(checkpoint.dir, `${task.chunkId}.mp3`);
+                const result = await synthesizeChunk({
+                    sessionId,
+                    text: task.text,
+                    language,
+                    sourceLanguageCode,
+                    outputPath: chunkPath,
+                    playback,
+                    lexicon,
+                    glossary,
+                    label: 'Book',
+                    isCancelled,
+                });
 
-                try {
-                    await withTimeout(
-                        generateChunkWithTimings(
-                            translationResult.text,
-                            language,
-                            chunkPath,
-                            playback
-                        ),
-                        TTS_TIMEOUT_MS,
-                        'Book TTS'
-                    );
-                    generatedChunkPaths.push(chunkPath);
-                } catch {
-                    await withTimeout(
-                        generateChunkWithTimings(
-                            chunk,
-                            language,
-                            chunkPath,
-                            playback
-                        ),
-                        TTS_TIMEOUT_MS,
-                        'Book TTS fallback'
-                    );
-                    generatedChunkPaths.push(chunkPath);
-                }
-            }
+                const timings = { spokenText: result.spokenText, wordTimings: result.wordTimings };
+
+                // Checkpoint as soon as the file exists, even if an earlier chunk is still running.
+                recordChunk(checkpoint, task.chunkId, {
+                    file: path.basename(chunkPath),
+                    timingsFile: writeChunkTimings(checkpoint, task.chunkId, timings),
+                    textHash,
+                    fallback: result.usedFallback,
+                    translationProvider: result.translationProvider,
+                });
+                return { resumed: false, ...timings };
+            },
+            onResult: ({ value, error }, index) => {
+                if (error) throw error;
+
+                const task = tasks[index];
+                generatedChunkIds.push(task.chunkId);
+                generatedChunkPaths.push(path.join(checkpoint.dir, `${task.chunkId}.mp3`));
+                generatedChunkPages.push(task.pageIndex);
+                generatedChunkBoundaries.push({ pageIndex: task.pageIndex, endsParagraph: task.endsParagraph });
+                generatedChunkTimings.push({ spokenText: value.spokenText, wordTimings: value.wordTimings });
+
+                completedChunks++;
+                if (value.resumed) resumedChunks++;
+                touchSession(sessionId);
+                updateJobProgress(jobId, {
+                    currentPage: task.pageIndex + 1,
+                    completedChunks,
+                    resumedChunks,
+                    ...(task.isLastInPage ? { completedPages: task.planIndex + 1 } : {}),
+                });
+            },
+        });
+
+        if (isJobCancelled(jobId)) {
+            throw new CancelledError();
         }
 
         if (generatedChunkPaths.length === 0) {
             throw new Error('Could not generate any audiobook chunks');
         }
 
-        const finalName = `audiobook_${language}_${Date.now()}.mp3`;
+        updateJobProgress(jobId, { completedPages: pagePlan.length });
+
+        const plannedChapters = planChapters({
+            pageIndexes: pagePlan.map((page) => page.pageIndex),
+            sections: session.sections,
+            mode: chapterMode,
+        });
+        const silenceAfterMs = planChunkPauses(
+            generatedChunkBoundaries,
+            new Set(plannedChapters.map((chapter) => chapter.pageIndex)),
+            pauses,
+            createSilenceQuantizer(generatedChunkPaths[0])
+        );
+
+        const chunkDurations = getChunkDurations(generatedChunkPaths);
+        const pageStartMs = new Map();
+        const subtitleChunks = [];
+        let elapsedMs = 0;
+        chunkDurations.forEach((durationMs, index) => {
+            const chunkPage = generatedChunkPages[index];
+            if (!pageStartMs.has(chunkPage)) pageStartMs.set(chunkPage, elapsedMs);
+            subtitleChunks.push({ ...generatedChunkTimings[index], offsetMs: elapsedMs, durationMs });
+            elapsedMs += durationMs + silenceAfterMs[index];
+        });
+
+        const chapters = buildChapterTimeline(plannedChapters, pageStartMs, elapsedMs);
+        const cover = loadCoverImage(sessionId, session.metadata?.coverFile);
+
+        const tag = buildId3Tag({
+            title,
+            author,
+            language: getIso639Code(language),
+            cover,
+            chapters,
+        });
+
+        const baseName = `audiobook_${language}${fileLabel ? `_${fileLabel}` : ''}_${Date.now()}`;
+        const finalName = `${baseName}.mp3`;
         const finalPath = path.join(sessionAudioDir, finalName);
-        await mergeAudioFiles(generatedChunkPaths, finalPath);
-        cleanupChunks(generatedChunkPaths);
+        await mergeAudioFiles(generatedChunkPaths, finalPath, { tag, silenceAfterMs });
 
-        res.json({
+        const cues = buildSubtitleCues(subtitleChunks);
+        writeSubtitleFiles(path.join(sessionAudioDir, baseName), cues);
+
+        if (params.epub) {
+            writeEpub(path.join(sessionAudioDir, `${baseName}.epub`), {
+                identifier: `urn:uuid:${uuidv4()}`,
+                title: title || session.metadata?.title || 'Audiobook',
+                author,
+                language,
+                audioPath: finalPath,
+                pages: pagePlan.map(({ pageIndex }) => ({
+                    pageIndex,
+                    cues: cues.filter((cue) => generatedChunkPages[cue.chunkIndex] === pageIndex),
+                })),
+                chapters: plannedChapters,
+                cover,
+            });
+        }
+        releaseChunks(checkpoint, generatedChunkIds);
+
+        completeJob(jobId, {
             audioUrl: `/audio/${sessionId}/${finalName}`,
             fileName: finalName,
-            pages: session.pages.length,
+            pages: pagePlan.length,
+            pageIndexes,
+            selection: params.selectionLabel || 'Full book',
+            durationMs: elapsedMs,
+            resumedChunks,
+            subtitles: {
+                srtUrl: `/audio/${sessionId}/${baseName}.srt`,
+                vttUrl: `/audio/${sessionId}/${baseName}.vtt`,
+                cues: cues.length,
+            },
+            epubUrl: params.epub ? `/audio/${sessionId}/${baseName}.epub` : null,
+            chapters: chapters.map(({ title: chapterTitle, startMs, endMs }) => ({
+                title: chapterTitle,
+                startMs,
+                endMs,
+            })),
         });
     } catch (error) {
-        cleanupChunks(generatedChunkPaths);
-        res.status(500).json({ error: error.message });
+        // Finished chunks stay on disk with the checkpoint so a retry can resume.
+        if (error instanceof CancelledError) {
+            markJobCancelled(jobId);
+        } else {
+            failJob(jobId, error.message);
+        }
+    }
+}
+
+export async function getJob(req, res) {
+    const job = getJobById(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(serializeJob(job));
+}
+
+export async function streamJobEvents(req, res) {
+    const job = getJobById(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    const sendEvent = (data) => {
+        try {
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        } catch {
+            // Client disconnected
+        }
+    };
+
+    sendEvent({ type: 'snapshot', job: serializeJob(job) });
+    if (isTerminalStatus(job.status)) {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => {
+        try {
+            res.write(': keep-alive\n\n');
+        } catch {
+            // Client disconnected
+        }
+    }, JOB_HEARTBEAT_MS);
+
+    let unsubscribe = () => {};
+    const closeStream = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    unsubscribe = subscribeToJob(job.id, (event) => {
+        sendEvent(event);
+        if (isTerminalStatus(event.job.status)) {
+            closeStream();
+            res.end();
+        }
+    });
+
+    res.on('close', closeStream);
+}
+
+export async function cancelJob(req, res) {
+    const job = getJobById(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    requestJobCancel(job.id);
+    res.json(serializeJob(job));
+}
+
+export async function retryJob(req, res) {
+    const job = getJobById(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+        return res.status(409).json({ error: `Cannot retry a ${job.status} job`, job: serializeJob(job) });
+    }
+
+    const session = getSessionById(job.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const runningJob = findActiveJob(session.id, job.type);
+    if (runningJob) {
+        return res.status(409).json({
+            error: 'An audiobook is already being generated for this session',
+            job: serializeJob(runningJob),
+        });
+    }
+
+    touchSession(session.id);
+    const retried = launchAudiobookJob(session, job.params);
+    res.status(202).json(describeJobLaunch(retried));
+}
+
+/**
+ * GET /api/live-audio/:id — chunk audio of a direct stream, piped while it
+ * is being synthesized
+ */
+export async function getLiveAudio(req, res) {
+    if (!pipeLiveAudio(req.params.id, res)) {
+        res.status(404).json({ error: 'Audio not found or expired' });
     }
 }
 
@@ -420,6 +1209,7 @@ export async function stopReading(req, res) {
             stopped++;
         }
     }
+    dropLiveAudio(sessionId);
 
     res.json({ stopped, message: stopped > 0 ? 'Reading stopped' : 'No active reading' });
 }
@@ -434,5 +1224,8 @@ export async function getSession(req, res) {
         id: session.id,
         totalPages: session.pages.length,
         detectedLanguage: session.detectedLanguage,
+        metadata: session.metadata,
+        sections: session.sections,
+        audiobookCheckpoints: listCheckpoints(path.join(AUDIO_DIR, session.id)),
     });
 }
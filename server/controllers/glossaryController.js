@@ -0,0 +1,57 @@
+import { getSessionById, touchSession } from '../services/sessionStore.js';
+import { getSessionGlossary } from '../services/glossaryService.js';
+
+function sendResult(res, result, successStatus = 200) {
+    if (result.error) {
+        return res.status(result.status || 400).json({ error: result.error });
+    }
+    return res.status(successStatus).json(result);
+}
+
+function withGlossary(handler) {
+    return (req, res) => {
+        const session = getSessionById(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        return handler(getSessionGlossary(session, () => touchSession(session.id)), req, res);
+    };
+}
+
+/** GET /api/session/:id/glossary?language=hi */
+export const listGlossary = withGlossary((glossary, req, res) =>
+    sendResult(res, glossary.list(req.query.language || undefined))
+);
+
+/** POST /api/session/:id/glossary  { term, translation?, language?, caseSensitive? } */
+export const createGlossaryEntry = withGlossary((glossary, req, res) =>
+    sendResult(res, glossary.create(req.body || {}), 201)
+);
+
+/** PUT /api/session/:id/glossary/:entryId */
+export const updateGlossaryEntry = withGlossary((glossary, req, res) =>
+    sendResult(res, glossary.update(req.params.entryId, req.body || {}))
+);
+
+/** DELETE /api/session/:id/glossary/:entryId */
+export const deleteGlossaryEntry = withGlossary((glossary, req, res) =>
+    sendResult(res, glossary.remove(req.params.entryId))
+);
+
+/**
+ * POST /api/session/:id/glossary/import
+ * JSON `{ csv, replace?, language? }`, or the CSV itself as text/csv with
+ * `?replace=true&language=hi`
+ */
+export const importGlossary = withGlossary((glossary, req, res) => {
+    const isJson = req.body && typeof req.body === 'object';
+    const options = isJson ? req.body : req.query;
+    const csv = isJson ? req.body.csv : req.body;
+    if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({ error: 'CSV text is required' });
+    }
+    return sendResult(res, glossary.importCsv(csv, {
+        replace: options.replace === true || options.replace === 'true',
+        language: options.language || undefined,
+    }));
+});
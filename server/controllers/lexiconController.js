@@ -0,0 +1,52 @@
+import { getSessionById, touchSession } from '../services/sessionStore.js';
+import { globalLexicon, getSessionLexicon } from '../services/lexiconService.js';
+
+/**
+ * Global lexicon for `/lexicon` routes, the session's own for
+ * `/session/:id/lexicon` routes
+ * @returns {object|null} - null when the session does not exist
+ */
+function resolveLexicon(req) {
+    if (!req.params.id) return globalLexicon;
+
+    const session = getSessionById(req.params.id);
+    if (!session) return null;
+    return getSessionLexicon(session, () => touchSession(session.id));
+}
+
+function sendResult(res, result, successStatus = 200) {
+    if (result.error) {
+        return res.status(result.status || 400).json({ error: result.error });
+    }
+    return res.status(successStatus).json(result);
+}
+
+function withLexicon(handler) {
+    return (req, res) => {
+        const lexicon = resolveLexicon(req);
+        if (!lexicon) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        return handler(lexicon, req, res);
+    };
+}
+
+/** GET /api/lexicon?language=hi */
+export const listLexicon = withLexicon((lexicon, req, res) =>
+    sendResult(res, lexicon.list(req.query.language || undefined))
+);
+
+/** POST /api/lexicon  { language, written, spoken?, phoneme?, alphabet?, caseSensitive? } */
+export const createLexiconEntry = withLexicon((lexicon, req, res) =>
+    sendResult(res, lexicon.create(req.body || {}), 201)
+);
+
+/** PUT /api/lexicon/:entryId */
+export const updateLexiconEntry = withLexicon((lexicon, req, res) =>
+    sendResult(res, lexicon.update(req.params.entryId, req.body || {}))
+);
+
+/** DELETE /api/lexicon/:entryId */
+export const deleteLexiconEntry = withLexicon((lexicon, req, res) =>
+    sendResult(res, lexicon.remove(req.params.entryId))
+);
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getSessionById, touchSession } from '../services/sessionStore.js';
+import { resolveSelection } from '../services/selectionService.js';
+import { getGlossaryEntries } from '../services/glossaryService.js';
+import { getLanguageName, isSupportedLanguage } from '../services/languageDetector.js';
+import { clampConcurrency } from '../services/concurrencyService.js';
+import {
+    DOCUMENT_FORMATS,
+    translateDocument,
+    buildPlainText,
+    buildMarkdown,
+} from '../services/translatedDocumentService.js';
+import { writeDocx } from '../services/docxService.js';
+import { buildPdf, checkPdfLanguage, PdfFontError } from '../services/pdfDocumentService.js';
+import {
+    listTransliterationSchemes,
+    normalizeTransliteration,
+    transliterate,
+} from '../services/transliterationService.js';
+
+const MAX_TRANSLITERATION_LENGTH = 20000;
+
+function exportFileName(title, language, fileLabel, extension) {
+    const base = String(title || 'document')
+        .normalize('NFKD')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '_')
+        .substring(0, 60) || 'document';
+    return `${base}${fileLabel ? `_${fileLabel}` : ''}_${language}.${extension}`;
+}
+
+/**
+ * GET /api/session/:id/translation?language=hi&format=txt|md|docx|pdf
+ * Optional pageRange ("1-3,7") and sectionIds (comma separated) select pages;
+ * optional concurrency caps the paragraphs translated at once.
+ * Translates the selection and downloads it.
+ */
+export async function exportTranslatedDocument(req, res) {
+    const session = getSessionById(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const { language = 'en', format = 'txt', pageRange, sectionIds, concurrency } = req.query;
+    if (typeof format !== 'string' || !Object.hasOwn(DOCUMENT_FORMATS, format)) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(DOCUMENT_FORMATS).join(', ')}` });
+    }
+    if (typeof language !== 'string' || !isSupportedLanguage(language)) {
+        return res.status(400).json({ error: `Unsupported language "${language}"` });
+    }
+    const output = DOCUMENT_FORMATS[format];
+    if (format === 'pdf') {
+        const fontProblem = checkPdfLanguage(language, { languageName: getLanguageName(language) });
+        if (fontProblem) return res.status(422).json({ error: fontProblem });
+    }
+
+    let selection;
+    try {
+        selection = resolveSelection(session, {
+            pageRange,
+            sectionIds: sectionIds ? String(sectionIds).split(',').filter(Boolean) : undefined,
+        });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    touchSession(session.id);
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    let doc;
+    try {
+        doc = await translateDocument(session, {
+            language,
+            pageIndexes: selection.pageIndexes,
+            glossary: getGlossaryEntries(session, language),
+            title: session.metadata?.title || '',
+            author: session.metadata?.author || '',
+            concurrency: clampConcurrency(concurrency),
+            isCancelled: () => closed,
+        });
+    } catch (error) {
+        if (closed) return undefined;
+        return res.status(502).json({ error: error.message });
+    }
+
+    const fileName = exportFileName(doc.title, language, selection.fileLabel, output.extension);
+    res.setHeader('Content-Type', output.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'txt') return res.send(buildPlainText(doc));
+    if (format === 'md') return res.send(buildMarkdown(doc));
+
+    try {
+        if (format === 'pdf') return res.send(buildPdf(doc));
+
+        const docxPath = path.join(os.tmpdir(), `translation-${uuidv4()}.docx`);
+        writeDocx(docxPath, doc);
+        return res.sendFile(docxPath, () => fs.rmSync(docxPath, { force: true }));
+    } catch (error) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        return res.status(error instanceof PdfFontError ? 422 : 500).json({ error: error.message });
+    }
+}
+
+/** GET /api/transliteration */
+export function listTransliterations(req, res) {
+    res.json({ schemes: listTransliterationSchemes() });
+}
+
+/**
+ * POST /api/transliterate  { text, to, from? }
+ * `to` is iso | iast | readable or a script id (see GET /api/transliteration);
+ * `from: 'iso' | 'iast'` also converts romanized words into the target script.
+ */
+export function transliterateText(req, res) {
+    const { text, to, from } = req.body || {};
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+    if (text.length > MAX_TRANSLITERATION_LENGTH) {
+        return res.status(400).json({ error: `text must be at most ${MAX_TRANSLITERATION_LENGTH} characters` });
+    }
+
+    const { transliteration, error } = normalizeTransliteration({ to, from });
+    if (error || !transliteration) {
+        return res.status(400).json({ error: error || 'to is required' });
+    }
+    return res.json({
+        text: transliterate(text, transliteration),
+        to: transliteration.to,
+        from: transliteration.from,
+    });
+}
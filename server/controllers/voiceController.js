@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    generateSpeech,
+    getAvailableVoices,
+    groupVoicesByLocale,
+    hasTtsProvider,
+    DEFAULT_TTS_PROVIDER,
+} from '../services/ttsService.js';
+import { hashText } from '../services/checkpointService.js';
+import { runLimited } from '../services/concurrencyService.js';
+import { buildPlayback } from './generateController.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PREVIEW_DIR = path.join(__dirname, '..', 'audio', 'previews');
+const PREVIEW_LIMIT_KEY = 'voice-preview';
+
+const PREVIEW_SAMPLES = {
+    en: 'Hello! This is how I sound when reading your document.',
+    hi: 'नमस्ते! आपका दस्तावेज़ पढ़ते समय मेरी आवाज़ ऐसी सुनाई देती है।',
+    bn: 'নমস্কার! আপনার নথি পড়ার সময় আমার কণ্ঠস্বর এমন শোনায়।',
+    ta: 'வணக்கம்! உங்கள் ஆவணத்தைப் படிக்கும்போது என் குரல் இப்படித்தான் ஒலிக்கும்.',
+    te: 'నమస్కారం! మీ పత్రాన్ని చదివేటప్పుడు నా గొంతు ఇలా వినిపిస్తుంది.',
+    mr: 'नमस्कार! तुमचा दस्तऐवज वाचताना माझा आवाज असा ऐकू येतो.',
+    gu: 'નમસ્તે! તમારો દસ્તાવેજ વાંચતી વખતે મારો અવાજ આવો સંભળાય છે.',
+    kn: 'ನಮಸ್ಕಾರ! ನಿಮ್ಮ ದಾಖಲೆಯನ್ನು ಓದುವಾಗ ನನ್ನ ಧ್ವನಿ ಹೀಗೆ ಕೇಳಿಸುತ್ತದೆ.',
+    ml: 'നമസ്കാരം! നിങ്ങളുടെ പ്രമാണം വായിക്കുമ്പോൾ എന്റെ ശബ്ദം ഇങ്ങനെയാണ്.',
+    pa: 'ਸਤ ਸ੍ਰੀ ਅਕਾਲ! ਤੁਹਾਡਾ ਦਸਤਾਵੇਜ਼ ਪੜ੍ਹਦੇ ਸਮੇਂ ਮੇਰੀ ਆਵਾਜ਼ ਇਸ ਤਰ੍ਹਾਂ ਸੁਣਾਈ ਦਿੰਦੀ ਹੈ।',
+    or: 'ନମସ୍କାର! ଆପଣଙ୍କ ଦଲିଲ ପଢ଼ିବା ସମୟରେ ମୋ ସ୍ୱର ଏମିତି ଶୁଣାଯାଏ।',
+    as: 'নমস্কাৰ! আপোনাৰ নথি পঢ়োঁতে মোৰ মাত এনেকুৱা শুনা যায়।',
+    ur: 'السلام علیکم! آپ کی دستاویز پڑھتے وقت میری آواز ایسی سنائی دیتی ہے۔',
+};
+
+// Previews are cached on disk; concurrent requests for the same one share a promise
+const pendingPreviews = new Map();
+
+function getSampleLanguage(voiceLanguage, language) {
+    if (PREVIEW_SAMPLES[voiceLanguage]) return voiceLanguage;
+    return PREVIEW_SAMPLES[language] ? language : 'en';
+}
+
+async function renderPreview(previewPath, language, playback) {
+    if (fs.existsSync(previewPath)) return previewPath;
+    if (pendingPreviews.has(previewPath)) return pendingPreviews.get(previewPath);
+
+    const tempPath = `${previewPath}.${process.pid}.tmp.mp3`;
+    const pending = runLimited(PREVIEW_LIMIT_KEY, () =>
+        generateSpeech(PREVIEW_SAMPLES[language], language, tempPath, playback)
+    )
+        .then(() => {
+            fs.renameSync(tempPath, previewPath);
+            return previewPath;
+        })
+        .finally(() => {
+            fs.rmSync(tempPath, { force: true });
+            pendingPreviews.delete(previewPath);
+        });
+
+    pendingPreviews.set(previewPath, pending);
+    return pending;
+}
+
+/**
+ * GET /api/voices?provider=edge&language=hi
+ * Every voice of the provider grouped by locale (en-GB, en-IN, ...)
+ */
+export async function listVoices(req, res) {
+    const provider = req.query.provider || DEFAULT_TTS_PROVIDER;
+    if (!hasTtsProvider(provider)) {
+        return res.status(400).json({ error: `Unknown TTS provider "${provider}"` });
+    }
+
+    try {
+        const voices = await getAvailableVoices(provider, req.query.language || undefined);
+        res.json({
+            provider,
+            totalVoices: voices.length,
+            locales: groupVoicesByLocale(voices),
+        });
+    } catch (error) {
+        console.error('Voice list error:', error.message);
+        res.status(500).json({ error: 'Failed to list voices', message: error.message });
+    }
+}
+
+/**
+ * GET /api/voices/preview?voice=hi-IN-SwaraNeural&language=hi&speed=1&pitch=0&volume=0
+ * Short MP3 sample of a voice (or of the language default for `voiceGender`)
+ */
+export async function previewVoice(req, res) {
+    const { voice, voiceGender, speed, pitch, volume, language = 'en' } = req.query;
+    const { playback, error } = await buildPlayback({
+        speed,
+        pitch,
+        volume,
+        voiceGender,
+        ttsProvider: req.query.provider,
+        voice,
+    });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const voiceLanguage = voice ? String(voice).split('-')[0] : language;
+    const sampleLanguage = getSampleLanguage(voiceLanguage, language);
+    const previewKey = hashText(JSON.stringify({ sampleLanguage, playback })).substring(0, 16);
+
+    try {
+        fs.mkdirSync(PREVIEW_DIR, { recursive: true });
+        const previewPath = await renderPreview(
+            path.join(PREVIEW_DIR, `${previewKey}.mp3`),
+            sampleLanguage,
+            playback
+        );
+
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        res.type('audio/mpeg').sendFile(previewPath);
+    } catch (previewError) {
+        console.error('Voice preview error:', previewError.message);
+        res.status(502).json({ error: 'Failed to generate voice preview', message: previewError.message });
+    }
+}
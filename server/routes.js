@@ -5,30 +5,104 @@
  * 
  * POST /api/process-text   → clean/process extracted text, create session
  * POST /api/stream-read    → real-time streaming TTS (SSE)
+ * POST /api/generate-book  → start a background audiobook job (202 + jobId)
+ * GET  /api/jobs/:jobId    → job status, progress and ETA
+ * GET  /api/jobs/:jobId/events → job progress stream (SSE)
+ * POST /api/jobs/:jobId/cancel → cancel a queued/running job
+ * POST /api/jobs/:jobId/retry  → resume a failed/cancelled job from its checkpoint
+ * GET  /api/live-audio/:id → chunk audio of a direct stream (chunked audio/mpeg)
  * POST /api/stop-reading   → stop active reading stream
+ * GET  /api/voices         → voice catalog of a TTS provider, grouped by locale
+ * GET  /api/voices/preview → short MP3 sample of a voice
+ * GET|POST   /api/lexicon            → global pronunciation lexicon entries
+ * PUT|DELETE /api/lexicon/:entryId   → update/remove a global entry
+ * GET|POST   /api/session/:id/lexicon → session lexicon (overrides global entries)
+ * PUT|DELETE /api/session/:id/lexicon/:entryId
+ * GET|POST   /api/session/:id/glossary → session translation glossary
+ * PUT|DELETE /api/session/:id/glossary/:entryId
+ * POST /api/session/:id/glossary/import → add glossary entries from CSV
+ * GET  /api/session/:id/translation → translated document (?language, format=txt|md|docx|pdf)
+ * GET  /api/transliteration → transliteration schemes (romanizations and scripts)
+ * POST /api/transliterate  → transliterate text between Indic scripts and romanization
  * GET  /api/session/:id    → get session info
  * GET  /api/health         → health check
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
     processText,
     streamRead,
     stopReading,
+    getLiveAudio,
     getSession,
     generateAudiobook,
+    getJob,
+    streamJobEvents,
+    cancelJob,
+    retryJob,
 } from './controllers/generateController.js';
+import { listVoices, previewVoice } from './controllers/voiceController.js';
+import { getSpeechCacheStats } from './services/ttsCacheService.js';
+import { DEFAULT_TRANSLATION_PROVIDER } from './services/translationService.js';
+import { getTranslationCacheStats } from './services/translationCacheService.js';
+import {
+    listLexicon,
+    createLexiconEntry,
+    updateLexiconEntry,
+    deleteLexiconEntry,
+} from './controllers/lexiconController.js';
+import {
+    listGlossary,
+    createGlossaryEntry,
+    updateGlossaryEntry,
+    deleteGlossaryEntry,
+    importGlossary,
+} from './controllers/glossaryController.js';
+import {
+    exportTranslatedDocument,
+    listTransliterations,
+    transliterateText,
+} from './controllers/translationController.js';
 
 const router = Router();
 
 router.post('/process-text', processText);
 router.post('/stream-read', streamRead);
 router.post('/generate-book', generateAudiobook);
+router.get('/jobs/:jobId', getJob);
+router.get('/jobs/:jobId/events', streamJobEvents);
+router.post('/jobs/:jobId/cancel', cancelJob);
+router.post('/jobs/:jobId/retry', retryJob);
+router.get('/live-audio/:id', getLiveAudio);
 router.post('/stop-reading', stopReading);
 router.get('/session/:id', getSession);
+router.get('/voices', listVoices);
+router.get('/voices/preview', previewVoice);
+router.get('/lexicon', listLexicon);
+router.post('/lexicon', createLexiconEntry);
+router.put('/lexicon/:entryId', updateLexiconEntry);
+router.delete('/lexicon/:entryId', deleteLexiconEntry);
+router.get('/session/:id/lexicon', listLexicon);
+router.post('/session/:id/lexicon', createLexiconEntry);
+router.put('/session/:id/lexicon/:entryId', updateLexiconEntry);
+router.delete('/session/:id/lexicon/:entryId', deleteLexiconEntry);
+router.get('/session/:id/glossary', listGlossary);
+router.post('/session/:id/glossary', createGlossaryEntry);
+router.post('/session/:id/glossary/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), importGlossary);
+router.put('/session/:id/glossary/:entryId', updateGlossaryEntry);
+router.delete('/session/:id/glossary/:entryId', deleteGlossaryEntry);
+router.get('/session/:id/translation', exportTranslatedDocument);
+router.get('/transliteration', listTransliterations);
+router.post('/transliterate', transliterateText);
 
 router.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        translationProvider: DEFAULT_TRANSLATION_PROVIDER,
+        ttsCache: getSpeechCacheStats(),
+        translationCache: getTranslationCacheStats(),
+    });
 });
 
 export default router;
@@ -2,57 +2,230 @@
  * audioMergeService.js
  * ────────────────────
  * Merges multiple audio chunk files into a single seamless MP3.
- * Uses raw buffer concatenation for MP3 files (no external ffmpeg dependency).
+ * Works frame by frame in pure JS (no external ffmpeg dependency).
  * 
  * Key design: NO GAPS between chunks for seamless playback.
+ * Per-chunk ID3 tags and Xing/Info/VBRI frames are dropped; the merged file
+ * gets one optional ID3 tag (metadata, cover, chapters) built by id3Service
+ * and one Info/Xing frame describing the whole stream, so players report the
+ * right duration and can seek in long audiobooks.
+ * Pauses are written as silent frames in the chunks' own format.
  */
 
 import fs from 'fs';
 import path from 'path';
+import {
+    parseFrameHeader,
+    getSideInfoSize,
+    scanMp3Frames,
+    parseMp3Frames,
+    getMp3DurationMs,
+} from './mp3FrameParser.js';
+
+const XING_FLAGS = 0x0000000f; // frames + bytes + TOC + quality
+const XING_PAYLOAD_SIZE = 4 + 4 + 4 + 4 + 100 + 4;
+const TOC_ENTRIES = 100;
+
+function frameDurationMs(header) {
+    return (header.samples / header.sampleRate) * 1000;
+}
+
+/**
+ * A frame with the stream's header and empty side info / main data,
+ * which decoders play as silence
+ */
+function buildSilentFrame(template) {
+    const headerBytes = Buffer.from(template.bytes);
+    headerBytes[1] |= 0x01; // no CRC
+    headerBytes[2] &= ~0x02; // no padding
+    const header = parseFrameHeader(headerBytes, 0);
+    const frame = Buffer.alloc(header.length);
+    headerBytes.copy(frame, 0);
+    return frame;
+}
+
+/**
+ * Read the audio frames of each chunk and check they form one stream
+ * @param {string[]} chunkPaths
+ * @param {number[]} silenceAfterMs - Pause after each chunk
+ * @returns {{ chunks: Array<{ path: string, frames: Array, silenceFrames: number }>, template: object, silentFrame: Buffer, totalFrames: number, totalBytes: number, isVbr: boolean }}
+ */
+function planMerge(chunkPaths, silenceAfterMs = []) {
+    const chunks = [];
+    let template = null;
+    let totalFrames = 0;
+    let totalBytes = 0;
+    let isVbr = false;
+
+    for (const [index, chunkPath] of chunkPaths.entries()) {
+        if (!fs.existsSync(chunkPath)) {
+            console.warn(`  ⚠️ Chunk file not found: ${chunkPath}`);
+            continue;
+        }
+
+        const buffer = fs.readFileSync(chunkPath);
+        const { frames, skippedBytes } = scanMp3Frames(buffer);
+        const audioFrames = frames.filter((frame) => !frame.isInfo);
+        if (skippedBytes > 0) {
+            console.warn(`  ⚠️ ${path.basename(chunkPath)}: skipped ${skippedBytes} bytes outside frame sync`);
+        }
+        if (audioFrames.length === 0) {
+            console.warn(`  ⚠️ No audio frames in chunk: ${path.basename(chunkPath)}`);
+            continue;
+        }
+
+        for (const { header } of audioFrames) {
+            if (!template) {
+                template = { header, bytes: buffer.subarray(audioFrames[0].offset, audioFrames[0].offset + 4) };
+            } else if (header.version !== template.header.version ||
+                header.sampleRate !== template.header.sampleRate ||
+                header.channels !== template.header.channels) {
+                throw new Error(`${path.basename(chunkPath)} does not match the stream format of earlier chunks`);
+            }
+            if (header.bitrate !== template.header.bitrate) isVbr = true;
+            totalBytes += header.length;
+        }
+
+        totalFrames += audioFrames.length;
+        chunks.push({
+            path: chunkPath,
+            frames: audioFrames.map(({ offset, header }) => ({ offset, length: header.length })),
+            silenceMs: silenceAfterMs[index] || 0,
+        });
+    }
+
+    if (chunks.length === 0) {
+        throw new Error('No valid audio chunks found');
+    }
+
+    const silentFrame = buildSilentFrame(template);
+    const silenceFrameMs = frameDurationMs(template.header);
+    for (const chunk of chunks) {
+        chunk.silenceFrames = Math.round(chunk.silenceMs / silenceFrameMs);
+        totalFrames += chunk.silenceFrames;
+        totalBytes += chunk.silenceFrames * silentFrame.length;
+    }
+
+    return { chunks, template, silentFrame, totalFrames, totalBytes, isVbr };
+}
+
+/**
+ * Build a Xing ("Xing" for VBR, "Info" for CBR) frame for the merged stream
+ * The frame reuses the stream's header fields with the smallest bitrate whose
+ * frame is large enough for the payload; its audio part is silence.
+ */
+function buildInfoFrame(plan) {
+    const { template, totalFrames, isVbr } = plan;
+    const sideInfoSize = getSideInfoSize(template.header);
+    const needed = 4 + sideInfoSize + XING_PAYLOAD_SIZE;
+
+    const headerBytes = Buffer.from(template.bytes);
+    headerBytes[1] |= 0x01; // no CRC
+    headerBytes[2] &= ~0x02; // no padding
+
+    let header = null;
+    for (let bitrateIndex = 1; bitrateIndex < 15; bitrateIndex++) {
+        headerBytes[2] = (headerBytes[2] & 0x0f) | (bitrateIndex << 4);
+        header = parseFrameHeader(headerBytes, 0);
+        if (header && header.length >= needed) break;
+    }
+    if (!header || header.length < needed) {
+        throw new Error('Stream format leaves no room for an Info frame');
+    }
+
+    const frame = Buffer.alloc(header.length);
+    headerBytes.copy(frame, 0);
+
+    const byteCount = frame.length + plan.totalBytes;
+    const toc = buildToc(plan, frame.length, byteCount);
+
+    let offset = 4 + sideInfoSize;
+    frame.write(isVbr ? 'Xing' : 'Info', offset, 'latin1');
+    frame.writeUInt32BE(XING_FLAGS, offset + 4);
+    frame.writeUInt32BE(totalFrames, offset + 8);
+    frame.writeUInt32BE(byteCount, offset + 12);
+    toc.copy(frame, offset + 16);
+    offset += 16 + TOC_ENTRIES;
+    frame.writeUInt32BE(0, offset); // quality: unknown
+
+    return frame;
+}
+
+/**
+ * Seek table: entry i is the byte position (scaled to 0-255 of the stream
+ * size) where i% of the playback time starts
+ */
+function buildToc(plan, infoFrameSize, byteCount) {
+    const toc = Buffer.alloc(TOC_ENTRIES);
+    const frameLengths = plan.chunks.flatMap((chunk) => [
+        ...chunk.frames.map((frame) => frame.length),
+        ...Array(chunk.silenceFrames).fill(plan.silentFrame.length),
+    ]);
+    let frameIndex = 0;
+    let position = infoFrameSize;
+
+    for (let i = 0; i < TOC_ENTRIES; i++) {
+        const targetFrame = Math.floor((i / TOC_ENTRIES) * frameLengths.length);
+        while (frameIndex < targetFrame) {
+            position += frameLengths[frameIndex++];
+        }
+        toc[i] = Math.min(255, Math.floor((position / byteCount) * 256));
+    }
+
+    return toc;
+}
 
 /**
  * Merge multiple MP3 files into one seamless file
- * MP3 frames are independent, so simple concatenation works for MP3 format.
+ * Only verified audio frames are copied; tags, junk and per-chunk Info
+ * frames are dropped, then a single Info/Xing frame is written up front.
  * 
  * @param {string[]} chunkPaths - Array of paths to chunk MP3 files
  * @param {string} outputPath - Path for the merged output file
+ * @param {{ tag?: Buffer, silenceAfterMs?: number[] }} [options]
+ *   tag: optional ID3 tag to write at the start;
+ *   silenceAfterMs: pause after each chunk (rounded to whole frames, see createSilenceQuantizer)
  * @returns {Promise<string>} - Path to merged file
  */
-export async function mergeAudioFiles(chunkPaths, outputPath) {
+export async function mergeAudioFiles(chunkPaths, outputPath, options = {}) {
     if (!chunkPaths || chunkPaths.length === 0) {
         throw new Error('No audio chunks to merge');
     }
 
-    // Single file — just copy it
-    if (chunkPaths.length === 1) {
-        fs.copyFileSync(chunkPaths[0], outputPath);
-        return outputPath;
-    }
-
     try {
         console.log(`  🔗 Merging ${chunkPaths.length} audio chunks...`);
 
-        // Read all chunk buffers
-        const buffers = [];
-        for (const chunkPath of chunkPaths) {
-            if (!fs.existsSync(chunkPath)) {
-                console.warn(`  ⚠️ Chunk file not found: ${chunkPath}`);
-                continue;
+        const plan = planMerge(chunkPaths, options.silenceAfterMs);
+        const infoFrame = buildInfoFrame(plan);
+        const fd = fs.openSync(outputPath, 'w');
+        let written = 0;
+
+        try {
+            if (options.tag) {
+                written += fs.writeSync(fd, options.tag);
             }
-            const buffer = fs.readFileSync(chunkPath);
-            buffers.push(buffer);
-        }
+            written += fs.writeSync(fd, infoFrame);
 
-        if (buffers.length === 0) {
-            throw new Error('No valid audio chunks found');
+            for (const chunk of plan.chunks) {
+                const buffer = fs.readFileSync(chunk.path);
+                for (const frame of chunk.frames) {
+                    written += fs.writeSync(fd, buffer, frame.offset, frame.length);
+                }
+                for (let i = 0; i < chunk.silenceFrames; i++) {
+                    written += fs.writeSync(fd, plan.silentFrame);
+                }
+            }
+        } finally {
+            fs.closeSync(fd);
         }
 
-        // Concatenate all buffers (MP3 frames are self-contained, so this creates seamless audio)
-        const merged = Buffer.concat(buffers);
-        fs.writeFileSync(outputPath, merged);
+        const expected = (options.tag?.length || 0) + infoFrame.length + plan.totalBytes;
+        if (written !== expected) {
+            throw new Error(`Wrote ${written} bytes, expected ${expected}`);
+        }
 
-        const sizeMB = (merged.length / (1024 * 1024)).toFixed(2);
-        console.log(`  ✅ Merged audio: ${path.basename(outputPath)} (${sizeMB} MB)`);
+        const sizeMB = (written / (1024 * 1024)).toFixed(2);
+        console.log(`  ✅ Merged audio: ${path.basename(outputPath)} (${sizeMB} MB, ${plan.totalFrames} frames)`);
 
         return outputPath;
     } catch (error) {
@@ -61,6 +234,34 @@ export async function mergeAudioFiles(chunkPaths, outputPath) {
     }
 }
 
+/**
+ * Round a pause to the duration of whole silent frames in a chunk's format,
+ * matching what mergeAudioFiles will actually write
+ * @param {string} chunkPath - Any chunk of the stream
+ * @returns {(ms: number) => number}
+ */
+export function createSilenceQuantizer(chunkPath) {
+    const first = fs.existsSync(chunkPath)
+        ? parseMp3Frames(fs.readFileSync(chunkPath)).find((frame) => !frame.isInfo)
+        : null;
+    if (!first) return () => 0;
+
+    const frameMs = frameDurationMs(first.header);
+    return (ms) => Math.round(ms / frameMs) * frameMs;
+}
+
+/**
+ * Measure each chunk's playback duration from its MP3 frames
+ * @param {string[]} chunkPaths - Array of chunk file paths
+ * @returns {number[]} - Durations in milliseconds (0 for missing files)
+ */
+export function getChunkDurations(chunkPaths) {
+    return chunkPaths.map((chunkPath) => {
+        if (!fs.existsSync(chunkPath)) return 0;
+        return getMp3DurationMs(fs.readFileSync(chunkPath));
+    });
+}
+
 /**
  * Clean up temporary chunk files after merging
  * @param {string[]} chunkPaths - Array of chunk file paths to delete
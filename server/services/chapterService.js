@@ -0,0 +1,144 @@
+/**
+ * chapterService.js
+ * ─────────────────
+ * Derives audiobook chapters from the PDF outline (sections) or from pages,
+ * and maps them onto the merged audio timeline.
+ */
+
+const CHAPTER_MODES = ['auto', 'sections', 'pages', 'none'];
+const MAX_SECTION_TITLE_LENGTH = 200;
+
+/**
+ * Sanitize a client-supplied PDF outline into session sections
+ * @param {Array<{ title: string, pageIndex: number, level?: number }>} outline
+ * @param {number} pageCount
+ * @returns {Array<{ id: string, title: string, pageIndex: number, level: number }>}
+ */
+export function normalizeSections(outline, pageCount) {
+    if (!Array.isArray(outline)) return [];
+
+    return outline
+        .map((item) => ({
+            title: String(item?.title || '').replace(/\s+/g, ' ').trim().substring(0, MAX_SECTION_TITLE_LENGTH),
+            pageIndex: Number(item?.pageIndex),
+            level: Number.isInteger(item?.level) && item.level >= 0 ? item.level : 0,
+        }))
+        .filter((item) =>
+            item.title.length > 0 &&
+            Number.isInteger(item.pageIndex) &&
+            item.pageIndex >= 0 &&
+            item.pageIndex < pageCount
+        )
+        .map((item, index) => ({ id: `s${index + 1}`, ...item }));
+}
+
+export function normalizeChapterMode(mode) {
+    return CHAPTER_MODES.includes(mode) ? mode : 'auto';
+}
+
+/**
+ * Pick the shallowest outline level that actually splits the book,
+ * e.g. skip a single top-level "Book Title" entry and use its children.
+ */
+function pickSectionLevel(sections) {
+    const levels = [...new Set(sections.map((section) => section.level))].sort((a, b) => a - b);
+    for (const level of levels) {
+        const pagesAtLevel = new Set(
+            sections.filter((section) => section.level === level).map((section) => section.pageIndex)
+        );
+        if (pagesAtLevel.size >= 2) return level;
+    }
+    return levels[0];
+}
+
+function sectionChapters(sections, pageIndexes) {
+    if (sections.length === 0) return [];
+
+    const level = pickSectionLevel(sections);
+    const firstPage = pageIndexes[0];
+    const lastPage = pageIndexes[pageIndexes.length - 1];
+    const chapters = [];
+
+    for (const section of sections) {
+        if (section.level !== level) continue;
+        if (section.pageIndex > lastPage) continue;
+
+        const pageIndex = Math.max(section.pageIndex, firstPage);
+        const previous = chapters[chapters.length - 1];
+        if (previous && previous.pageIndex >= pageIndex) {
+            // Several entries on one page (or before the selection) — keep the latest.
+            previous.title = section.title;
+            previous.sectionId = section.id;
+            continue;
+        }
+        chapters.push({ title: section.title, pageIndex, sectionId: section.id });
+    }
+
+    return chapters;
+}
+
+/**
+ * Decide chapter boundaries for the pages being rendered
+ * @param {object} options
+ * @param {number[]} options.pageIndexes - Ascending page indexes in the audiobook
+ * @param {Array} [options.sections] - Normalized session sections
+ * @param {string} [options.mode] - auto | sections | pages | none
+ * @param {string} [options.introTitle] - Title for audio before the first section
+ * @returns {Array<{ title: string, pageIndex: number, sectionId?: string }>}
+ */
+export function planChapters({ pageIndexes, sections = [], mode = 'auto', introTitle = 'Introduction' }) {
+    if (!pageIndexes?.length || mode === 'none') return [];
+
+    const pageChapters = () =>
+        pageIndexes.map((pageIndex) => ({ title: `Page ${pageIndex + 1}`, pageIndex }));
+
+    if (mode === 'pages') return pageChapters();
+
+    const chapters = sectionChapters(sections, pageIndexes);
+    if (mode === 'auto' && chapters.length < 2) return pageChapters();
+
+    if (chapters.length > 0 && chapters[0].pageIndex > pageIndexes[0]) {
+        chapters.unshift({ title: introTitle, pageIndex: pageIndexes[0] });
+    }
+
+    return chapters;
+}
+
+/**
+ * Convert planned chapters into millisecond ranges on the merged audio
+ * @param {Array<{ title: string, pageIndex: number }>} chapters
+ * @param {Map<number, number>} pageStartMs - First audio millisecond for each rendered page
+ * @param {number} totalMs - Total merged duration
+ * @returns {Array<{ title: string, startMs: number, endMs: number }>}
+ */
+export function buildChapterTimeline(chapters, pageStartMs, totalMs) {
+    const timed = [];
+
+    for (const chapter of chapters) {
+        const startMs = resolvePageStart(pageStartMs, chapter.pageIndex, totalMs);
+        const previous = timed[timed.length - 1];
+        if (startMs >= totalMs) continue;
+        if (previous && startMs <= previous.startMs) {
+            // The earlier chapter has no audio of its own — let the later title win.
+            Object.assign(previous, chapter, { startMs: previous.startMs });
+            continue;
+        }
+        timed.push({ ...chapter, startMs });
+    }
+
+    return timed.map((chapter, index) => ({
+        ...chapter,
+        endMs: index < timed.length - 1 ? timed[index + 1].startMs : totalMs,
+    }));
+}
+
+function resolvePageStart(pageStartMs, pageIndex, totalMs) {
+    if (pageStartMs.has(pageIndex)) return pageStartMs.get(pageIndex);
+
+    // Pages without audio start where the next page with audio starts.
+    let best = totalMs;
+    for (const [candidatePage, startMs] of pageStartMs) {
+        if (candidatePage > pageIndex && startMs < best) best = startMs;
+    }
+    return best;
+}
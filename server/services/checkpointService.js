@@ -0,0 +1,187 @@
+/**
+ * checkpointService.js
+ * ────────────────────
+ * Per-session manifests of finished audiobook chunks.
+ *
+ * Each combination of language + playback settings gets its own checkpoint
+ * folder inside the session audio directory. Finished chunks are recorded in
+ * manifest.json as soon as they are written, so a retried job (or one started
+ * again after a server restart) only synthesizes what is still missing.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MANIFEST_FILE = 'manifest.json';
+const CHECKPOINT_PREFIX = 'book_';
+
+export function hashText(text) {
+    return crypto.createHash('sha1').update(String(text)).digest('hex');
+}
+
+/**
+ * Stable key for the settings that change synthesized audio
+ * @param {object} params - { language, playback }
+ * @returns {string}
+ */
+export function getCheckpointKey(params) {
+    return hashText(JSON.stringify(params)).substring(0, 16);
+}
+
+function writeManifest(checkpoint) {
+    checkpoint.manifest.updatedAt = Date.now();
+    const tempPath = `${checkpoint.manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(checkpoint.manifest), 'utf-8');
+    fs.renameSync(tempPath, checkpoint.manifestPath);
+}
+
+function readManifest(manifestPath) {
+    try {
+        const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+        return parsed && typeof parsed.chunks === 'object' ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Open (or create) the checkpoint for a set of generation params
+ * @param {string} sessionAudioDir
+ * @param {object} params - Settings that affect audio (see getCheckpointKey)
+ * @returns {{ key: string, dir: string, manifestPath: string, manifest: object }}
+ */
+export function openCheckpoint(sessionAudioDir, params) {
+    const key = getCheckpointKey(params);
+    const dir = path.join(sessionAudioDir, `${CHECKPOINT_PREFIX}${key}`);
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const manifest = readManifest(manifestPath) || {
+        key,
+        params,
+        totalChunks: 0,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        chunks: {},
+    };
+
+    const checkpoint = { key, dir, manifestPath, manifest };
+    writeManifest(checkpoint);
+    return checkpoint;
+}
+
+export function setCheckpointTotal(checkpoint, totalChunks) {
+    checkpoint.manifest.totalChunks = totalChunks;
+    writeManifest(checkpoint);
+}
+
+/**
+ * Look up a finished chunk. Entries whose source text changed, whose audio
+ * file disappeared, or that were produced by a fallback (e.g. translation
+ * failed and the source text was read instead) are treated as missing.
+ * @param {object} checkpoint
+ * @param {string} chunkId
+ * @param {string} textHash
+ * @returns {object|null}
+ */
+export function getCompletedChunk(checkpoint, chunkId, textHash) {
+    const entry = checkpoint.manifest.chunks[chunkId];
+    if (!entry || entry.textHash !== textHash || entry.fallback) return null;
+    if (!fs.existsSync(path.join(checkpoint.dir, entry.file))) return null;
+    return entry;
+}
+
+/**
+ * Record a finished chunk and flush the manifest to disk
+ * @param {object} checkpoint
+ * @param {string} chunkId
+ * @param {{ file: string, textHash: string, fallback?: boolean, timingsFile?: string }} entry
+ */
+export function recordChunk(checkpoint, chunkId, entry) {
+    checkpoint.manifest.chunks[chunkId] = {
+        ...entry,
+        completedAt: Date.now(),
+    };
+    writeManifest(checkpoint);
+}
+
+/**
+ * Store the spoken text + word timings of a chunk next to its audio, so
+ * subtitles can still be built for chunks restored from the checkpoint.
+ * @param {object} checkpoint
+ * @param {string} chunkId
+ * @param {{ spokenText: string, wordTimings: Array }} timings
+ * @returns {string} - File name to record in the manifest entry
+ */
+export function writeChunkTimings(checkpoint, chunkId, timings) {
+    const file = `${chunkId}.json`;
+    fs.writeFileSync(path.join(checkpoint.dir, file), JSON.stringify(timings), 'utf-8');
+    return file;
+}
+
+/**
+ * @param {object} checkpoint
+ * @param {object} entry - Manifest entry from getCompletedChunk()
+ * @returns {{ spokenText: string, wordTimings: Array }}
+ */
+export function readChunkTimings(checkpoint, entry) {
+    try {
+        const parsed = JSON.parse(fs.readFileSync(path.join(checkpoint.dir, entry.timingsFile), 'utf-8'));
+        return {
+            spokenText: String(parsed.spokenText || ''),
+            wordTimings: Array.isArray(parsed.wordTimings) ? parsed.wordTimings : [],
+        };
+    } catch {
+        return { spokenText: '', wordTimings: [] };
+    }
+}
+
+export function removeCheckpoint(checkpoint) {
+    fs.rmSync(checkpoint.dir, { recursive: true, force: true });
+}
+
+/**
+ * Drop chunks that were consumed by a finished export. Other chunks stay
+ * (e.g. an unfinished full-book run), and the folder goes once it is empty.
+ * @param {object} checkpoint
+ * @param {string[]} chunkIds
+ */
+export function releaseChunks(checkpoint, chunkIds) {
+    for (const chunkId of chunkIds) {
+        const entry = checkpoint.manifest.chunks[chunkId];
+        if (!entry) continue;
+        fs.rmSync(path.join(checkpoint.dir, entry.file), { force: true });
+        if (entry.timingsFile) {
+            fs.rmSync(path.join(checkpoint.dir, entry.timingsFile), { force: true });
+        }
+        delete checkpoint.manifest.chunks[chunkId];
+    }
+
+    if (Object.keys(checkpoint.manifest.chunks).length === 0) {
+        removeCheckpoint(checkpoint);
+    } else {
+        writeManifest(checkpoint);
+    }
+}
+
+/**
+ * Summaries of unfinished checkpoints in a session folder
+ * @param {string} sessionAudioDir
+ * @returns {Array<{ key: string, params: object, completedChunks: number, totalChunks: number, updatedAt: number }>}
+ */
+export function listCheckpoints(sessionAudioDir) {
+    if (!fs.existsSync(sessionAudioDir)) return [];
+
+    return fs.readdirSync(sessionAudioDir)
+        .filter((name) => name.startsWith(CHECKPOINT_PREFIX))
+        .map((name) => readManifest(path.join(sessionAudioDir, name, MANIFEST_FILE)))
+        .filter(Boolean)
+        .map((manifest) => ({
+            key: manifest.key,
+            params: manifest.params,
+            completedChunks: Object.keys(manifest.chunks).length,
+            totalChunks: manifest.totalChunks,
+            updatedAt: manifest.updatedAt,
+        }));
+}
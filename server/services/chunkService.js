@@ -110,6 +110,29 @@ export function chunkText(text, maxSize = MAX_CHUNK_SIZE) {
     return chunks.filter(c => c.length > 0);
 }
 
+/**
+ * Split text into chunks that never cross a paragraph break (blank line)
+ * Used when merged audio needs a pause after each paragraph.
+ *
+ * @param {string} text - Text to split
+ * @param {number} maxSize - Maximum chunk size in characters
+ * @returns {Array<{ text: string, endsParagraph: boolean }>}
+ */
+export function chunkParagraphs(text, maxSize = MAX_CHUNK_SIZE) {
+    if (!text) return [];
+
+    return text
+        .split(/\n\s*\n+/)
+        .filter((paragraph) => paragraph.trim().length > 0)
+        .flatMap((paragraph) => {
+            const pieces = chunkText(paragraph.trim(), maxSize);
+            return pieces.map((piece, index) => ({
+                text: piece,
+                endsParagraph: index === pieces.length - 1,
+            }));
+        });
+}
+
 function findBestSplitPoint(text, maxSize) {
     const searchRegion = text.substring(0, maxSize);
 
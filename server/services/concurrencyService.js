@@ -0,0 +1,161 @@
+/**
+ * concurrencyService.js
+ * ─────────────────────
+ * Bounded parallelism for translation + TTS work.
+ *
+ * - A global limiter caps how many chunk tasks run on the server at once.
+ * - A per-session limiter caps one user's share, so a single audiobook
+ *   cannot take every global slot and starve other readers.
+ * - mapOrdered() runs a window of tasks in parallel but hands results back
+ *   strictly in input order (SSE chunk-ready events, merge order).
+ */
+
+function readLimit(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+export const GLOBAL_CONCURRENCY = readLimit('TTS_GLOBAL_CONCURRENCY', 6);
+export const SESSION_CONCURRENCY = readLimit('TTS_SESSION_CONCURRENCY', 3);
+export const DEFAULT_CONCURRENCY = Math.min(readLimit('TTS_CONCURRENCY', 3), SESSION_CONCURRENCY);
+
+/**
+ * FIFO counting semaphore
+ * @param {number} max - Maximum concurrent holders
+ */
+export function createLimiter(max) {
+    let active = 0;
+    const waiting = [];
+
+    const release = () => {
+        active--;
+        const next = waiting.shift();
+        if (next) {
+            active++;
+            next();
+        }
+    };
+
+    const acquire = () => {
+        if (active < max) {
+            active++;
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => waiting.push(resolve));
+    };
+
+    return {
+        async run(task) {
+            await acquire();
+            try {
+                return await task();
+            } finally {
+                release();
+            }
+        },
+        get active() {
+            return active;
+        },
+        get pending() {
+            return waiting.length;
+        },
+    };
+}
+
+const globalLimiter = createLimiter(GLOBAL_CONCURRENCY);
+const sessionLimiters = new Map();
+
+/**
+ * Run a task under both the session cap and the global cap
+ * The session slot is taken first so a busy session queues behind itself
+ * instead of holding global slots while it waits.
+ *
+ * @param {string} sessionId
+ * @param {() => Promise<any>} task
+ * @returns {Promise<any>}
+ */
+export function runLimited(sessionId, task) {
+    let limiter = sessionLimiters.get(sessionId);
+    if (!limiter) {
+        limiter = createLimiter(SESSION_CONCURRENCY);
+        sessionLimiters.set(sessionId, limiter);
+    }
+
+    return limiter.run(() => globalLimiter.run(task)).finally(() => {
+        if (limiter.active === 0 && limiter.pending === 0 && sessionLimiters.get(sessionId) === limiter) {
+            sessionLimiters.delete(sessionId);
+        }
+    });
+}
+
+export function clampConcurrency(value) {
+    const numeric = Math.floor(Number(value));
+    if (!Number.isFinite(numeric)) return DEFAULT_CONCURRENCY;
+    return Math.max(1, Math.min(SESSION_CONCURRENCY, numeric));
+}
+
+/**
+ * Run worker over items with a bounded window, delivering results in order
+ *
+ * onResult receives `{ value }` or `{ error }` for item i only after items
+ * 0..i-1 were delivered. The window counts every task started but not yet
+ * delivered, so finished results waiting behind a slow item hold their slot
+ * and work never runs more than `concurrency` items ahead of delivery.
+ * If onResult throws, no new work is started, in-flight
+ * work is allowed to settle, and the returned promise rejects.
+ *
+ * @param {Array} items
+ * @param {object} options
+ * @param {number} options.concurrency - Maximum tasks started but not yet delivered
+ * @param {(item: any, index: number) => Promise<any>} options.worker
+ * @param {(result: { value?: any, error?: Error }, index: number) => (void|Promise<void>)} options.onResult
+ * @param {() => boolean} [options.shouldStop] - Checked before each new task starts
+ * @returns {Promise<{ stopped: boolean }>}
+ */
+export async function mapOrdered(items, { concurrency, worker, onResult, shouldStop = () => false }) {
+    const results = new Map();
+    const inFlight = new Set();
+    let nextToStart = 0;
+    let nextToDeliver = 0;
+    let stopped = false;
+    const windowSize = Math.max(1, concurrency);
+
+    const startTask = (index) => {
+        const promise = Promise.resolve()
+            .then(() => worker(items[index], index))
+            .then(
+                (value) => results.set(index, { value }),
+                (error) => results.set(index, { error })
+            )
+            .finally(() => inFlight.delete(promise));
+        inFlight.add(promise);
+    };
+
+    try {
+        while (nextToDeliver < items.length) {
+            while (!stopped && nextToStart < items.length && nextToStart - nextToDeliver < windowSize) {
+                if (shouldStop()) {
+                    stopped = true;
+                    break;
+                }
+                startTask(nextToStart++);
+            }
+
+            if (results.has(nextToDeliver)) {
+                const result = results.get(nextToDeliver);
+                results.delete(nextToDeliver);
+                await onResult(result, nextToDeliver);
+                nextToDeliver++;
+                continue;
+            }
+
+            if (inFlight.size === 0) break; // Stopped before reaching this item
+            await Promise.race(inFlight);
+        }
+    } catch (error) {
+        await Promise.allSettled([...inFlight]);
+        throw error;
+    }
+
+    return { stopped: stopped || nextToDeliver < items.length };
+}
@@ -0,0 +1,221 @@
+/**
+ * dialogueService.js
+ * ──────────────────
+ * Multi-voice narration: splits a chunk into narration and quoted dialogue
+ * and picks a voice for each part.
+ *
+ *   - quote characters depend on the language (“…”, "…", ‘…’, «…»)
+ *   - the speaker of a quote is guessed from a nearby speech verb
+ *     ("…," said Maya / Maya asked, "…" / राम ने कहा) so per-speaker
+ *     overrides can apply; other dialogue gets a voice contrasting with
+ *     the narrator (the other gender by default)
+ *
+ * Segments keep every character of the chunk in order, so joining their
+ * texts gives back the chunk and word timings can simply be concatenated.
+ */
+
+const MAX_QUOTE_LENGTH = 1500;
+const MAX_SPEAKERS = 50;
+const MAX_SPEAKER_NAME_LENGTH = 60;
+export const NARRATION_MODES = ['single', 'dialogue'];
+
+const CURLY_DOUBLE = ['“', '”'];
+const STRAIGHT_DOUBLE = ['"', '"'];
+const CURLY_SINGLE = ['‘', '’'];
+const GUILLEMETS = ['«', '»'];
+
+const QUOTE_PAIRS = {
+    default: [CURLY_DOUBLE, STRAIGHT_DOUBLE, CURLY_SINGLE],
+    // Urdu print often uses guillemets
+    ur: [CURLY_DOUBLE, GUILLEMETS, STRAIGHT_DOUBLE, CURLY_SINGLE],
+};
+
+const SPEECH_VERBS = {
+    en: 'said|says|asked|asks|replied|replies|answered|shouted|whispered|cried|muttered|called|added|continued|exclaimed|told',
+    hi: 'कहा|पूछा|बोला|बोली|बोले|चिल्लाया|चिल्लाई',
+    mr: 'म्हणाला|म्हणाली|म्हणाले|विचारले',
+    bn: 'বলল|বললেন|বলে|জিজ্ঞেস করল',
+    ur: 'کہا|پوچھا|بولا|بولی',
+};
+
+const NAME = '(\\p{Lu}[\\p{L}\\p{M}\'’-]*(?:\\s+\\p{Lu}[\\p{L}\\p{M}\'’-]*)?)';
+const INDIC_NAME = '([\\p{L}\\p{M}]+)';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildQuotePattern(language) {
+    const pairs = QUOTE_PAIRS[language] || QUOTE_PAIRS.default;
+    const alternatives = pairs.map(([open, close]) => {
+        const body = `[^${escapeRegExp(close)}\\n]{1,${MAX_QUOTE_LENGTH}}`;
+        // ‘…’ only counts at a word edge, so apostrophes (it’s, rock ’n’ roll) are left alone
+        if (open === '‘') {
+            return `(?<![\\p{L}\\p{N}])‘${body}’(?![\\p{L}\\p{N}])`;
+        }
+        return `${escapeRegExp(open)}${body}${escapeRegExp(close)}`;
+    });
+    return new RegExp(alternatives.join('|'), 'gu');
+}
+
+function buildSpeakerPatterns(language) {
+    const verbs = SPEECH_VERBS[language] || SPEECH_VERBS.en;
+    if (language === 'en' || !SPEECH_VERBS[language]) {
+        return {
+            after: [
+                new RegExp(`^[\\s,;:—–-]*(?:${verbs})\\s+${NAME}`, 'u'),
+                new RegExp(`^[\\s,;:—–-]*${NAME}\\s+(?:${verbs})\\b`, 'u'),
+            ],
+            before: [new RegExp(`${NAME}\\s+(?:${verbs})[\\s,:—–-]*$`, 'u')],
+        };
+    }
+
+    // Indic word order: "<name> ने कहा" before or after the quote
+    return {
+        after: [new RegExp(`^[\\s,;:—–-]*${INDIC_NAME}\\s+(?:ने\\s+)?(?:${verbs})`, 'u')],
+        before: [new RegExp(`${INDIC_NAME}\\s+(?:ने\\s+)?(?:${verbs})[\\s,:—–-]*$`, 'u')],
+    };
+}
+
+function findSpeaker(before, after, patterns) {
+    for (const pattern of patterns.after) {
+        const match = after.slice(0, 80).match(pattern);
+        if (match) return match[1];
+    }
+    for (const pattern of patterns.before) {
+        const match = before.slice(-80).match(pattern);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+function hasSpeakableText(text) {
+    return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * Split text into narration and dialogue segments
+ * Parts without letters or digits (spaces, lone punctuation) are folded into
+ * a neighbour so every segment is worth a TTS call.
+ *
+ * @param {string} text
+ * @param {string} language - App language code
+ * @returns {Array<{ text: string, kind: 'narration'|'dialogue', speaker: string|null }>}
+ */
+export function splitDialogue(text, language) {
+    const source = String(text || '');
+    const patterns = buildSpeakerPatterns(language);
+    const raw = [];
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(buildQuotePattern(language))) {
+        if (match.index > lastIndex) {
+            raw.push({ text: source.slice(lastIndex, match.index), kind: 'narration', speaker: null });
+        }
+        const end = match.index + match[0].length;
+        raw.push({
+            text: match[0],
+            kind: 'dialogue',
+            speaker: findSpeaker(source.slice(0, match.index), source.slice(end), patterns),
+        });
+        lastIndex = end;
+    }
+    if (lastIndex < source.length) {
+        raw.push({ text: source.slice(lastIndex), kind: 'narration', speaker: null });
+    }
+
+    const segments = [];
+    for (const segment of raw) {
+        const previous = segments[segments.length - 1];
+        if (previous && (!hasSpeakableText(segment.text) || !hasSpeakableText(previous.text))) {
+            const kind = hasSpeakableText(previous.text) ? previous.kind : segment.kind;
+            const speaker = hasSpeakableText(previous.text) ? previous.speaker : segment.speaker;
+            segments[segments.length - 1] = { text: previous.text + segment.text, kind, speaker };
+        } else {
+            segments.push({ ...segment });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Parse a voice choice: 'male'/'female' (the language default for that
+ * gender) or an explicit voice id
+ * @returns {{ voice?: string, voiceGender?: string }}
+ */
+function parseVoiceChoice(value) {
+    return value === 'male' || value === 'female' ? { voiceGender: value } : { voice: value };
+}
+
+/**
+ * Validate a narration request
+ * @param {object} input - { mode, dialogueVoice?, speakers?: { [name]: voice } }
+ * @param {(voiceId: string) => Promise<object|null>} lookupVoice - Catalog lookup
+ * @returns {Promise<{ narration?: object|null, error?: string }>} - null for single-voice reading
+ */
+export async function normalizeNarration(input, lookupVoice) {
+    if (!input || input.mode === undefined || input.mode === 'single') return { narration: null };
+    if (!NARRATION_MODES.includes(input.mode)) {
+        return { error: `narration.mode must be one of: ${NARRATION_MODES.join(', ')}` };
+    }
+
+    const checkVoice = async (value, label) => {
+        if (typeof value !== 'string' || !value.trim()) return `${label} must be a voice id, "male" or "female"`;
+        if (value === 'male' || value === 'female') return null;
+        return (await lookupVoice(value)) ? null : `Unknown voice "${value}" for ${label}`;
+    };
+
+    const narration = { mode: input.mode, dialogueVoice: null, speakers: {} };
+    if (input.dialogueVoice) {
+        const error = await checkVoice(input.dialogueVoice, 'narration.dialogueVoice');
+        if (error) return { error };
+        narration.dialogueVoice = input.dialogueVoice;
+    }
+
+    const speakers = Object.entries(input.speakers && typeof input.speakers === 'object' ? input.speakers : {});
+    if (speakers.length > MAX_SPEAKERS) {
+        return { error: `At most ${MAX_SPEAKERS} speaker voices are supported` };
+    }
+    for (const [name, value] of speakers) {
+        const speaker = String(name).trim();
+        if (!speaker || speaker.length > MAX_SPEAKER_NAME_LENGTH) {
+            return { error: `Speaker names must be 1-${MAX_SPEAKER_NAME_LENGTH} characters` };
+        }
+        const error = await checkVoice(value, `speaker "${speaker}"`);
+        if (error) return { error };
+        narration.speakers[speaker] = value;
+    }
+
+    return { narration };
+}
+
+/**
+ * Split a chunk and pick the voice settings for every segment
+ * @param {string} text
+ * @param {string} language
+ * @param {object} narration - From normalizeNarration()
+ * @param {{ voice?: string, voiceGender: string }} playback - Narrator voice
+ * @returns {Array<{ text: string, kind: string, speaker: string|null, voice: { voice?: string, voiceGender: string }|null }>}
+ */
+export function planDialogueVoices(text, language, narration, playback) {
+    const speakerVoices = new Map(
+        Object.entries(narration.speakers || {}).map(([name, value]) => [name.toLocaleLowerCase(), value])
+    );
+    const contrasting = narration.dialogueVoice
+        ? parseVoiceChoice(narration.dialogueVoice)
+        : { voiceGender: playback.voiceGender === 'male' ? 'female' : 'male' };
+
+    return splitDialogue(text, language).map((segment) => {
+        if (segment.kind !== 'dialogue') return { ...segment, voice: null };
+
+        const override = segment.speaker && speakerVoices.get(segment.speaker.toLocaleLowerCase());
+        const choice = override ? parseVoiceChoice(override) : contrasting;
+        return {
+            ...segment,
+            voice: {
+                voice: choice.voice,
+                voiceGender: choice.voiceGender || playback.voiceGender,
+            },
+        };
+    });
+}
@@ -0,0 +1,139 @@
+/**
+ * docxService.js
+ * ──────────────
+ * Writes a translated document (see translatedDocumentService.js) as a
+ * minimal WordprocessingML package: one paragraph per source paragraph, a
+ * "Page N" heading per page and a page break between pages.
+ *
+ * The language metadata goes into docProps/core.xml (dc:language is the
+ * target language, the description names the source language) and into
+ * docProps/custom.xml as SourceLanguage/TargetLanguage properties.
+ */
+
+import { writeZipFile } from './zipService.js';
+
+// XML 1.0 allows tab, newline and carriage return among the control characters
+function isXmlChar(char) {
+    const code = char.charCodeAt(0);
+    return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+function escapeXml(text) {
+    return Array.from(String(text ?? '')).filter(isXmlChar).join('')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+  <Override PartName="/docProps/custom.xml" ContentType="application/vnd.openxmlformats-officedocument.custom-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties" Target="docProps/custom.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+function buildStyles(language) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:sz w:val="22"/><w:lang w:val="${escapeXml(language)}" w:bidi="${escapeXml(language)}"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:rPr><w:i/><w:color w:val="666666"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+</w:styles>`;
+}
+
+function paragraph(text, style, { pageBreakBefore = false, rtl = false } = {}) {
+    const properties = [
+        style ? `<w:pStyle w:val="${style}"/>` : '',
+        pageBreakBefore ? '<w:pageBreakBefore/>' : '',
+        rtl ? '<w:bidi/>' : '',
+    ].join('');
+    const runProperties = rtl ? '<w:rPr><w:rtl/></w:rPr>' : '';
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}<w:r>${runProperties}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+}
+
+function buildDocument(doc) {
+    const rtl = doc.targetLanguage.code === 'ur';
+    const body = [
+        paragraph(doc.title, 'Title'),
+        ...(doc.author ? [paragraph(doc.author, 'Subtitle')] : []),
+        paragraph(`Translated from ${doc.sourceLanguage.name} to ${doc.targetLanguage.name}`, 'Subtitle'),
+    ];
+
+    doc.pages.forEach((page, index) => {
+        body.push(paragraph(`Page ${page.pageIndex + 1}`, 'Heading2', { pageBreakBefore: index > 0 }));
+        for (const text of page.paragraphs) body.push(paragraph(text, null, { rtl }));
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:body>
+    ${body.join('\n    ')}
+    <w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+  </w:body>
+</w:document>`;
+}
+
+function buildCoreProperties(doc) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(doc.title)}</dc:title>
+  <dc:creator>${escapeXml(doc.author)}</dc:creator>
+  <dc:language>${escapeXml(doc.targetLanguage.code)}</dc:language>
+  <dc:description>${escapeXml(`Translated from ${doc.sourceLanguage.name} (${doc.sourceLanguage.code})`)}</dc:description>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${escapeXml(doc.generatedAt)}</dcterms:created>
+</cp:coreProperties>`;
+}
+
+function buildCustomProperties(doc) {
+    const properties = {
+        SourceLanguage: doc.sourceLanguage.code,
+        SourceLanguageName: doc.sourceLanguage.name,
+        TargetLanguage: doc.targetLanguage.code,
+        TranslationProviders: doc.translationProviders.join(', '),
+    };
+    const items = Object.entries(properties).map(([name, value], index) =>
+        `<property fmtid="{D5CDD505-2E9C-101B-9397-08002B2CF9AE}" pid="${index + 2}" name="${name}"><vt:lpwstr>${escapeXml(value)}</vt:lpwstr></property>`
+    );
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/custom-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">
+  ${items.join('\n  ')}
+</Properties>`;
+}
+
+/**
+ * @param {string} outputPath
+ * @param {object} doc - Translated document
+ * @returns {string} - outputPath
+ */
+export function writeDocx(outputPath, doc) {
+    return writeZipFile(outputPath, [
+        { name: '[Content_Types].xml', data: CONTENT_TYPES },
+        { name: '_rels/.rels', data: ROOT_RELS },
+        { name: 'word/document.xml', data: buildDocument(doc) },
+        { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS },
+        { name: 'word/styles.xml', data: buildStyles(doc.targetLanguage.code) },
+        { name: 'docProps/core.xml', data: buildCoreProperties(doc) },
+        { name: 'docProps/custom.xml', data: buildCustomProperties(doc) },
+    ]);
+}
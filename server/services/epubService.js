@@ -0,0 +1,248 @@
+/**
+ * epubService.js
+ * ──────────────
+ * Packages an audiobook as an EPUB 3 "read-along" book:
+ *   - one XHTML document per page, with every caption sentence in a <span>
+ *   - one SMIL Media Overlay per page pointing each span at its clip of the
+ *     merged MP3, so reading systems highlight text while the audio plays
+ *   - nav document built from the audiobook chapters, optional cover image
+ */
+
+import { writeZipFile } from './zipService.js';
+
+const AUDIO_HREF = 'audio/book.mp3';
+const ACTIVE_CLASS = '-epub-media-overlay-active';
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.6; margin: 1em; }
+h2 { margin: 1.2em 0 0.6em; }
+.page-label { color: #888; font-size: 0.8em; margin: 1.5em 0 0.5em; }
+.${ACTIVE_CLASS} { background-color: #ffe58a; color: inherit; }
+`;
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatClock(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = ((total % 60000) / 1000).toFixed(3).padStart(6, '0');
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+}
+
+function pageFileName(pageIndex) {
+    return `page_${pageIndex + 1}.xhtml`;
+}
+
+function xhtmlDocument({ title, language, body }) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function buildPageDocument(page, chapterTitles, language) {
+    const paragraphs = [];
+    let currentChunk = null;
+    let spans = [];
+
+    const flush = () => {
+        if (spans.length > 0) paragraphs.push(`<p>${spans.join(' ')}</p>`);
+        spans = [];
+    };
+
+    for (const cue of page.cues) {
+        if (cue.chunkIndex !== currentChunk) {
+            flush();
+            currentChunk = cue.chunkIndex;
+        }
+        spans.push(`<span id="${cue.id}">${escapeXml(cue.text)}</span>`);
+    }
+    flush();
+
+    const headings = chapterTitles.map((title) => `<h2>${escapeXml(title)}</h2>`).join('\n');
+    const pageLabel = `Page ${page.pageIndex + 1}`;
+
+    return xhtmlDocument({
+        title: chapterTitles[0] || pageLabel,
+        language,
+        body: `<section id="page${page.pageIndex + 1}" epub:type="chapter">
+${headings}
+<p class="page-label">${pageLabel}</p>
+${paragraphs.join('\n')}
+</section>`,
+    });
+}
+
+function buildSmil(page) {
+    const textRef = pageFileName(page.pageIndex);
+    const pars = page.cues.map((cue) => `<par id="par_${cue.id}">
+<text src="${textRef}#${cue.id}"/>
+<audio src="${AUDIO_HREF}" clipBegin="${formatClock(cue.startMs)}" clipEnd="${formatClock(cue.endMs)}"/>
+</par>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+<body>
+<seq id="seq_page${page.pageIndex + 1}" epub:textref="${textRef}" epub:type="chapter">
+${pars.join('\n')}
+</seq>
+</body>
+</smil>
+`;
+}
+
+function buildNav(tocEntries, title, language) {
+    const items = tocEntries
+        .map((entry) => `<li><a href="${pageFileName(entry.pageIndex)}">${escapeXml(entry.title)}</a></li>`)
+        .join('\n');
+
+    return xhtmlDocument({
+        title,
+        language,
+        body: `<nav epub:type="toc" id="toc">
+<h1>${escapeXml(title)}</h1>
+<ol>
+${items}
+</ol>
+</nav>`,
+    });
+}
+
+function buildPackage({ identifier, title, author, language, pages, cover }) {
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="css" href="styles.css" media-type="text/css"/>',
+        `<item id="audio" href="${AUDIO_HREF}" media-type="audio/mpeg"/>`,
+    ];
+    const durations = [];
+    const spine = [];
+    let totalMs = 0;
+
+    if (cover) {
+        manifest.push(`<item id="cover" href="${cover.href}" media-type="${cover.mimeType}" properties="cover-image"/>`);
+    }
+
+    for (const page of pages) {
+        const number = page.pageIndex + 1;
+        const pageDuration = page.cues.reduce((sum, cue) => sum + (cue.endMs - cue.startMs), 0);
+        manifest.push(`<item id="page${number}" href="${pageFileName(page.pageIndex)}" media-type="application/xhtml+xml" media-overlay="smil${number}"/>`);
+        manifest.push(`<item id="smil${number}" href="page_${number}.smil" media-type="application/smil+xml"/>`);
+        durations.push(`<meta property="media:duration" refines="#smil${number}">${formatClock(pageDuration)}</meta>`);
+        spine.push(`<itemref idref="page${number}"/>`);
+        totalMs += pageDuration;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+${author ? `<dc:creator>${escapeXml(author)}</dc:creator>\n` : ''}<dc:language>${escapeXml(language)}</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+<meta property="media:duration">${formatClock(totalMs)}</meta>
+${durations.join('\n')}
+<meta property="media:active-class">${ACTIVE_CLASS}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+${spine.join('\n')}
+</spine>
+</package>
+`;
+}
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+/**
+ * Write an EPUB 3 file with Media Overlays
+ * @param {string} outputPath
+ * @param {object} book
+ * @param {string} book.identifier - e.g. urn:uuid:...
+ * @param {string} book.title
+ * @param {string} [book.author]
+ * @param {string} book.language - BCP 47 code of the text (the spoken language)
+ * @param {string} book.audioPath - Merged MP3 the cues are timed against
+ * @param {Array<{ pageIndex: number, cues: Array<{ startMs: number, endMs: number, text: string, chunkIndex: number }> }>} book.pages
+ * @param {Array<{ title: string, pageIndex: number }>} [book.chapters]
+ * @param {{ data: Buffer, mimeType: string }|null} [book.cover]
+ * @returns {string} - outputPath
+ */
+export function writeEpub(outputPath, book) {
+    const language = book.language || 'en';
+    const pages = book.pages
+        .filter((page) => page.cues.length > 0)
+        .map((page) => ({
+            ...page,
+            cues: page.cues.map((cue, index) => ({ ...cue, id: `p${page.pageIndex + 1}_s${index + 1}` })),
+        }));
+
+    if (pages.length === 0) {
+        throw new Error('No text to include in the EPUB');
+    }
+
+    const pageIndexes = new Set(pages.map((page) => page.pageIndex));
+    const chapters = (book.chapters || []).filter((chapter) => pageIndexes.has(chapter.pageIndex));
+    const tocEntries = chapters.length > 0
+        ? chapters
+        : pages.map((page) => ({ title: `Page ${page.pageIndex + 1}`, pageIndex: page.pageIndex }));
+
+    const cover = book.cover?.data
+        ? {
+            ...book.cover,
+            href: book.cover.mimeType === 'image/png' ? 'images/cover.png' : 'images/cover.jpg',
+        }
+        : null;
+
+    const entries = [
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: CONTAINER_XML },
+        {
+            name: 'OEBPS/content.opf',
+            data: buildPackage({ ...book, language, pages, cover }),
+        },
+        { name: 'OEBPS/nav.xhtml', data: buildNav(tocEntries, book.title, language) },
+        { name: 'OEBPS/styles.css', data: STYLESHEET },
+    ];
+
+    for (const page of pages) {
+        const chapterTitles = chapters
+            .filter((chapter) => chapter.pageIndex === page.pageIndex)
+            .map((chapter) => chapter.title);
+        entries.push({
+            name: `OEBPS/${pageFileName(page.pageIndex)}`,
+            data: buildPageDocument(page, chapterTitles, language),
+        });
+        entries.push({ name: `OEBPS/page_${page.pageIndex + 1}.smil`, data: buildSmil(page) });
+    }
+
+    if (cover) {
+        entries.push({ name: `OEBPS/${cover.href}`, data: cover.data, store: true });
+    }
+    entries.push({ name: `OEBPS/${AUDIO_HREF}`, filePath: book.audioPath });
+
+    return writeZipFile(outputPath, entries);
+}
@@ -0,0 +1,271 @@
+/**
+ * glossaryService.js
+ * ──────────────────
+ * Per-session translation glossary, kept in `session.glossary`:
+ *
+ *   - forced translations: `term` is always rendered as `translation`
+ *   - protected terms (no translation): `term` is kept exactly as written,
+ *     e.g. product names and statute titles
+ *
+ * Entries apply to one target language or to all ('*'). Before translation
+ * every glossary term is masked with a placeholder token that translation
+ * engines leave alone; afterwards the tokens are restored to the forced
+ * translation or the original term (see maskGlossaryTerms()).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { hashText } from './checkpointService.js';
+
+const MAX_TERM_LENGTH = 120;
+const MAX_TRANSLATION_LENGTH = 200;
+const MAX_ENTRIES = 2000;
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+// Engines may add spaces or change the letter case inside the token
+const PLACEHOLDER_PATTERN = /\[\s*[Gg]\s*(\d+)\s*\]/g;
+
+function optionalText(value, maxLength) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * Validate a glossary entry from a request body
+ * @param {object} input - { term, translation?, language?, caseSensitive? }
+ *   A missing/empty translation makes the term protected.
+ * @param {object} [existing] - Entry being updated (unspecified fields are kept)
+ * @returns {{ entry?: object, error?: string }}
+ */
+export function normalizeGlossaryEntry(input, existing = null) {
+    const merged = { ...existing, ...input };
+
+    const term = optionalText(merged.term, MAX_TERM_LENGTH + 1);
+    if (!term || term.length > MAX_TERM_LENGTH) {
+        return { error: `term must be 1-${MAX_TERM_LENGTH} characters` };
+    }
+
+    const language = String(merged.language || '*').trim().toLowerCase();
+    if (language !== '*' && !/^[a-z]{2,3}$/.test(language)) {
+        return { error: 'language must be a target language code such as "hi", or "*"' };
+    }
+
+    return {
+        entry: {
+            id: existing?.id || uuidv4(),
+            term,
+            translation: optionalText(merged.translation, MAX_TRANSLATION_LENGTH),
+            language,
+            caseSensitive: merged.caseSensitive === true,
+            updatedAt: Date.now(),
+        },
+    };
+}
+
+/**
+ * CRUD over `session.glossary`; `persist` saves the session
+ * Each method returns `{ entry }`, `{ entries }` or `{ error, status }`.
+ * @param {object} session
+ * @param {() => void} persist
+ */
+export function getSessionGlossary(session, persist) {
+    const getEntries = () => {
+        if (!Array.isArray(session.glossary)) session.glossary = [];
+        return session.glossary;
+    };
+    const findIndex = (entryId) => getEntries().findIndex((entry) => entry.id === entryId);
+
+    return {
+        list(language) {
+            const entries = getEntries();
+            return {
+                entries: language
+                    ? entries.filter((entry) => entry.language === language || entry.language === '*')
+                    : entries,
+            };
+        },
+        create(input) {
+            const entries = getEntries();
+            if (entries.length >= MAX_ENTRIES) {
+                return { error: `Glossary is limited to ${MAX_ENTRIES} entries`, status: 400 };
+            }
+            const { entry, error } = normalizeGlossaryEntry(input);
+            if (error) return { error, status: 400 };
+            entries.push(entry);
+            persist();
+            return { entry };
+        },
+        update(entryId, input) {
+            const index = findIndex(entryId);
+            if (index < 0) return { error: 'Glossary entry not found', status: 404 };
+            const { entry, error } = normalizeGlossaryEntry(input, session.glossary[index]);
+            if (error) return { error, status: 400 };
+            session.glossary[index] = entry;
+            persist();
+            return { entry };
+        },
+        remove(entryId) {
+            const index = findIndex(entryId);
+            if (index < 0) return { error: 'Glossary entry not found', status: 404 };
+            const [entry] = session.glossary.splice(index, 1);
+            persist();
+            return { entry };
+        },
+        /**
+         * Add (or replace) entries from CSV
+         * @param {string} csv
+         * @param {{ replace?: boolean, language?: string }} [options] - replace drops existing entries
+         */
+        importCsv(csv, { replace = false, language } = {}) {
+            const { rows, error } = parseGlossaryCsv(csv);
+            if (error) return { error, status: 400 };
+
+            const imported = [];
+            for (const [index, row] of rows.entries()) {
+                const { entry, error: rowError } = normalizeGlossaryEntry({ language, ...row });
+                if (rowError) return { error: `Row ${index + 1}: ${rowError}`, status: 400 };
+                imported.push(entry);
+            }
+
+            const kept = replace ? [] : getEntries().filter((entry) =>
+                !imported.some((item) => entryKey(item) === entryKey(entry) && item.language === entry.language)
+            );
+            if (kept.length + imported.length > MAX_ENTRIES) {
+                return { error: `Glossary is limited to ${MAX_ENTRIES} entries`, status: 400 };
+            }
+            session.glossary = [...kept, ...imported];
+            persist();
+            return { entries: session.glossary, imported: imported.length };
+        },
+    };
+}
+
+function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells.map((value) => value.trim());
+}
+
+/**
+ * Parse glossary CSV: `term,translation,language` per line
+ * An empty translation marks a protected term; language defaults to '*'.
+ * A first line naming the columns (term,translation,...) is used as header.
+ * @param {string} csv
+ * @returns {{ rows?: Array<{ term: string, translation: string, language?: string }>, error?: string }}
+ */
+export function parseGlossaryCsv(csv) {
+    const lines = String(csv || '')
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .filter((line) => line.trim() && !line.trim().startsWith('#'));
+    if (lines.length === 0) return { error: 'CSV has no rows' };
+
+    let columns = ['term', 'translation', 'language'];
+    const header = parseCsvLine(lines[0]).map((cell) => cell.toLowerCase());
+    if (header.includes('term')) {
+        columns = header;
+        lines.shift();
+    }
+
+    const rows = lines.map((line) => {
+        const cells = parseCsvLine(line);
+        const row = Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']));
+        return {
+            term: row.term,
+            translation: row.translation,
+            ...(row.language && { language: row.language }),
+        };
+    });
+    return { rows };
+}
+
+function entryKey(entry) {
+    return entry.caseSensitive ? entry.term : entry.term.toLocaleLowerCase();
+}
+
+/**
+ * Entries that apply to a target language
+ * @param {object|null} session
+ * @param {string} language
+ * @returns {Array<object>}
+ */
+export function getGlossaryEntries(session, language) {
+    const merged = new Map();
+    // Language-specific entries win over '*' ones for the same term
+    const entries = (session?.glossary || []).filter((entry) => entry.language === language || entry.language === '*');
+    for (const entry of [...entries].sort((a, b) => (a.language === '*' ? 0 : 1) - (b.language === '*' ? 0 : 1))) {
+        merged.set(entryKey(entry), entry);
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Short key of the entries, for translation cache and checkpoint keys
+ * @param {Array<object>} entries
+ * @returns {string|null} - null when there are no entries
+ */
+export function getGlossaryKey(entries) {
+    if (!entries?.length) return null;
+    const normalized = entries
+        .map(({ term, translation, caseSensitive }) => [term, translation, caseSensitive])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+    return hashText(JSON.stringify(normalized)).substring(0, 12);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace glossary terms with placeholder tokens before translation
+ * @param {string} text
+ * @param {Array<object>} entries - From getGlossaryEntries()
+ * @returns {{ text: string, count: number, restore: (translated: string) => string }}
+ */
+export function maskGlossaryTerms(text, entries) {
+    const source = String(text || '');
+    if (!entries?.length) {
+        return { text: source, count: 0, restore: (translated) => translated };
+    }
+
+    const byKey = new Map(entries.map((entry) => [entryKey(entry), entry]));
+    const alternatives = [...new Set(entries.map((entry) => entry.term))]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+    const pattern = new RegExp(`(?<!${WORD_CHAR})(?:${alternatives.join('|')})(?!${WORD_CHAR})`, 'giu');
+
+    const replacements = [];
+    const masked = source.replace(pattern, (match) => {
+        const entry = byKey.get(match) || byKey.get(match.toLocaleLowerCase());
+        if (!entry || (entry.caseSensitive && entry.term !== match)) return match;
+        replacements.push(entry.translation || match);
+        return `[G${replacements.length - 1}]`;
+    });
+
+    const restore = (translated) => String(translated || '').replace(PLACEHOLDER_PATTERN, (token, index) =>
+        replacements[Number(index)] ?? token
+    );
+    return { text: masked, count: replacements.length, restore };
+}
@@ -0,0 +1,133 @@
+/**
+ * id3Service.js
+ * ─────────────
+ * Builds ID3v2.3 tags for merged audiobooks: title/author/album text frames,
+ * an embedded cover (APIC), and chapter navigation using the ID3v2 Chapter
+ * Frame Addendum (CHAP + CTOC), which audiobook players use for skipping.
+ */
+
+const ENCODING_UTF16 = 0x01;
+const NO_OFFSET = 0xffffffff;
+const MAX_CTOC_ENTRIES = 255;
+
+function encodeUtf16(text) {
+    const bom = Buffer.from([0xff, 0xfe]);
+    return Buffer.concat([bom, Buffer.from(String(text), 'utf16le')]);
+}
+
+function encodeLatin1Terminated(text) {
+    return Buffer.concat([Buffer.from(String(text), 'latin1'), Buffer.from([0x00])]);
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0, 0);
+    return buffer;
+}
+
+function syncsafe(size) {
+    return Buffer.from([
+        (size >> 21) & 0x7f,
+        (size >> 14) & 0x7f,
+        (size >> 7) & 0x7f,
+        size & 0x7f,
+    ]);
+}
+
+function buildFrame(id, body) {
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 4, 'latin1');
+    header.writeUInt32BE(body.length, 4);
+    // Flags (2 bytes) stay zero
+    return Buffer.concat([header, body]);
+}
+
+function buildTextFrame(id, text) {
+    return buildFrame(id, Buffer.concat([Buffer.from([ENCODING_UTF16]), encodeUtf16(text)]));
+}
+
+function buildPictureFrame(cover) {
+    return buildFrame('APIC', Buffer.concat([
+        Buffer.from([0x00]), // Latin-1 description
+        encodeLatin1Terminated(cover.mimeType || 'image/jpeg'),
+        Buffer.from([0x03]), // Picture type: front cover
+        Buffer.from([0x00]), // Empty description
+        cover.data,
+    ]));
+}
+
+function buildChapterFrame(elementId, chapter) {
+    return buildFrame('CHAP', Buffer.concat([
+        encodeLatin1Terminated(elementId),
+        uint32(chapter.startMs),
+        uint32(chapter.endMs),
+        uint32(NO_OFFSET),
+        uint32(NO_OFFSET),
+        buildTextFrame('TIT2', chapter.title),
+    ]));
+}
+
+function buildTocFrame(elementId, childIds, { topLevel, title }) {
+    const flags = (topLevel ? 0x02 : 0x00) | 0x01; // top-level bit + ordered bit
+    const parts = [
+        encodeLatin1Terminated(elementId),
+        Buffer.from([flags, childIds.length]),
+        ...childIds.map(encodeLatin1Terminated),
+    ];
+    if (title) parts.push(buildTextFrame('TIT2', title));
+    return buildFrame('CTOC', Buffer.concat(parts));
+}
+
+function buildChapterFrames(chapters, bookTitle) {
+    const chapterIds = chapters.map((_, index) => `chp${index}`);
+    const frames = chapters.map((chapter, index) => buildChapterFrame(chapterIds[index], chapter));
+
+    if (chapterIds.length <= MAX_CTOC_ENTRIES) {
+        frames.unshift(buildTocFrame('toc', chapterIds, { topLevel: true, title: bookTitle }));
+        return frames;
+    }
+
+    // CTOC holds at most 255 children, so split long books into nested tables.
+    const tocIds = [];
+    for (let start = 0; start < chapterIds.length; start += MAX_CTOC_ENTRIES) {
+        const tocId = `toc${tocIds.length}`;
+        tocIds.push(tocId);
+        frames.unshift(buildTocFrame(tocId, chapterIds.slice(start, start + MAX_CTOC_ENTRIES), { topLevel: false }));
+    }
+    frames.unshift(buildTocFrame('toc', tocIds, { topLevel: true, title: bookTitle }));
+    return frames;
+}
+
+/**
+ * Build a complete ID3v2.3 tag
+ * @param {object} options
+ * @param {string} [options.title] - Book title (TIT2 + TALB)
+ * @param {string} [options.author] - Author (TPE1)
+ * @param {string} [options.language] - ISO 639-2 code for TLAN
+ * @param {{ data: Buffer, mimeType: string }} [options.cover] - Cover image
+ * @param {Array<{ title: string, startMs: number, endMs: number }>} [options.chapters]
+ * @returns {Buffer}
+ */
+export function buildId3Tag({ title, author, language, cover, chapters = [] } = {}) {
+    const frames = [];
+
+    if (title) {
+        frames.push(buildTextFrame('TIT2', title));
+        frames.push(buildTextFrame('TALB', title));
+    }
+    if (author) frames.push(buildTextFrame('TPE1', author));
+    if (language) frames.push(buildTextFrame('TLAN', language));
+    frames.push(buildTextFrame('TCON', 'Audiobook'));
+
+    if (cover?.data?.length) frames.push(buildPictureFrame(cover));
+    if (chapters.length > 0) frames.push(...buildChapterFrames(chapters, title));
+
+    const body = Buffer.concat(frames);
+    const header = Buffer.concat([
+        Buffer.from('ID3', 'latin1'),
+        Buffer.from([0x03, 0x00, 0x00]), // v2.3.0, no flags
+        syncsafe(body.length),
+    ]);
+
+    return Buffer.concat([header, body]);
+}
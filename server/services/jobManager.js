@@ -0,0 +1,230 @@
+/**
+ * jobManager.js
+ * ─────────────
+ * In-memory registry for long-running background jobs (audiobook generation).
+ *
+ * Each job tracks its status, per-page/per-chunk progress and an ETA derived
+ * from the average chunk time so far. Progress updates are fanned out to any
+ * subscribers (the SSE progress route) through a per-job EventEmitter.
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+const jobs = new Map();
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Create and register a new job
+ * @param {{ sessionId: string, type: string, params?: object }} options
+ * @returns {object} - The created job record
+ */
+export function createJob({ sessionId, type, params = {} }) {
+    const job = {
+        id: uuidv4(),
+        sessionId,
+        type,
+        params,
+        status: 'queued',
+        cancelRequested: false,
+        progress: {
+            totalPages: 0,
+            completedPages: 0,
+            currentPage: null,
+            totalChunks: 0,
+            completedChunks: 0,
+        },
+        result: null,
+        error: null,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        emitter: new EventEmitter(),
+    };
+
+    job.emitter.setMaxListeners(50);
+    jobs.set(job.id, job);
+    return job;
+}
+
+export function getJobById(jobId) {
+    return jobs.get(jobId) || null;
+}
+
+export function isTerminalStatus(status) {
+    return TERMINAL_STATUSES.has(status);
+}
+
+/**
+ * Find the job of a given type that is still queued or running for a session
+ * @param {string} sessionId
+ * @param {string} type
+ * @returns {object|null}
+ */
+export function findActiveJob(sessionId, type) {
+    for (const job of jobs.values()) {
+        if (job.sessionId === sessionId && job.type === type && !isTerminalStatus(job.status)) {
+            return job;
+        }
+    }
+    return null;
+}
+
+function estimateRemainingMs(job) {
+    const { totalChunks, completedChunks, resumedChunks = 0 } = job.progress;
+    // Chunks restored from a checkpoint cost no time, so they don't count towards the rate.
+    const synthesizedChunks = completedChunks - resumedChunks;
+    if (!job.startedAt || synthesizedChunks <= 0 || totalChunks === 0) return null;
+
+    const elapsed = Date.now() - job.startedAt;
+    const perChunk = elapsed / synthesizedChunks;
+    return Math.max(0, Math.round(perChunk * (totalChunks - completedChunks)));
+}
+
+/**
+ * Public view of a job (no emitter, computed percent/ETA)
+ * @param {object} job
+ * @returns {object}
+ */
+export function serializeJob(job) {
+    const { totalChunks, completedChunks } = job.progress;
+    const percent = totalChunks > 0
+        ? Math.min(100, Math.round((completedChunks / totalChunks) * 100))
+        : 0;
+
+    return {
+        id: job.id,
+        sessionId: job.sessionId,
+        type: job.type,
+        status: job.status,
+        cancelRequested: job.cancelRequested,
+        progress: {
+            ...job.progress,
+            percent: job.status === 'completed' ? 100 : percent,
+            etaMs: isTerminalStatus(job.status) ? 0 : estimateRemainingMs(job),
+        },
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+    };
+}
+
+function emitJobEvent(job, type) {
+    job.emitter.emit('event', { type, job: serializeJob(job) });
+}
+
+export function startJob(jobId, progress = {}) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+
+    job.status = 'running';
+    job.startedAt = Date.now();
+    Object.assign(job.progress, progress);
+    emitJobEvent(job, 'progress');
+    return job;
+}
+
+/**
+ * Merge a progress patch into the job and notify subscribers
+ * @param {string} jobId
+ * @param {object} patch - Partial progress fields
+ */
+export function updateJobProgress(jobId, patch) {
+    const job = jobs.get(jobId);
+    if (!job || isTerminalStatus(job.status)) return null;
+
+    Object.assign(job.progress, patch);
+    emitJobEvent(job, 'progress');
+    return job;
+}
+
+function finishJob(jobId, status, fields) {
+    const job = jobs.get(jobId);
+    if (!job || isTerminalStatus(job.status)) return null;
+
+    job.status = status;
+    job.finishedAt = Date.now();
+    Object.assign(job, fields);
+    emitJobEvent(job, status);
+    job.emitter.removeAllListeners();
+    return job;
+}
+
+export function completeJob(jobId, result) {
+    return finishJob(jobId, 'completed', { result });
+}
+
+export function failJob(jobId, message) {
+    return finishJob(jobId, 'failed', { error: message });
+}
+
+export function markJobCancelled(jobId) {
+    return finishJob(jobId, 'cancelled', {});
+}
+
+/**
+ * Ask a running job to stop. The runner checks isJobCancelled() between chunks.
+ * Queued jobs are cancelled immediately.
+ * @param {string} jobId
+ * @returns {object|null}
+ */
+export function requestJobCancel(jobId) {
+    const job = jobs.get(jobId);
+    if (!job || isTerminalStatus(job.status)) return job || null;
+
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+        return markJobCancelled(jobId);
+    }
+
+    emitJobEvent(job, 'progress');
+    return job;
+}
+
+export function isJobCancelled(jobId) {
+    const job = jobs.get(jobId);
+    return !job || job.cancelRequested;
+}
+
+/**
+ * Subscribe to job events
+ * @param {string} jobId
+ * @param {(event: { type: string, job: object }) => void} listener
+ * @returns {() => void} - Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+    const job = jobs.get(jobId);
+    if (!job) return () => {};
+
+    job.emitter.on('event', listener);
+    return () => job.emitter.off('event', listener);
+}
+
+/**
+ * Cancel and forget every job belonging to a session
+ * @param {string} sessionId
+ */
+export function deleteJobsForSession(sessionId) {
+    for (const [jobId, job] of jobs) {
+        if (job.sessionId !== sessionId) continue;
+        job.cancelRequested = true;
+        job.emitter.removeAllListeners();
+        jobs.delete(jobId);
+    }
+}
+
+/**
+ * Drop finished jobs older than maxAgeMs
+ * @param {number} maxAgeMs
+ */
+export function pruneFinishedJobs(maxAgeMs) {
+    const now = Date.now();
+    for (const [jobId, job] of jobs) {
+        if (isTerminalStatus(job.status) && now - job.finishedAt > maxAgeMs) {
+            jobs.delete(jobId);
+        }
+    }
+}
@@ -43,6 +43,38 @@ const APP_TO_NAME = {
     ur: 'Urdu',
 };
 
+const APP_TO_ISO639 = Object.fromEntries(
+    Object.entries(FRANC_TO_APP).map(([iso, app]) => [app, iso])
+);
+
+/**
+ * Three-letter ISO 639 code for an app language code (e.g. hi → hin)
+ * Used in file metadata such as ID3 TLAN.
+ * @param {string} appCode
+ * @returns {string}
+ */
+export function getIso639Code(appCode) {
+    return APP_TO_ISO639[appCode] || 'eng';
+}
+
+/**
+ * Whether an app language code is one the app supports
+ * @param {string} appCode
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(appCode) {
+    return Object.hasOwn(APP_TO_NAME, appCode);
+}
+
+/**
+ * Display name for an app language code
+ * @param {string} appCode
+ * @returns {string}
+ */
+export function getLanguageName(appCode) {
+    return APP_TO_NAME[appCode] || appCode;
+}
+
 /**
  * Detect the language of text
  * @param {string} text - Text to analyze (longer = more accurate)
@@ -0,0 +1,329 @@
+/**
+ * lexiconService.js
+ * ─────────────────
+ * Custom pronunciations: a written form mapped to a spoken form (a plain
+ * respelling such as "Kubernetes" → "koo-ber-net-eez") and/or a phoneme
+ * string, per language ('*' applies to every language).
+ *
+ *   - global entries are stored in data/lexicon.json
+ *   - session entries live on the session and override global ones
+ *
+ * applyLexicon() rewrites the text that is sent to TTS and returns a
+ * restoreTimings() that maps the engine's word timings back onto the written
+ * words, so highlighting and captions keep pointing at the original text.
+ * When a transliteration is spoken, transliterateLexicon() rewrites the
+ * entries into the same scheme so native-script keys still match.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { alignWordTimings } from './wordAlignment.js';
+import { hashText } from './checkpointService.js';
+import { transliterate } from './transliterationService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const LEXICON_PATH = path.join(DATA_DIR, 'lexicon.json');
+
+const MAX_WRITTEN_LENGTH = 100;
+const MAX_SPOKEN_LENGTH = 200;
+const MAX_ENTRIES = 1000;
+const ALPHABETS = ['ipa', 'x-sampa'];
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+let globalEntries = null;
+
+function loadGlobalEntries() {
+    if (globalEntries) return globalEntries;
+
+    try {
+        const parsed = JSON.parse(fs.readFileSync(LEXICON_PATH, 'utf-8'));
+        globalEntries = Array.isArray(parsed) ? parsed : [];
+    } catch {
+        globalEntries = [];
+    }
+    return globalEntries;
+}
+
+function saveGlobalEntries() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tempPath = `${LEXICON_PATH}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(globalEntries, null, 2), 'utf-8');
+    fs.renameSync(tempPath, LEXICON_PATH);
+}
+
+function optionalText(value, maxLength) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text ? text.slice(0, maxLength) : null;
+}
+
+/**
+ * Validate a lexicon entry from a request body
+ * @param {object} input - { language, written, spoken?, phoneme?, alphabet?, caseSensitive? }
+ * @param {object} [existing] - Entry being updated (unspecified fields are kept)
+ * @returns {{ entry?: object, error?: string }}
+ */
+export function normalizeLexiconEntry(input, existing = null) {
+    const merged = { ...existing, ...input };
+    const language = String(merged.language || '').trim().toLowerCase();
+    if (language !== '*' && !/^[a-z]{2,3}$/.test(language)) {
+        return { error: 'language must be a language code such as "hi", or "*"' };
+    }
+
+    const written = optionalText(merged.written, MAX_WRITTEN_LENGTH + 1);
+    if (!written || written.length > MAX_WRITTEN_LENGTH) {
+        return { error: `written must be 1-${MAX_WRITTEN_LENGTH} characters` };
+    }
+
+    const spoken = optionalText(merged.spoken, MAX_SPOKEN_LENGTH);
+    const phoneme = optionalText(merged.phoneme, MAX_SPOKEN_LENGTH);
+    if (!spoken && !phoneme) {
+        return { error: 'Provide a spoken form, a phoneme string, or both' };
+    }
+
+    const alphabet = String(merged.alphabet || 'ipa').toLowerCase();
+    if (!ALPHABETS.includes(alphabet)) {
+        return { error: `alphabet must be one of: ${ALPHABETS.join(', ')}` };
+    }
+
+    return {
+        entry: {
+            id: existing?.id || uuidv4(),
+            language,
+            written,
+            spoken,
+            phoneme,
+            alphabet,
+            caseSensitive: merged.caseSensitive === true,
+            updatedAt: Date.now(),
+        },
+    };
+}
+
+/**
+ * CRUD over a list of entries (the global list or `session.lexicon`)
+ * Each method returns `{ entry }`, `{ entries }` or `{ error, status }`.
+ */
+function createLexiconStore(getEntries, persist) {
+    return {
+        list(language) {
+            const entries = getEntries();
+            return { entries: language ? entries.filter((entry) => entry.language === language) : entries };
+        },
+        create(input) {
+            const entries = getEntries();
+            if (entries.length >= MAX_ENTRIES) {
+                return { error: `Lexicon is limited to ${MAX_ENTRIES} entries`, status: 400 };
+            }
+            const { entry, error } = normalizeLexiconEntry(input);
+            if (error) return { error, status: 400 };
+            entries.push(entry);
+            persist();
+            return { entry };
+        },
+        update(entryId, input) {
+            const entries = getEntries();
+            const index = entries.findIndex((entry) => entry.id === entryId);
+            if (index < 0) return { error: 'Lexicon entry not found', status: 404 };
+            const { entry, error } = normalizeLexiconEntry(input, entries[index]);
+            if (error) return { error, status: 400 };
+            entries[index] = entry;
+            persist();
+            return { entry };
+        },
+        remove(entryId) {
+            const entries = getEntries();
+            const index = entries.findIndex((entry) => entry.id === entryId);
+            if (index < 0) return { error: 'Lexicon entry not found', status: 404 };
+            const [entry] = entries.splice(index, 1);
+            persist();
+            return { entry };
+        },
+    };
+}
+
+export const globalLexicon = createLexiconStore(loadGlobalEntries, saveGlobalEntries);
+
+/**
+ * Lexicon store for one session; `persist` saves the session
+ * @param {object} session
+ * @param {() => void} persist
+ */
+export function getSessionLexicon(session, persist) {
+    return createLexiconStore(() => {
+        if (!Array.isArray(session.lexicon)) session.lexicon = [];
+        return session.lexicon;
+    }, persist);
+}
+
+function entryKey(entry) {
+    return entry.caseSensitive ? entry.written : entry.written.toLocaleLowerCase();
+}
+
+/**
+ * Entries that apply to `language`: global ones, overridden by session ones
+ * with the same written form
+ * @param {object|null} session
+ * @param {string} language
+ * @returns {Array<object>}
+ */
+export function getLexiconEntries(session, language) {
+    const applies = (entry) => entry.language === language || entry.language === '*';
+    const merged = new Map();
+
+    for (const entry of [...loadGlobalEntries(), ...(session?.lexicon || [])]) {
+        if (applies(entry)) merged.set(entryKey(entry), entry);
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Entries for text that was transliterated before TTS
+ * Written and spoken forms go through the same transliteration as the text
+ * (पुस्तक → "pustak"), so they match the words the voice is given; phoneme
+ * strings are kept as they are.
+ * @param {Array<object>} entries - From getLexiconEntries()
+ * @param {{ to: string, from?: string }} transliteration
+ * @returns {Array<object>}
+ */
+export function transliterateLexicon(entries, transliteration) {
+    return entries.map((entry) => ({
+        ...entry,
+        written: transliterate(entry.written, transliteration),
+        ...(entry.spoken && { spoken: transliterate(entry.spoken, transliteration) }),
+    }));
+}
+
+/**
+ * Short key of the entries, for checkpoint/cache keys
+ * @param {Array<object>} entries
+ * @returns {string|null} - null when there are no entries
+ */
+export function getLexiconKey(entries) {
+    if (!entries.length) return null;
+    const normalized = entries
+        .map(({ written, spoken, phoneme, alphabet, caseSensitive }) => [written, spoken, phoneme, alphabet, caseSensitive])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+    return hashText(JSON.stringify(normalized)).substring(0, 12);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word occurrences of the entries' written forms, longest form first
+ * @param {string} text
+ * @param {Array<object>} entries
+ * @returns {Array<{ index: number, length: number, entry: object }>}
+ */
+export function findLexiconMatches(text, entries) {
+    if (!text || !entries?.length) return [];
+
+    const byKey = new Map(entries.map((entry) => [entryKey(entry), entry]));
+    const alternatives = [...new Set(entries.map((entry) => entry.written))]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+    const pattern = new RegExp(`(?<!${WORD_CHAR})(?:${alternatives.join('|')})(?!${WORD_CHAR})`, 'giu');
+
+    const matches = [];
+    for (const match of text.matchAll(pattern)) {
+        const entry = byKey.get(match[0]) || byKey.get(match[0].toLocaleLowerCase());
+        if (!entry || (entry.caseSensitive && entry.written !== match[0])) continue;
+        matches.push({ index: match.index, length: match[0].length, entry });
+    }
+    return matches;
+}
+
+/**
+ * Rewrite `text` for TTS
+ * Entries with a phoneme string are left in place for SSML <phoneme> tags
+ * when `usePhonemes` is set; otherwise their spoken form replaces the
+ * written one (entries with only a phoneme are then skipped).
+ *
+ * @param {string} text - Text after translation
+ * @param {Array<object>} entries - From getLexiconEntries()
+ * @param {{ usePhonemes?: boolean }} [options]
+ * @returns {{ text: string, phonemes: Array<object>, restoreTimings: (wordTimings: Array<object>) => Array<object> }}
+ */
+export function applyLexicon(text, entries, { usePhonemes = false } = {}) {
+    const source = String(text || '');
+    const replacements = [];
+    const phonemes = new Map();
+    let spoken = '';
+    let lastIndex = 0;
+
+    for (const { index, length, entry } of findLexiconMatches(source, entries)) {
+        if (usePhonemes && entry.phoneme) {
+            phonemes.set(entryKey(entry), entry);
+            continue;
+        }
+        if (!entry.spoken) continue;
+
+        spoken += source.slice(lastIndex, index);
+        replacements.push({
+            originalStart: index,
+            originalEnd: index + length,
+            spokenStart: spoken.length,
+            spokenEnd: spoken.length + entry.spoken.length,
+        });
+        spoken += entry.spoken;
+        lastIndex = index + length;
+    }
+    spoken += source.slice(lastIndex);
+
+    // Offset in `spoken` → offset in `source`; inside a replacement, snaps to its edge
+    const toOriginal = (offset, edge) => {
+        let shift = 0;
+        for (const item of replacements) {
+            if (offset < item.spokenStart || (edge === 'end' && offset === item.spokenStart)) break;
+            if (offset < item.spokenEnd || (edge === 'end' && offset === item.spokenEnd)) {
+                return edge === 'start' ? item.originalStart : item.originalEnd;
+            }
+            shift += (item.spokenEnd - item.spokenStart) - (item.originalEnd - item.originalStart);
+        }
+        return offset - shift;
+    };
+
+    const restoreTimings = (wordTimings) => {
+        if (replacements.length === 0 || !wordTimings?.length) return wordTimings || [];
+
+        // Spoken words that touch one replacement fold into a single timing
+        // whose part is the written text they cover
+        const restored = [];
+        let group = null;
+        const closeGroup = () => {
+            if (!group) return;
+            group.timing.part = source.slice(toOriginal(group.charStart, 'start'), toOriginal(group.charEnd, 'end'));
+            group = null;
+        };
+
+        for (const timing of alignWordTimings(spoken, wordTimings)) {
+            const { part, start, end, charStart, charEnd } = timing;
+            const replacement = timing.aligned
+                ? replacements.find((item) => charStart < item.spokenEnd && charEnd > item.spokenStart)
+                : null;
+
+            if (replacement && group?.replacement === replacement) {
+                group.timing.end = end;
+                group.charEnd = charEnd;
+                continue;
+            }
+
+            closeGroup();
+            const restoredTiming = { part, start, end };
+            restored.push(restoredTiming);
+            if (replacement) {
+                group = { replacement, timing: restoredTiming, charStart, charEnd };
+            }
+        }
+        closeGroup();
+        return restored;
+    };
+
+    return { text: spoken, phonemes: [...phonemes.values()], restoreTimings };
+}
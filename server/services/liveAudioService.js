@@ -0,0 +1,130 @@
+/**
+ * liveAudioService.js
+ * ───────────────────
+ * In-memory audio channels for direct streaming: the TTS engine writes MP3
+ * bytes into a channel while it synthesizes, and GET /api/live-audio/:id pipes
+ * them to the browser as they arrive (chunked audio/mpeg), so playback can
+ * start before the chunk is finished and no per-session file is needed.
+ *
+ * A channel keeps its bytes until it expires (LIVE_AUDIO_TTL_MS) or the
+ * session's reading stops, because the client may fetch a chunk only when
+ * its turn to play comes.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+const LIVE_AUDIO_TTL_MS = 15 * 60 * 1000;
+
+const channels = new Map();
+
+function removeChannel(id) {
+    const channel = channels.get(id);
+    if (!channel) return;
+    clearTimeout(channel.expireTimer);
+    for (const res of channel.listeners) res.destroy();
+    channels.delete(id);
+}
+
+/**
+ * Open a channel for one chunk
+ * The sink is what synthesis writes to:
+ *   - write(bytes)   append MP3 bytes
+ *   - size()         bytes written so far
+ *   - truncate(size) drop bytes after `size` (a failed attempt); listeners
+ *                    that already received them are disconnected
+ *   - end() / fail() no more bytes
+ *
+ * @param {string} sessionId
+ * @returns {{ id: string, url: string, sink: object }}
+ */
+export function openLiveAudio(sessionId) {
+    const id = uuidv4();
+    const channel = {
+        sessionId,
+        buffers: [],
+        size: 0,
+        sent: 0,
+        done: false,
+        failed: false,
+        listeners: new Set(),
+        expireTimer: setTimeout(() => removeChannel(id), LIVE_AUDIO_TTL_MS),
+    };
+    channel.expireTimer.unref?.();
+    channels.set(id, channel);
+
+    const finish = () => {
+        channel.done = true;
+        for (const res of channel.listeners) {
+            if (channel.failed) res.destroy();
+            else res.end();
+        }
+        channel.listeners.clear();
+    };
+
+    const sink = {
+        write(bytes) {
+            if (channel.done || !bytes?.length) return;
+            const buffer = Buffer.from(bytes);
+            channel.buffers.push(buffer);
+            channel.size += buffer.length;
+            for (const res of channel.listeners) res.write(buffer);
+            if (channel.listeners.size > 0) channel.sent = channel.size;
+        },
+        size() {
+            return channel.size;
+        },
+        truncate(size) {
+            if (size >= channel.size) return;
+            const kept = Buffer.concat(channel.buffers).subarray(0, size);
+            channel.buffers = kept.length ? [kept] : [];
+            channel.size = kept.length;
+            if (channel.sent > size) {
+                for (const res of channel.listeners) res.destroy();
+                channel.listeners.clear();
+                channel.sent = size;
+            }
+        },
+        end() {
+            finish();
+        },
+        fail() {
+            channel.failed = true;
+            finish();
+        },
+    };
+
+    return { id, url: `/api/live-audio/${id}`, sink };
+}
+
+/**
+ * Pipe a channel to an HTTP response: what has been written so far, then
+ * everything that follows until the chunk is complete
+ * @returns {boolean} - false when the channel does not exist (or failed)
+ */
+export function pipeLiveAudio(id, res) {
+    const channel = channels.get(id);
+    if (!channel || channel.failed) return false;
+
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Cache-Control', 'no-store');
+    for (const buffer of channel.buffers) res.write(buffer);
+    channel.sent = Math.max(channel.sent, channel.size);
+
+    if (channel.done) {
+        res.end();
+    } else {
+        channel.listeners.add(res);
+        res.on('close', () => channel.listeners.delete(res));
+    }
+    return true;
+}
+
+/**
+ * Drop every channel of a session (reading stopped or restarted)
+ * @param {string} sessionId
+ */
+export function dropLiveAudio(sessionId) {
+    for (const [id, channel] of channels) {
+        if (channel.sessionId === sessionId) removeChannel(id);
+    }
+}
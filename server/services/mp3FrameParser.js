@@ -0,0 +1,169 @@
+/**
+ * mp3FrameParser.js
+ * ─────────────────
+ * Minimal MPEG audio (Layer III) frame parser.
+ * Used to measure chunk durations and to merge chunks frame by frame
+ * without decoding audio or calling ffmpeg.
+ */
+
+const BITRATES_V1_L3 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const BITRATES_V2_L3 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+
+const SAMPLE_RATES = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000],
+};
+
+/**
+ * Size of a leading ID3v2 tag (header + body + optional footer), or 0
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {number}
+ */
+export function getId3v2Size(buffer, offset = 0) {
+    if (buffer.length < offset + 10) return 0;
+    if (buffer.toString('latin1', offset, offset + 3) !== 'ID3') return 0;
+
+    const flags = buffer[offset + 5];
+    const size =
+        ((buffer[offset + 6] & 0x7f) << 21) |
+        ((buffer[offset + 7] & 0x7f) << 14) |
+        ((buffer[offset + 8] & 0x7f) << 7) |
+        (buffer[offset + 9] & 0x7f);
+    const hasFooter = (flags & 0x10) !== 0;
+
+    return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Decode a 4-byte MPEG audio frame header
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ version: number, sampleRate: number, bitrate: number, samples: number, length: number, channels: number, padding: boolean }|null}
+ */
+export function parseFrameHeader(buffer, offset) {
+    if (offset + 4 > buffer.length) return null;
+
+    const b1 = buffer[offset];
+    const b2 = buffer[offset + 1];
+    const b3 = buffer[offset + 2];
+    const b4 = buffer[offset + 3];
+
+    if (b1 !== 0xff || (b2 & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (b2 >> 3) & 0x03;
+    const layerBits = (b2 >> 1) & 0x03;
+    if (versionBits === 0x01 || layerBits !== 0x01) return null; // reserved version / not Layer III
+
+    const version = versionBits === 0x03 ? 1 : versionBits === 0x02 ? 2 : 2.5;
+    const bitrateIndex = (b3 >> 4) & 0x0f;
+    const sampleRateIndex = (b3 >> 2) & 0x03;
+    if (bitrateIndex === 0 || bitrateIndex === 0x0f || sampleRateIndex === 0x03) return null;
+
+    const bitrate = (version === 1 ? BITRATES_V1_L3 : BITRATES_V2_L3)[bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const padding = ((b3 >> 1) & 0x01) === 1;
+    const samples = version === 1 ? 1152 : 576;
+    const length = Math.floor(((samples / 8) * bitrate) / sampleRate) + (padding ? 1 : 0);
+    const channels = ((b4 >> 6) & 0x03) === 0x03 ? 1 : 2;
+    const hasCrc = (b2 & 0x01) === 0;
+
+    return { version, sampleRate, bitrate, samples, length, channels, padding, hasCrc };
+}
+
+/**
+ * Bytes of Layer III side information after the 4-byte header (and CRC)
+ * @param {{ version: number, channels: number }} header
+ * @returns {number}
+ */
+export function getSideInfoSize(header) {
+    if (header.version === 1) return header.channels === 1 ? 17 : 32;
+    return header.channels === 1 ? 9 : 17;
+}
+
+/**
+ * Detect a Xing/Info or VBRI header frame (metadata only, no audio)
+ * @param {Buffer} buffer
+ * @param {number} offset - Frame start
+ * @param {object} header - Parsed frame header
+ * @returns {'Xing'|'Info'|'VBRI'|null}
+ */
+export function getInfoTagType(buffer, offset, header) {
+    const xingOffset = offset + 4 + (header.hasCrc ? 2 : 0) + getSideInfoSize(header);
+    const xingId = buffer.toString('latin1', xingOffset, xingOffset + 4);
+    if (xingId === 'Xing' || xingId === 'Info') return xingId;
+    if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI') return 'VBRI';
+    return null;
+}
+
+function isSameStream(a, b) {
+    return a.version === b.version && a.sampleRate === b.sampleRate;
+}
+
+/**
+ * Walk every frame in an MP3 buffer, verifying frame sync
+ * Skips a leading ID3v2 tag and a trailing ID3v1 tag. After junk bytes (or
+ * at the very first frame) a candidate header only counts when the next frame
+ * header also lines up, so random 0xFF bytes are not mistaken for frames.
+ * A Xing/Info/VBRI frame at the start is flagged with `isInfo`.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ frames: Array<{ offset: number, header: object, isInfo: boolean }>, skippedBytes: number }}
+ */
+export function scanMp3Frames(buffer) {
+    const frames = [];
+    let offset = getId3v2Size(buffer);
+    let skippedBytes = 0;
+    let inSync = false;
+
+    const confirmsSync = (header, nextOffset) => {
+        if (nextOffset === buffer.length) return true;
+        if (buffer.toString('latin1', nextOffset, nextOffset + 3) === 'TAG') return true;
+        const next = parseFrameHeader(buffer, nextOffset);
+        return !!next && isSameStream(header, next);
+    };
+
+    while (offset + 4 <= buffer.length) {
+        const header = parseFrameHeader(buffer, offset);
+        const fits = header && header.length > 4 && offset + header.length <= buffer.length;
+
+        if (!fits || (!inSync && !confirmsSync(header, offset + header.length))) {
+            // Trailing ID3v1 tag or junk between frames
+            if (buffer.toString('latin1', offset, offset + 3) === 'TAG') break;
+            inSync = false;
+            skippedBytes++;
+            offset++;
+            continue;
+        }
+
+        const isInfo = frames.length === 0 && getInfoTagType(buffer, offset, header) !== null;
+        frames.push({ offset, header, isInfo });
+        inSync = true;
+        offset += header.length;
+    }
+
+    return { frames, skippedBytes };
+}
+
+/**
+ * Walk every frame in an MP3 buffer (see scanMp3Frames)
+ * @param {Buffer} buffer
+ * @returns {Array<{ offset: number, header: object, isInfo: boolean }>}
+ */
+export function parseMp3Frames(buffer) {
+    return scanMp3Frames(buffer).frames;
+}
+
+/**
+ * Duration of an MP3 buffer in milliseconds, measured from its frames
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+export function getMp3DurationMs(buffer) {
+    let seconds = 0;
+    for (const { header, isInfo } of parseMp3Frames(buffer)) {
+        if (!isInfo) seconds += header.samples / header.sampleRate;
+    }
+    return Math.round(seconds * 1000);
+}
@@ -0,0 +1,59 @@
+/**
+ * pauseService.js
+ * ───────────────
+ * Silence inserted between audiobook chunks at paragraph, page and chapter
+ * boundaries. Only the durations are decided here; audioMergeService turns
+ * them into silent MP3 frames.
+ */
+
+export const DEFAULT_PAUSES = Object.freeze({
+    paragraphMs: 500,
+    pageMs: 1200,
+    chapterMs: 2500,
+});
+
+const MAX_PAUSE_MS = 10000;
+
+function clampPause(value, fallback) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return fallback;
+    return Math.max(0, Math.min(MAX_PAUSE_MS, Math.round(numeric)));
+}
+
+/**
+ * @param {{ paragraphMs?: number, pageMs?: number, chapterMs?: number }|undefined} input
+ * @returns {{ paragraphMs: number, pageMs: number, chapterMs: number }}
+ */
+export function normalizePauses(input) {
+    const pauses = input && typeof input === 'object' ? input : {};
+    return {
+        paragraphMs: clampPause(pauses.paragraphMs, DEFAULT_PAUSES.paragraphMs),
+        pageMs: clampPause(pauses.pageMs, DEFAULT_PAUSES.pageMs),
+        chapterMs: clampPause(pauses.chapterMs, DEFAULT_PAUSES.chapterMs),
+    };
+}
+
+/**
+ * Pause to insert after each chunk. The strongest boundary wins:
+ * a chunk that ends a page before a new chapter gets the chapter pause.
+ *
+ * @param {Array<{ pageIndex: number, endsParagraph?: boolean }>} chunks - In playback order
+ * @param {Set<number>} chapterPages - Page indexes where a chapter starts
+ * @param {{ paragraphMs: number, pageMs: number, chapterMs: number }} pauses
+ * @param {(ms: number) => number} [quantize] - Round to what the audio format can represent
+ * @returns {number[]} - Milliseconds of silence after each chunk (0 after the last)
+ */
+export function planChunkPauses(chunks, chapterPages, pauses, quantize = (ms) => ms) {
+    return chunks.map((chunk, index) => {
+        const next = chunks[index + 1];
+        if (!next) return 0;
+
+        let pauseMs = 0;
+        if (next.pageIndex !== chunk.pageIndex) {
+            pauseMs = chapterPages.has(next.pageIndex) ? pauses.chapterMs : pauses.pageMs;
+        } else if (chunk.endsParagraph) {
+            pauseMs = pauses.paragraphMs;
+        }
+        return quantize(pauseMs);
+    });
+}
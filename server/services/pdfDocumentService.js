@@ -0,0 +1,443 @@
+/**
+ * pdfDocumentService.js
+ * ─────────────────────
+ * Generates a simple text PDF from a translated document (see
+ * translatedDocumentService.js): A4 pages, a title block, and every source
+ * page starting on a new PDF page under a "Page N" heading, so page
+ * boundaries are kept. Long pages flow onto extra PDF pages.
+ *
+ * PDF export is Latin-script only. There is no glyph shaping: every code
+ * point is drawn as its own glyph, left to right, so Indic conjuncts (क्ष)
+ * would not be formed, vowel signs (ि) would not be reordered or attached,
+ * and Urdu letters would not join. Text in those scripts makes buildPdf()
+ * throw a PdfFontError, and checkPdfLanguage() turns away every target
+ * language but English before anything is translated; DOCX, TXT and
+ * Markdown carry every language.
+ *
+ * Fonts:
+ *   - PDF_FONT_PATH set: that TrueType font (.ttf with glyf outlines) is
+ *     embedded as a CID font, for Latin text beyond Western European
+ *     (e.g. ā, ṭ in transliterated names).
+ *   - otherwise: built-in Helvetica, which only covers Western European
+ *     text. Any other character makes buildPdf() throw a PdfFontError.
+ *
+ * The Info dictionary carries the title, author, and SourceLanguage /
+ * TargetLanguage entries; the catalog's /Lang is the target language.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const BODY_SIZE = 11;
+const HEADING_SIZE = 14;
+const TITLE_SIZE = 20;
+const LINE_GAP = 1.45;
+
+// Helvetica advance widths for U+0020–U+007E (1/1000 em)
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// WinAnsiEncoding bytes 0x80–0x9F that differ from Latin-1
+const WIN_ANSI_EXTRA = new Map([
+    [0x20ac, 0x80], [0x201a, 0x82], [0x0192, 0x83], [0x201e, 0x84], [0x2026, 0x85], [0x2020, 0x86],
+    [0x2021, 0x87], [0x02c6, 0x88], [0x2030, 0x89], [0x0160, 0x8a], [0x2039, 0x8b], [0x0152, 0x8c],
+    [0x017d, 0x8e], [0x2018, 0x91], [0x2019, 0x92], [0x201c, 0x93], [0x201d, 0x94], [0x2022, 0x95],
+    [0x2013, 0x96], [0x2014, 0x97], [0x02dc, 0x98], [0x2122, 0x99], [0x0161, 0x9a], [0x203a, 0x9b],
+    [0x0153, 0x9c], [0x017e, 0x9e], [0x0178, 0x9f],
+]);
+
+// Target languages written in Latin script
+const PDF_LANGUAGES = new Set(['en']);
+// Scripts that cannot be drawn without shaping
+const SHAPED_SCRIPT = /[\p{Script=Arabic}\p{Script=Devanagari}\p{Script=Bengali}\p{Script=Gurmukhi}\p{Script=Gujarati}\p{Script=Oriya}\p{Script=Tamil}\p{Script=Telugu}\p{Script=Kannada}\p{Script=Malayalam}]/u;
+const ZERO_WIDTH = /[\u200b-\u200d\u2060\ufeff]/u;
+
+/** The text needs glyphs the available font does not have */
+export class PdfFontError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PdfFontError';
+    }
+}
+
+function describeChar(char) {
+    return `"${char}" (U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')})`;
+}
+
+function missingFontMessage(char) {
+    return `PDF export of ${describeChar(char)} needs a TrueType font that covers it: set PDF_FONT_PATH `
+        + 'or export as DOCX, TXT or Markdown';
+}
+
+function unshapedMessage(what) {
+    return `PDF export is Latin-script only: ${what} needs glyph shaping the PDF writer does not do. `
+        + 'Export as DOCX, TXT or Markdown instead';
+}
+
+/**
+ * Why a PDF cannot be written in this target language
+ * @param {string} language - App language code
+ * @param {{ languageName?: string }} [options]
+ * @returns {string|null} - null when it can be written
+ */
+export function checkPdfLanguage(language, { languageName = language } = {}) {
+    if (PDF_LANGUAGES.has(language)) return null;
+    return unshapedMessage(`${languageName} text`);
+}
+
+function helveticaFont() {
+    const toByte = (char) => {
+        const codePoint = char.codePointAt(0);
+        if (codePoint >= 0x20 && codePoint <= 0x7e) return codePoint;
+        if (codePoint >= 0xa0 && codePoint <= 0xff) return codePoint;
+        if (/\s/u.test(char)) return 0x20;
+        const byte = WIN_ANSI_EXTRA.get(codePoint);
+        if (byte === undefined) {
+            throw new PdfFontError(missingFontMessage(char));
+        }
+        return byte;
+    };
+    const visible = (text) => Array.from(text).filter((char) => !ZERO_WIDTH.test(char));
+
+    return {
+        measure(text, size) {
+            let width = 0;
+            for (const char of visible(text)) {
+                const byte = toByte(char);
+                width += byte >= 0x20 && byte <= 0x7e ? HELVETICA_WIDTHS[byte - 0x20] : 556;
+            }
+            return (width * size) / 1000;
+        },
+        encode(text) {
+            return visible(text).map((char) => toByte(char).toString(16).padStart(2, '0')).join('');
+        },
+        dictionary() {
+            return '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        },
+    };
+}
+
+function readTables(data) {
+    const tag = data.length >= 12 ? data.toString('latin1', 0, 4) : '';
+    if (tag === 'ttcf' || tag === 'OTTO') {
+        throw new Error('PDF_FONT_PATH must be a single TrueType font (.ttf), not a collection or CFF font');
+    }
+    if (tag !== '\x00\x01\x00\x00' && tag !== 'true') throw new Error('Not a TrueType font');
+    const tables = {};
+    const count = data.readUInt16BE(4);
+    for (let i = 0; i < count; i++) {
+        const record = 12 + i * 16;
+        tables[data.toString('latin1', record, record + 4)] = data.readUInt32BE(record + 8);
+    }
+    for (const required of ['head', 'hhea', 'hmtx', 'maxp', 'cmap', 'glyf']) {
+        if (tables[required] === undefined) throw new Error(`Font has no "${required}" table`);
+    }
+    return tables;
+}
+
+function readCmap(data, cmapOffset) {
+    const count = data.readUInt16BE(cmapOffset + 2);
+    const subtables = [];
+    for (let i = 0; i < count; i++) {
+        const record = cmapOffset + 4 + i * 8;
+        const offset = cmapOffset + data.readUInt32BE(record + 4);
+        subtables.push({
+            platform: data.readUInt16BE(record),
+            encoding: data.readUInt16BE(record + 2),
+            format: data.readUInt16BE(offset),
+            offset,
+        });
+    }
+
+    const format12 = subtables.find((table) => table.format === 12);
+    if (format12) {
+        const groups = data.readUInt32BE(format12.offset + 12);
+        return (codePoint) => {
+            for (let i = 0; i < groups; i++) {
+                const group = format12.offset + 16 + i * 12;
+                const start = data.readUInt32BE(group);
+                if (codePoint >= start && codePoint <= data.readUInt32BE(group + 4)) {
+                    return data.readUInt32BE(group + 8) + codePoint - start;
+                }
+            }
+            return 0;
+        };
+    }
+
+    const format4 = subtables.find((table) => table.format === 4 && (table.platform === 3 || table.platform === 0));
+    if (!format4) throw new Error('Font has no Unicode cmap');
+    const base = format4.offset;
+    const segments = data.readUInt16BE(base + 6) / 2;
+    const endCodes = base + 14;
+    const startCodes = endCodes + segments * 2 + 2;
+    const deltas = startCodes + segments * 2;
+    const rangeOffsets = deltas + segments * 2;
+
+    return (codePoint) => {
+        if (codePoint > 0xffff) return 0;
+        for (let i = 0; i < segments; i++) {
+            if (codePoint > data.readUInt16BE(endCodes + i * 2)) continue;
+            const start = data.readUInt16BE(startCodes + i * 2);
+            if (codePoint < start) return 0;
+            const delta = data.readInt16BE(deltas + i * 2);
+            const rangeOffset = data.readUInt16BE(rangeOffsets + i * 2);
+            if (rangeOffset === 0) return (codePoint + delta) & 0xffff;
+            const glyph = data.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+        }
+        return 0;
+    };
+}
+
+function trueTypeFont(fontPath) {
+    const data = fs.readFileSync(fontPath);
+    const tables = readTables(data);
+    const unitsPerEm = data.readUInt16BE(tables.head + 18);
+    const scale = (value) => Math.round((value * 1000) / unitsPerEm);
+    const bbox = [36, 38, 40, 42].map((offset) => scale(data.readInt16BE(tables.head + offset)));
+    const ascent = scale(data.readInt16BE(tables.hhea + 4));
+    const descent = scale(data.readInt16BE(tables.hhea + 6));
+    const metricsCount = data.readUInt16BE(tables.hhea + 34);
+    const glyphCount = data.readUInt16BE(tables.maxp + 4);
+    const lookup = readCmap(data, tables.cmap);
+
+    const glyphWidth = (glyph) => {
+        const index = Math.min(glyph, metricsCount - 1);
+        return scale(data.readUInt16BE(tables.hmtx + index * 4));
+    };
+
+    // glyph id → code point, for the widths array and ToUnicode map
+    const used = new Map();
+    const glyphOf = (char) => {
+        const codePoint = char.codePointAt(0);
+        const glyph = lookup(codePoint);
+        const safeGlyph = glyph < glyphCount ? glyph : 0;
+        if (safeGlyph && !used.has(safeGlyph)) used.set(safeGlyph, codePoint);
+        return safeGlyph;
+    };
+
+    const baseName = path.basename(fontPath, path.extname(fontPath)).replace(/[^A-Za-z0-9-]/g, '') || 'EmbeddedFont';
+
+    return {
+        measure(text, size) {
+            let width = 0;
+            for (const char of text) width += glyphWidth(glyphOf(char));
+            return (width * size) / 1000;
+        },
+        encode(text) {
+            return Array.from(text, (char) => glyphOf(char).toString(16).padStart(4, '0')).join('');
+        },
+        dictionary(addObject, addStream) {
+            const fontFile = addStream(data, `/Length1 ${data.length}`);
+            const descriptor = addObject(
+                `<< /Type /FontDescriptor /FontName /${baseName} /Flags 32 /FontBBox [${bbox.join(' ')}] ` +
+                `/ItalicAngle 0 /Ascent ${ascent} /Descent ${descent} /CapHeight ${ascent} /StemV 80 /FontFile2 ${fontFile} 0 R >>`
+            );
+            const glyphs = [...used.keys()].sort((a, b) => a - b);
+            const widths = glyphs.map((glyph) => `${glyph} [${glyphWidth(glyph)}]`).join(' ');
+            const cidFont = addObject(
+                `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseName} ` +
+                '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+                `/FontDescriptor ${descriptor} 0 R /CIDToGIDMap /Identity /DW 1000 /W [${widths}] >>`
+            );
+            const toUnicode = addStream(Buffer.from(buildToUnicode(used), 'latin1'));
+            return `<< /Type /Font /Subtype /Type0 /BaseFont /${baseName} /Encoding /Identity-H ` +
+                `/DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`;
+        },
+    };
+}
+
+function utf16Hex(codePoint) {
+    return Buffer.from(String.fromCodePoint(codePoint), 'utf16le').swap16().toString('hex');
+}
+
+function buildToUnicode(used) {
+    const entries = [...used.entries()].sort((a, b) => a[0] - b[0]);
+    const blocks = [];
+    for (let i = 0; i < entries.length; i += 100) {
+        const block = entries.slice(i, i + 100);
+        blocks.push(`${block.length} beginbfchar\n${block
+            .map(([glyph, codePoint]) => `<${glyph.toString(16).padStart(4, '0')}> <${utf16Hex(codePoint)}>`)
+            .join('\n')}\nendbfchar`);
+    }
+    return [
+        '/CIDInit /ProcSet findresource begin',
+        '12 dict begin',
+        'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def',
+        '/CMapType 2 def',
+        '1 begincodespacerange',
+        '<0000> <FFFF>',
+        'endcodespacerange',
+        ...blocks,
+        'endcmap',
+        'CMapName currentdict /CMap defineresource pop',
+        'end',
+        'end',
+    ].join('\n');
+}
+
+/** PDF text string (UTF-16BE with BOM), for Info entries */
+function pdfTextString(text) {
+    return `<feff${Buffer.from(String(text ?? ''), 'utf16le').swap16().toString('hex')}>`;
+}
+
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    const pushWord = (word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (font.measure(candidate, size) <= maxWidth) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line);
+        line = '';
+        // Words wider than a line are broken by character
+        let piece = '';
+        for (const char of word) {
+            if (piece && font.measure(piece + char, size) > maxWidth) {
+                lines.push(piece);
+                piece = '';
+            }
+            piece += char;
+        }
+        line = piece;
+    };
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) pushWord(word);
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Lay the document out into pages of positioned text lines
+ * @returns {Array<Array<{ text: string, size: number, y: number }>>}
+ */
+function layoutPages(doc, font) {
+    const maxWidth = PAGE_WIDTH - MARGIN * 2;
+    const pages = [];
+    let lines = null;
+    let y = 0;
+
+    const newPage = () => {
+        lines = [];
+        pages.push(lines);
+        y = PAGE_HEIGHT - MARGIN;
+    };
+    const addBlock = (text, size, spaceAfter) => {
+        const shaped = String(text).match(SHAPED_SCRIPT);
+        if (shaped) throw new PdfFontError(unshapedMessage(describeChar(shaped[0])));
+        for (const line of wrapText(text, font, size, maxWidth)) {
+            if (y - size * LINE_GAP < MARGIN) newPage();
+            y -= size * LINE_GAP;
+            lines.push({ text: line, size, y });
+        }
+        y -= spaceAfter;
+    };
+
+    newPage();
+    addBlock(doc.title, TITLE_SIZE, 6);
+    if (doc.author) addBlock(doc.author, BODY_SIZE, 2);
+    addBlock(`Translated from ${doc.sourceLanguage.name} to ${doc.targetLanguage.name}`, BODY_SIZE, 18);
+
+    doc.pages.forEach((page, index) => {
+        if (index > 0) newPage();
+        addBlock(`Page ${page.pageIndex + 1}`, HEADING_SIZE, 8);
+        for (const paragraph of page.paragraphs) addBlock(paragraph, BODY_SIZE, BODY_SIZE * 0.6);
+    });
+    return pages;
+}
+
+/**
+ * @param {object} doc - Translated document
+ * @param {{ fontPath?: string }} [options] - Defaults to PDF_FONT_PATH
+ * @returns {Buffer}
+ * @throws {PdfFontError} - For text in a script that needs shaping, or beyond
+ *   Western European when no font is configured
+ * @throws {Error} - When the configured font cannot be used
+ */
+export function buildPdf(doc, { fontPath = process.env.PDF_FONT_PATH } = {}) {
+    let font;
+    try {
+        font = fontPath ? trueTypeFont(fontPath) : helveticaFont();
+    } catch (error) {
+        throw new Error(`Cannot use PDF font ${fontPath}: ${error.message}`);
+    }
+    const objects = [];
+    const addObject = (body) => {
+        objects.push(Buffer.from(body, 'latin1'));
+        return objects.length;
+    };
+    const addStream = (data, extra = '') => {
+        const compressed = zlib.deflateSync(data);
+        objects.push(Buffer.concat([
+            Buffer.from(`<< /Length ${compressed.length} /Filter /FlateDecode ${extra}>>\nstream\n`, 'latin1'),
+            compressed,
+            Buffer.from('\nendstream', 'latin1'),
+        ]));
+        return objects.length;
+    };
+
+    // 1: catalog, 2: page tree, 3: font; filled in once the pages exist
+    addObject('');
+    addObject('');
+    addObject('');
+
+    const layout = layoutPages(doc, font);
+    const pageIds = layout.map((lines) => {
+        const content = lines
+            .map((line) => `BT /F1 ${line.size} Tf ${MARGIN} ${line.y.toFixed(2)} Td <${font.encode(line.text)}> Tj ET`)
+            .join('\n');
+        const contentId = addStream(Buffer.from(content, 'latin1'));
+        return addObject(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    // Encoding the text collected the glyphs the font has to describe
+    objects[2] = Buffer.from(font.dictionary(addObject, addStream), 'latin1');
+    objects[0] = Buffer.from(`<< /Type /Catalog /Pages 2 0 R /Lang ${pdfTextString(doc.targetLanguage.code)} >>`, 'latin1');
+    objects[1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`, 'latin1');
+
+    const created = doc.generatedAt.replace(/[-:T]/g, '').slice(0, 14);
+    const infoId = addObject(`<< /Title ${pdfTextString(doc.title)} /Author ${pdfTextString(doc.author)} ` +
+        `/Subject ${pdfTextString(`Translated from ${doc.sourceLanguage.name} (${doc.sourceLanguage.code}) to ${doc.targetLanguage.name} (${doc.targetLanguage.code})`)} ` +
+        `/SourceLanguage ${pdfTextString(doc.sourceLanguage.code)} /TargetLanguage ${pdfTextString(doc.targetLanguage.code)} ` +
+        `/Producer ${pdfTextString('Multilingual PDF Reader')} /CreationDate (D:${created}Z) >>`);
+
+    const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+        const start = offset;
+        const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        chunks.push(chunk);
+        offset += chunk.length;
+        return start;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+    return Buffer.concat(chunks);
+}
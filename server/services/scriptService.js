@@ -0,0 +1,85 @@
+/**
+ * scriptService.js
+ * ────────────────
+ * Splits code-mixed text (e.g. Hindi with English phrases) into runs of one
+ * Unicode script, each tagged with the app language whose voice should read it.
+ *
+ *   - a script shared by several languages (Devanagari: hi/mr, Bengali: bn/as)
+ *     keeps the chunk's language when it is one of them
+ *   - spaces, digits and punctuation stay with the run they follow
+ *   - runs with fewer than MIN_RUN_LETTERS letters fold into a neighbour, so a
+ *     stray initial doesn't cost a TTS call of its own
+ */
+
+const MIN_RUN_LETTERS = 2;
+
+const SCRIPTS = [
+    { name: 'Latin', pattern: /\p{Script=Latin}/u, languages: ['en'] },
+    { name: 'Devanagari', pattern: /\p{Script=Devanagari}/u, languages: ['hi', 'mr'] },
+    { name: 'Bengali', pattern: /\p{Script=Bengali}/u, languages: ['bn', 'as'] },
+    { name: 'Tamil', pattern: /\p{Script=Tamil}/u, languages: ['ta'] },
+    { name: 'Telugu', pattern: /\p{Script=Telugu}/u, languages: ['te'] },
+    { name: 'Gujarati', pattern: /\p{Script=Gujarati}/u, languages: ['gu'] },
+    { name: 'Kannada', pattern: /\p{Script=Kannada}/u, languages: ['kn'] },
+    { name: 'Malayalam', pattern: /\p{Script=Malayalam}/u, languages: ['ml'] },
+    { name: 'Gurmukhi', pattern: /\p{Script=Gurmukhi}/u, languages: ['pa'] },
+    { name: 'Oriya', pattern: /\p{Script=Oriya}/u, languages: ['or'] },
+    { name: 'Arabic', pattern: /\p{Script=Arabic}/u, languages: ['ur'] },
+];
+
+const LETTER = /[\p{L}\p{M}]/u;
+
+function findScript(char) {
+    if (!LETTER.test(char)) return null;
+    return SCRIPTS.find((script) => script.pattern.test(char)) || null;
+}
+
+function scriptLanguage(script, language) {
+    return script.languages.includes(language) ? language : script.languages[0];
+}
+
+/**
+ * Split text into single-script runs
+ * Joining the run texts gives back `text` unchanged.
+ *
+ * @param {string} text
+ * @param {string} language - Chunk language (app code)
+ * @returns {Array<{ text: string, language: string }>}
+ */
+export function splitScriptRuns(text, language) {
+    const source = String(text || '');
+    const runs = [];
+    let current = null;
+
+    for (const char of source) {
+        const script = findScript(char);
+        const runLanguage = script ? scriptLanguage(script, language) : null;
+
+        if (!current || (runLanguage && current.language && runLanguage !== current.language)) {
+            current = { text: '', language: runLanguage, letters: 0 };
+            runs.push(current);
+        }
+        current.text += char;
+        if (runLanguage) {
+            current.language = runLanguage;
+            current.letters++;
+        }
+    }
+
+    const merged = [];
+    for (const run of runs) {
+        const previous = merged[merged.length - 1];
+        if (previous && (run.letters < MIN_RUN_LETTERS || previous.language === run.language)) {
+            previous.text += run.text;
+            previous.letters += run.letters;
+        } else if (previous && previous.letters < MIN_RUN_LETTERS) {
+            previous.text += run.text;
+            previous.letters += run.letters;
+            previous.language = run.language;
+        } else {
+            merged.push({ ...run });
+        }
+    }
+
+    return merged.map((run) => ({ text: run.text, language: run.language || language }));
+}
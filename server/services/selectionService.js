@@ -0,0 +1,149 @@
+/**
+ * selectionService.js
+ * ───────────────────
+ * Resolves which pages an export covers: page ranges ("1-5, 8, 12-")
+ * and/or PDF outline sections, plus a short label for file names and titles.
+ */
+
+/**
+ * Parse 1-based page ranges into 0-based page indexes
+ * Accepts "1-5, 8, 12-" style strings or arrays of numbers/range strings.
+ *
+ * @param {string|Array<string|number>} input
+ * @param {number} pageCount
+ * @returns {number[]} - Sorted unique page indexes
+ * @throws {Error} - On malformed ranges
+ */
+export function parsePageRanges(input, pageCount) {
+    const parts = Array.isArray(input)
+        ? input.map((part) => String(part))
+        : String(input || '').split(/[,;]/);
+
+    const indexes = new Set();
+
+    for (const rawPart of parts) {
+        const part = rawPart.replace(/\s+/g, '');
+        if (!part) continue;
+
+        const match = /^(\d+)?(?:(-)(\d+)?)?$/.exec(part);
+        if (!match || (!match[1] && !match[3])) {
+            throw new Error(`Invalid page range "${rawPart.trim()}"`);
+        }
+
+        const start = match[1] ? Number(match[1]) : 1;
+        const end = match[2] ? (match[3] ? Number(match[3]) : pageCount) : start;
+        if (start < 1 || end < start) {
+            throw new Error(`Invalid page range "${rawPart.trim()}"`);
+        }
+
+        for (let page = start; page <= Math.min(end, pageCount); page++) {
+            indexes.add(page - 1);
+        }
+    }
+
+    return [...indexes].sort((a, b) => a - b);
+}
+
+/**
+ * Page indexes covered by a section: from its start page up to the page
+ * before the next section at the same or a shallower outline level.
+ * @param {Array<{ id: string, pageIndex: number, level: number }>} sections
+ * @param {string} sectionId
+ * @param {number} pageCount
+ * @returns {number[]}
+ */
+export function getSectionPages(sections, sectionId, pageCount) {
+    const index = sections.findIndex((section) => section.id === sectionId);
+    if (index < 0) return [];
+
+    const section = sections[index];
+    const next = sections
+        .slice(index + 1)
+        .find((candidate) => candidate.level <= section.level && candidate.pageIndex > section.pageIndex);
+    const endPage = next ? next.pageIndex - 1 : pageCount - 1;
+
+    const pages = [];
+    for (let page = section.pageIndex; page <= endPage; page++) pages.push(page);
+    return pages;
+}
+
+function formatRanges(pageIndexes) {
+    const ranges = [];
+    let start = pageIndexes[0];
+    let previous = start;
+
+    for (const pageIndex of [...pageIndexes.slice(1), null]) {
+        if (pageIndex !== null && pageIndex === previous + 1) {
+            previous = pageIndex;
+            continue;
+        }
+        ranges.push(start === previous ? `${start + 1}` : `${start + 1}-${previous + 1}`);
+        start = pageIndex;
+        previous = pageIndex;
+    }
+
+    return ranges;
+}
+
+function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 40);
+}
+
+/**
+ * Resolve an export selection against a session
+ * @param {object} session - Session with pages and sections
+ * @param {{ pageRange?: string|Array, sectionIds?: string[] }} selection
+ * @returns {{ pageIndexes: number[], isFullBook: boolean, label: string, fileLabel: string, sectionIds: string[] }}
+ * @throws {Error} - On malformed or empty selections
+ */
+export function resolveSelection(session, { pageRange, sectionIds } = {}) {
+    const pageCount = session.pages.length;
+    const sections = Array.isArray(session.sections) ? session.sections : [];
+    const hasRange = Array.isArray(pageRange) ? pageRange.length > 0 : String(pageRange || '').trim().length > 0;
+    const requestedSections = Array.isArray(sectionIds) ? sectionIds.map(String) : [];
+
+    if (!hasRange && requestedSections.length === 0) {
+        const all = session.pages.map((_, pageIndex) => pageIndex);
+        return { pageIndexes: all, isFullBook: true, label: '', fileLabel: '', sectionIds: [] };
+    }
+
+    const selected = new Set(hasRange ? parsePageRanges(pageRange, pageCount) : []);
+    const matchedSections = [];
+
+    for (const sectionId of requestedSections) {
+        const section = sections.find((candidate) => candidate.id === sectionId);
+        if (!section) {
+            throw new Error(`Unknown section "${sectionId}"`);
+        }
+        matchedSections.push(section);
+        getSectionPages(sections, sectionId, pageCount).forEach((pageIndex) => selected.add(pageIndex));
+    }
+
+    const pageIndexes = [...selected].sort((a, b) => a - b);
+    if (pageIndexes.length === 0) {
+        throw new Error('Selection does not contain any pages');
+    }
+
+    const isFullBook = pageIndexes.length === pageCount;
+    const pageLabel = `Pages ${formatRanges(pageIndexes).join(', ')}`;
+    const label = !hasRange && matchedSections.length > 0
+        ? matchedSections.map((section) => section.title).join(', ')
+        : pageLabel;
+    const fileLabel = !hasRange && matchedSections.length === 1
+        ? slugify(matchedSections[0].title) || `p${formatRanges(pageIndexes).join('_')}`
+        : `p${formatRanges(pageIndexes).join('_')}`;
+
+    return {
+        pageIndexes,
+        isFullBook,
+        label: isFullBook ? '' : label,
+        fileLabel: isFullBook ? '' : fileLabel,
+        sectionIds: matchedSections.map((section) => section.id),
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * sentenceAlignment.js
+ * ────────────────────
+ * Pairs the sentences of a source chunk with the sentences of its translation
+ * for the bilingual reading view.
+ *
+ * Translations don't always keep sentence boundaries (two short sentences may
+ * become one), so sentences are aligned by length, Gale–Church style: a small
+ * dynamic program over 1-1, 1-2, 2-1, 2-2, 1-3 and 3-1 groupings whose cost
+ * is how far each group's length ratio strays from the chunk's overall ratio.
+ */
+
+const SENTENCE_PATTERN = /[^.!?।॥؟]+(?:[.!?।॥؟]+["'”’»)\]]*|$)/g;
+
+const MOVES = [
+    { source: 1, spoken: 1, penalty: 0 },
+    { source: 1, spoken: 2, penalty: 0.6 },
+    { source: 2, spoken: 1, penalty: 0.6 },
+    { source: 2, spoken: 2, penalty: 1.2 },
+    { source: 1, spoken: 3, penalty: 1.5 },
+    { source: 3, spoken: 1, penalty: 1.5 },
+    // Last resort, so very uneven sentence counts still align
+    { source: 1, spoken: 0, penalty: 4 },
+    { source: 0, spoken: 1, penalty: 4 },
+];
+
+/**
+ * Sentence ranges of a text, whitespace trimmed
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function splitSentenceRanges(text) {
+    const source = String(text || '');
+    const ranges = [];
+
+    for (const match of source.matchAll(SENTENCE_PATTERN)) {
+        const raw = match[0];
+        const leading = raw.length - raw.trimStart().length;
+        const trimmed = raw.trim();
+        if (!/[\p{L}\p{N}]/u.test(trimmed)) {
+            // Stray punctuation belongs to the previous sentence
+            if (ranges.length && trimmed) ranges[ranges.length - 1].end = match.index + leading + trimmed.length;
+            continue;
+        }
+        ranges.push({ start: match.index + leading, end: match.index + leading + trimmed.length });
+    }
+    return ranges;
+}
+
+function spanLength(ranges, from, count) {
+    let length = 0;
+    for (let i = from; i < from + count; i++) length += ranges[i].end - ranges[i].start;
+    return length;
+}
+
+function joinRanges(ranges, from, count, fallback) {
+    if (count === 0) return { start: fallback, end: fallback };
+    return { start: ranges[from].start, end: ranges[from + count - 1].end };
+}
+
+/**
+ * Align the sentences of a chunk with those of its spoken (translated) text
+ * @param {string} sourceText - Source chunk text
+ * @param {string} spokenText - Text that was spoken
+ * @param {number} [sourceOffset] - Added to source offsets (page position of the chunk)
+ * @returns {Array<{ sourceStart: number, sourceEnd: number, spokenStart: number, spokenEnd: number }>}
+ *   source offsets are page offsets, spoken offsets index spokenText; one side
+ *   may be empty (start === end) when a sentence has no counterpart
+ */
+export function alignSentences(sourceText, spokenText, sourceOffset = 0) {
+    const source = splitSentenceRanges(sourceText);
+    const spoken = splitSentenceRanges(spokenText);
+    if (source.length === 0 && spoken.length === 0) return [];
+
+    const ratio = (spanLength(spoken, 0, spoken.length) + 1) / (spanLength(source, 0, source.length) + 1);
+    const rows = source.length + 1;
+    const cols = spoken.length + 1;
+    const cost = new Float64Array(rows * cols).fill(Infinity);
+    const back = new Int8Array(rows * cols).fill(-1);
+    cost[0] = 0;
+
+    for (let i = 0; i < rows; i++) {
+        for (let j = 0; j < cols; j++) {
+            const here = cost[i * cols + j];
+            if (!Number.isFinite(here)) continue;
+
+            MOVES.forEach((move, moveIndex) => {
+                const ni = i + move.source;
+                const nj = j + move.spoken;
+                if (ni >= rows || nj >= cols) return;
+
+                const sourceLength = spanLength(source, i, move.source);
+                const spokenLength = spanLength(spoken, j, move.spoken);
+                const mismatch = Math.abs(Math.log((spokenLength + 1) / ((sourceLength + 1) * ratio)));
+                const next = here + mismatch + move.penalty;
+                if (next < cost[ni * cols + nj]) {
+                    cost[ni * cols + nj] = next;
+                    back[ni * cols + nj] = moveIndex;
+                }
+            });
+        }
+    }
+
+    const pairs = [];
+    let i = source.length;
+    let j = spoken.length;
+    while (i > 0 || j > 0) {
+        const move = MOVES[back[i * cols + j]];
+        i -= move.source;
+        j -= move.spoken;
+        const sourceRange = joinRanges(source, i, move.source, source[i]?.start ?? String(sourceText || '').length);
+        const spokenRange = joinRanges(spoken, j, move.spoken, spoken[j]?.start ?? String(spokenText || '').length);
+        pairs.push({
+            sourceStart: sourceOffset + sourceRange.start,
+            sourceEnd: sourceOffset + sourceRange.end,
+            spokenStart: spokenRange.start,
+            spokenEnd: spokenRange.end,
+        });
+    }
+    return pairs.reverse();
+}
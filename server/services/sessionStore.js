@@ -24,6 +24,10 @@ function serializeSession(session) {
         fullText: session.fullText,
         pages: Array.isArray(session.pages) ? session.pages : [],
         detectedLanguage: session.detectedLanguage || null,
+        metadata: session.metadata || {},
+        sections: Array.isArray(session.sections) ? session.sections : [],
+        lexicon: Array.isArray(session.lexicon) ? session.lexicon : [],
+        glossary: Array.isArray(session.glossary) ? session.glossary : [],
         lastAccess: typeof session.lastAccess === 'number' ? session.lastAccess : Date.now(),
     };
 }
@@ -54,7 +58,10 @@ function loadSessions() {
             fullText: item.fullText || '',
             pages: Array.isArray(item.pages) ? item.pages : [],
             detectedLanguage: item.detectedLanguage || null,
-            audioCacheMap: new Map(),
+            metadata: item.metadata || {},
+            sections: Array.isArray(item.sections) ? item.sections : [],
+            lexicon: Array.isArray(item.lexicon) ? item.lexicon : [],
+            glossary: Array.isArray(item.glossary) ? item.glossary : [],
             lastAccess: typeof item.lastAccess === 'number' ? item.lastAccess : Date.now(),
         });
     }
@@ -65,7 +72,6 @@ loadSessions();
 export function upsertSession(session) {
     sessions.set(session.id, {
         ...session,
-        audioCacheMap: session.audioCacheMap || new Map(),
         lastAccess: typeof session.lastAccess === 'number' ? session.lastAccess : Date.now(),
     });
     persistSessions();
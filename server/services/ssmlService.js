@@ -0,0 +1,183 @@
+/**
+ * ssmlService.js
+ * ──────────────
+ * Turns a plain text chunk into an SSML fragment (the part that goes inside
+ * <voice>/<prosody>) so headings, lists, quotes, dates, numbers and acronyms
+ * are read with some expression:
+ *
+ *   - <break> after sentences, paragraphs, headings and list items
+ *   - <emphasis> + slower prosody for heading-like paragraphs
+ *   - <say-as> for dates, grouped numbers and short acronyms
+ *   - raised pitch inside quotations
+ *   - <lang> around Latin-script runs in Indic text (multilingual voices only)
+ *   - <phoneme> for pronunciation lexicon entries that carry a phoneme string
+ *
+ * Only tags are added; the characters of the original text are kept in order,
+ * so word boundaries reported by the engine still align with the chunk text.
+ */
+
+import { findLexiconMatches } from './lexiconService.js';
+
+const SENTENCE_BREAK_MS = 150;
+const PARAGRAPH_BREAK_MS = 600;
+const HEADING_BREAK_MS = 500;
+const LIST_ITEM_BREAK_MS = 300;
+const MAX_HEADING_WORDS = 10;
+
+const LATIN_LANGUAGES = new Set(['en']);
+
+const INLINE_PATTERN = new RegExp(
+    [
+        '(?<quote>“[^”]{1,300}”|"[^"]{1,300}")',
+        '(?<isoDate>\\b\\d{4}-\\d{2}-\\d{2}\\b)',
+        '(?<date>\\b\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{4}\\b)',
+        '(?<number>\\b\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?\\b)',
+        '(?<acronym>\\b[A-Z]{2,6}\\b)',
+        '(?<bullet>(?:^|\\s)[•▪◦●■]\\s)',
+    ].join('|'),
+    'gu'
+);
+
+const LATIN_RUN = /[A-Za-z][A-Za-z0-9'’.-]*(?:[ \t]+[A-Za-z0-9][A-Za-z0-9'’.-]*)*/g;
+
+export function escapeSsml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function breakTag(ms) {
+    return `<break time="${ms}ms"/>`;
+}
+
+/**
+ * Heading heuristic: short, no sentence punctuation inside, and either
+ * numbered ("2.1 Methods"), a chapter/part label, or in title/upper case.
+ */
+export function isHeading(paragraph) {
+    const text = paragraph.trim().replace(/[.:]$/, '');
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length === 0 || words.length > MAX_HEADING_WORDS) return false;
+    // "2.1", "CHAPTER 1." and "Part IV." keep their dots
+    if (/[.!?।॥,;]/.test(text.replace(/\b(\d+|[IVXLC]+)\./g, '$1'))) return false;
+
+    if (/^(chapter|part|section|appendix|अध्याय|भाग)\b/iu.test(text)) return true;
+    if (/^\d+(\.\d+)*\.?\s+\S/.test(text)) return true;
+    if (/\p{Lu}/u.test(text) && text === text.toUpperCase()) return true;
+
+    const capitalized = words.filter((word) => /^\p{Lu}/u.test(word)).length;
+    return capitalized / words.length >= 0.6;
+}
+
+/**
+ * Acronyms of up to 3 letters, or without vowels, are spelled out;
+ * longer pronounceable ones (NASA, UNESCO) are left to the engine.
+ */
+function isSpelledAcronym(word) {
+    return word.length <= 3 || !/[AEIOU]/.test(word);
+}
+
+function dateFormat(value) {
+    const [first, second] = value.split(/[/.-]/).map(Number);
+    if (first > 12) return 'dmy';
+    if (second > 12) return 'mdy';
+    return 'dmy';
+}
+
+function renderInline(text) {
+    let output = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        const { quote, isoDate, date, number, acronym, bullet } = match.groups;
+        output += escapeSsml(text.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        if (quote) {
+            const inner = renderInline(quote.slice(1, -1));
+            output += `<prosody pitch="+5%">${escapeSsml(quote[0])}${inner}${escapeSsml(quote.slice(-1))}</prosody>`;
+        } else if (isoDate) {
+            output += `<say-as interpret-as="date" format="ymd">${escapeSsml(isoDate)}</say-as>`;
+        } else if (date) {
+            output += `<say-as interpret-as="date" format="${dateFormat(date)}">${escapeSsml(date)}</say-as>`;
+        } else if (number) {
+            output += `<say-as interpret-as="cardinal">${escapeSsml(number)}</say-as>`;
+        } else if (acronym) {
+            output += isSpelledAcronym(acronym)
+                ? `<say-as interpret-as="characters">${escapeSsml(acronym)}</say-as>`
+                : escapeSsml(acronym);
+        } else if (bullet) {
+            output += `${breakTag(LIST_ITEM_BREAK_MS)}${escapeSsml(bullet)}`;
+        }
+    }
+
+    return output + escapeSsml(text.slice(lastIndex));
+}
+
+function renderLexical(text, options) {
+    const matches = findLexiconMatches(text, options.phonemes);
+    if (matches.length === 0) return renderInline(text);
+
+    let output = '';
+    let lastIndex = 0;
+    for (const { index, length, entry } of matches) {
+        output += renderInline(text.slice(lastIndex, index));
+        output += `<phoneme alphabet="${escapeSsml(entry.alphabet)}" ph="${escapeSsml(entry.phoneme)}">${escapeSsml(text.slice(index, index + length))}</phoneme>`;
+        lastIndex = index + length;
+    }
+    return output + renderInline(text.slice(lastIndex));
+}
+
+function renderSegment(text, options) {
+    if (!options.langSwitch || LATIN_LANGUAGES.has(options.language)) {
+        return renderLexical(text, options);
+    }
+
+    // Latin-script words inside Indic text get an English <lang> span
+    let output = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(LATIN_RUN)) {
+        output += renderLexical(text.slice(lastIndex, match.index), options);
+        output += `<lang xml:lang="en-US">${renderLexical(match[0], options)}</lang>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return output + renderLexical(text.slice(lastIndex), options);
+}
+
+function splitSentences(paragraph) {
+    return paragraph.split(/(?<=[.!?।॥…]["'”’)]*)\s+/u).filter((sentence) => sentence.trim().length > 0);
+}
+
+/**
+ * Build the SSML body for a chunk
+ * @param {string} text - Chunk text (paragraphs separated by blank lines)
+ * @param {object} [options]
+ * @param {string} [options.language] - App language code of the text
+ * @param {boolean} [options.langSwitch] - Emit <lang> spans (multilingual voices)
+ * @param {Array<object>} [options.phonemes] - Lexicon entries to wrap in <phoneme>
+ * @returns {string} - SSML fragment without <speak>/<voice>
+ */
+export function buildSsml(text, options = {}) {
+    const paragraphs = String(text || '')
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.trim())
+        .filter(Boolean);
+
+    return paragraphs
+        .map((paragraph, index) => {
+            const isLast = index === paragraphs.length - 1;
+
+            if (isHeading(paragraph)) {
+                const heading = `<emphasis level="moderate"><prosody rate="-8%">${renderSegment(paragraph, options)}</prosody></emphasis>`;
+                return `${heading}${breakTag(HEADING_BREAK_MS)}`;
+            }
+
+            const sentences = splitSentences(paragraph).map((sentence) => renderSegment(sentence, options));
+            const body = sentences.join(` ${breakTag(SENTENCE_BREAK_MS)} `);
+            return isLast ? body : `${body}${breakTag(PARAGRAPH_BREAK_MS)}`;
+        })
+        .join('\n');
+}
@@ -0,0 +1,157 @@
+/**
+ * subtitleService.js
+ * ──────────────────
+ * Builds sentence-level captions (SRT / WebVTT) for merged audiobooks from
+ * per-chunk TTS word timings, shifted by each chunk's offset in the merged file.
+ */
+
+import fs from 'fs';
+import { alignWordTimings } from './wordAlignment.js';
+
+const SENTENCE_END = /[.!?।॥…]/;
+const CLAUSE_END = /[,;:]/;
+const MAX_CUE_MS = 7000;
+const MAX_CUE_CHARS = 120;
+
+function cleanCueText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split text into sentences and spread them over a time span by length.
+ * Used when a chunk has no word timings.
+ */
+function proportionalCues(text, startMs, durationMs) {
+    const sentences = (cleanCueText(text).match(/[^.!?।॥]+[.!?।॥]*/g) || [])
+        .map(cleanCueText)
+        .filter(Boolean);
+    const totalChars = sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+    if (totalChars === 0 || durationMs <= 0) return [];
+
+    const cues = [];
+    let cursorMs = startMs;
+    for (const sentence of sentences) {
+        const spanMs = Math.round((sentence.length / totalChars) * durationMs);
+        cues.push({ startMs: cursorMs, endMs: cursorMs + spanMs, text: sentence });
+        cursorMs += spanMs;
+    }
+    return cues;
+}
+
+function chunkCues(spokenText, wordTimings, offsetMs) {
+    const words = alignWordTimings(spokenText, wordTimings);
+    const cues = [];
+    let cueStart = 0;
+
+    // Where the text after word i ends: the start of the next word that was
+    // found in the text. Unaligned words (a lone quote, a token the engine
+    // rewrote) carry no position of their own, so they are skipped over.
+    const boundaries = new Array(words.length);
+    let nextAlignedStart = null;
+    for (let i = words.length - 1; i >= 0; i--) {
+        boundaries[i] = nextAlignedStart ?? words[i].charEnd;
+        if (words[i].aligned) nextAlignedStart = words[i].charStart;
+    }
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const next = words[i + 1];
+        const first = words[cueStart];
+        const boundary = boundaries[i];
+        const gapText = word.aligned ? spokenText.slice(word.charEnd, boundary) : word.part;
+        const cueMs = word.end - first.start;
+        const cueChars = boundary - first.charStart;
+
+        const isLast = !next;
+        const endsSentence = SENTENCE_END.test(gapText);
+        const tooLong = (cueMs >= MAX_CUE_MS || cueChars >= MAX_CUE_CHARS) && (CLAUSE_END.test(gapText) || cueChars >= MAX_CUE_CHARS * 1.5);
+        if (!isLast && !endsSentence && !tooLong) continue;
+
+        const alignedRange = first.aligned && word.aligned;
+        const text = alignedRange
+            ? spokenText.slice(first.charStart, isLast ? spokenText.length : boundary)
+            : words.slice(cueStart, i + 1).map((item) => item.part).join(' ');
+
+        cues.push({
+            startMs: offsetMs + first.start,
+            endMs: offsetMs + word.end,
+            text: cleanCueText(text),
+        });
+        cueStart = i + 1;
+    }
+
+    return cues.filter((cue) => cue.text.length > 0);
+}
+
+/**
+ * Build ordered, non-overlapping cues for a merged audiobook
+ * @param {Array<{ spokenText: string, wordTimings: Array, offsetMs: number, durationMs: number }>} chunks
+ * @returns {Array<{ startMs: number, endMs: number, text: string, chunkIndex: number }>}
+ */
+export function buildSubtitleCues(chunks) {
+    const cues = [];
+
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+        const chunkEndMs = chunk.offsetMs + chunk.durationMs;
+        const produced = chunk.wordTimings?.length
+            ? chunkCues(chunk.spokenText || '', chunk.wordTimings, chunk.offsetMs)
+            : proportionalCues(chunk.spokenText, chunk.offsetMs, chunk.durationMs);
+
+        for (const cue of produced) {
+            cues.push({
+                ...cue,
+                chunkIndex,
+                endMs: Math.min(Math.max(cue.endMs, cue.startMs + 1), chunkEndMs || cue.endMs),
+            });
+        }
+    }
+
+    for (let i = 0; i < cues.length - 1; i++) {
+        if (cues[i].endMs > cues[i + 1].startMs) {
+            cues[i].endMs = cues[i + 1].startMs;
+        }
+    }
+
+    return cues.filter((cue) => cue.endMs > cue.startMs);
+}
+
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+export function formatSrt(cues) {
+    return cues
+        .map((cue, index) =>
+            `${index + 1}\n${formatTimestamp(cue.startMs, ',')} --> ${formatTimestamp(cue.endMs, ',')}\n${cue.text}\n`
+        )
+        .join('\n');
+}
+
+export function formatVtt(cues) {
+    const body = cues
+        .map((cue, index) =>
+            `${index + 1}\n${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}\n${cue.text.replace(/-->/g, '->')}\n`
+        )
+        .join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Write .srt and .vtt files next to each other
+ * @param {string} basePath - Output path without extension
+ * @param {Array} cues
+ * @returns {{ srtPath: string, vttPath: string }}
+ */
+export function writeSubtitleFiles(basePath, cues) {
+    const srtPath = `${basePath}.srt`;
+    const vttPath = `${basePath}.vtt`;
+    fs.writeFileSync(srtPath, formatSrt(cues), 'utf-8');
+    fs.writeFileSync(vttPath, formatVtt(cues), 'utf-8');
+    return { srtPath, vttPath };
+}
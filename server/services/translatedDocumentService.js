@@ -0,0 +1,147 @@
+/**
+ * translatedDocumentService.js
+ * ────────────────────────────
+ * Translates a whole session for the document export, page by page and
+ * paragraph by paragraph (so page and paragraph breaks survive), and renders
+ * the result as plain text or Markdown. DOCX and PDF output live in
+ * docxService.js and pdfDocumentService.js.
+ *
+ * Every paragraph goes through smartTranslate(), so it lands in the
+ * persistent translation cache and a repeated export is nearly free.
+ * Paragraphs are translated a few at a time through mapOrdered() under the
+ * session's runLimited() share, the same caps the audiobook jobs use.
+ *
+ * A translated document is:
+ *   { title, author, sourceLanguage: { code, name }, targetLanguage: { code, name },
+ *     translationProviders: string[], generatedAt,
+ *     pages: [{ pageIndex, paragraphs: string[] }] }
+ */
+
+import { smartTranslate } from './translationService.js';
+import { DEFAULT_CONCURRENCY, mapOrdered, runLimited } from './concurrencyService.js';
+import { getLanguageName } from './languageDetector.js';
+
+export const DOCUMENT_FORMATS = {
+    txt: { extension: 'txt', mimeType: 'text/plain; charset=utf-8' },
+    md: { extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+    docx: {
+        extension: 'docx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    },
+    pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+};
+
+function splitParagraphs(pageText) {
+    return String(pageText || '')
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Translate the selected pages of a session
+ * @param {object} session
+ * @param {object} options
+ * @param {string} options.language - Target language (app code)
+ * @param {number[]} options.pageIndexes
+ * @param {Array<object>} [options.glossary] - Entries for the target language
+ * @param {string} [options.title]
+ * @param {string} [options.author]
+ * @param {number} [options.concurrency] - Paragraphs translated at once
+ * @param {() => boolean} [options.isCancelled] - Stops starting new paragraphs
+ * @returns {Promise<object>} - Translated document
+ * @throws {Error} - When a paragraph cannot be translated
+ */
+export async function translateDocument(session, {
+    language,
+    pageIndexes,
+    glossary = [],
+    title = '',
+    author = '',
+    concurrency = DEFAULT_CONCURRENCY,
+    isCancelled = () => false,
+}) {
+    const sourceCode = session.detectedLanguage?.code || 'en';
+    const providers = new Set();
+    const pages = pageIndexes.map((pageIndex) => ({ pageIndex, paragraphs: [] }));
+    const tasks = pages.flatMap((page) =>
+        splitParagraphs(session.pages[page.pageIndex]).map((text) => ({ page, text }))
+    );
+
+    const { stopped } = await mapOrdered(tasks, {
+        concurrency,
+        shouldStop: isCancelled,
+        worker: (task) => runLimited(session.id, () => smartTranslate(task.text, language, sourceCode, { glossary })),
+        onResult: ({ value, error }, index) => {
+            if (error) throw error;
+            if (value.provider) providers.add(value.provider);
+            tasks[index].page.paragraphs.push(value.text);
+        },
+    });
+    if (stopped) throw new Error('Export cancelled');
+
+    return {
+        title: title || 'Translated document',
+        author,
+        sourceLanguage: { code: sourceCode, name: session.detectedLanguage?.name || getLanguageName(sourceCode) },
+        targetLanguage: { code: language, name: getLanguageName(language) },
+        translationProviders: [...providers],
+        generatedAt: new Date().toISOString(),
+        pages,
+    };
+}
+
+function describeTranslation(doc) {
+    const via = doc.translationProviders.length ? ` (${doc.translationProviders.join(', ')})` : '';
+    return `Translated from ${doc.sourceLanguage.name} (${doc.sourceLanguage.code}) to ${doc.targetLanguage.name} (${doc.targetLanguage.code})${via}`;
+}
+
+/**
+ * Plain text: a metadata header, then each page under a "Page N" banner
+ * @param {object} doc - Translated document
+ * @returns {string}
+ */
+export function buildPlainText(doc) {
+    const header = [
+        doc.title,
+        ...(doc.author ? [doc.author] : []),
+        describeTranslation(doc),
+        `Generated: ${doc.generatedAt}`,
+    ];
+    const pages = doc.pages.map((page) =>
+        [`──── Page ${page.pageIndex + 1} ────`, '', ...page.paragraphs.flatMap((text) => [text, ''])].join('\n')
+    );
+    return `${header.join('\n')}\n\n${pages.join('\n')}`.trimEnd() + '\n';
+}
+
+function escapeMarkdown(text) {
+    return String(text).replace(/^([#>*+-]|\d+\.)(\s)/, '\\$1$2');
+}
+
+function yamlString(value) {
+    return JSON.stringify(String(value ?? ''));
+}
+
+/**
+ * Markdown: YAML front matter with the language metadata, one `## Page N`
+ * section per page
+ * @param {object} doc - Translated document
+ * @returns {string}
+ */
+export function buildMarkdown(doc) {
+    const frontMatter = [
+        '---',
+        `title: ${yamlString(doc.title)}`,
+        ...(doc.author ? [`author: ${yamlString(doc.author)}`] : []),
+        `source_language: ${yamlString(doc.sourceLanguage.code)}`,
+        `source_language_name: ${yamlString(doc.sourceLanguage.name)}`,
+        `language: ${yamlString(doc.targetLanguage.code)}`,
+        `translation_providers: [${doc.translationProviders.map(yamlString).join(', ')}]`,
+        `generated: ${yamlString(doc.generatedAt)}`,
+        '---',
+    ];
+    const pages = doc.pages.map((page) =>
+        [`## Page ${page.pageIndex + 1}`, '', ...page.paragraphs.flatMap((text) => [escapeMarkdown(text), ''])].join('\n')
+    );
+    return `${frontMatter.join('\n')}\n\n# ${doc.title}\n\n${pages.join('\n')}`.trimEnd() + '\n';
+}
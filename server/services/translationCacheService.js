@@ -0,0 +1,205 @@
+/**
+ * translationCacheService.js
+ * ──────────────────────────
+ * Persistent translation cache shared by every session.
+ *
+ * The key is a hash of the source text, source and target language, provider
+ * and glossary, so two sessions translating the same paragraph share one
+ * entry. Entries live in memory and are written to data/translations.json
+ * (next to sessions.json, debounced like the session store), so they survive
+ * restarts.
+ *
+ * Entries expire after TRANSLATION_CACHE_TTL_HOURS (default 720 = 30 days);
+ * least recently used entries are evicted once the cache grows past
+ * TRANSLATION_CACHE_MAX_MB (default 50) or TRANSLATION_CACHE_MAX_ENTRIES
+ * (default 50000). Set TRANSLATION_CACHE=off to disable it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashText } from './checkpointService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const STORE_PATH = path.join(DATA_DIR, 'translations.json');
+
+const CACHE_ENABLED = process.env.TRANSLATION_CACHE !== 'off';
+const TTL_MS = readPositive('TRANSLATION_CACHE_TTL_HOURS', 720) * 60 * 60 * 1000;
+const MAX_BYTES = readPositive('TRANSLATION_CACHE_MAX_MB', 50) * 1024 * 1024;
+const MAX_ENTRIES = readPositive('TRANSLATION_CACHE_MAX_ENTRIES', 50000);
+
+function readPositive(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// key → { text, provider, createdAt, size }; Map order is least → most recently used
+let entries = null;
+let totalBytes = 0;
+let hits = 0;
+let misses = 0;
+let persistTimer = null;
+
+function entrySize(key, text) {
+    return key.length + Buffer.byteLength(text, 'utf-8');
+}
+
+function isExpired(entry, now = Date.now()) {
+    return now - entry.createdAt > TTL_MS;
+}
+
+function loadEntries() {
+    if (entries) return entries;
+
+    entries = new Map();
+    totalBytes = 0;
+    try {
+        const parsed = fs.existsSync(STORE_PATH) ? JSON.parse(fs.readFileSync(STORE_PATH, 'utf-8')) : [];
+        const now = Date.now();
+        for (const item of Array.isArray(parsed) ? parsed : []) {
+            if (!item?.key || typeof item.text !== 'string' || isExpired(item, now)) continue;
+            const size = entrySize(item.key, item.text);
+            entries.set(item.key, { text: item.text, provider: item.provider, createdAt: item.createdAt, size });
+            totalBytes += size;
+        }
+    } catch (error) {
+        console.warn(`Translation cache not loaded: ${error.message}`);
+    }
+    evict();
+    return entries;
+}
+
+// Entries serialized per write() call, so a large cache never blocks the event loop for long
+const WRITE_BATCH = 500;
+let writing = null;
+let writeAgain = false;
+
+/** Write the cache to a temp file in batches, then swap it in */
+async function writeEntries() {
+    const snapshot = Array.from(entries, ([key, { text, provider, createdAt }]) => ({ key, text, provider, createdAt }));
+    const tempPath = `${STORE_PATH}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+        await handle.write('[');
+        for (let i = 0; i < snapshot.length; i += WRITE_BATCH) {
+            const batch = snapshot.slice(i, i + WRITE_BATCH).map((item) => JSON.stringify(item)).join(',');
+            await handle.write(i > 0 ? `,${batch}` : batch);
+        }
+        await handle.write(']');
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tempPath, STORE_PATH);
+}
+
+function persistEntries() {
+    // Debounce: wait 2s after last call before writing; one write at a time
+    if (persistTimer) clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        if (writing) {
+            writeAgain = true;
+            return;
+        }
+        writing = writeEntries()
+            .catch((error) => console.warn(`Translation cache not saved: ${error.message}`))
+            .finally(() => {
+                writing = null;
+                if (writeAgain) {
+                    writeAgain = false;
+                    persistEntries();
+                }
+            });
+    }, 2000);
+}
+
+function removeEntry(key) {
+    totalBytes -= entries.get(key)?.size || 0;
+    entries.delete(key);
+}
+
+function evict() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+        if (isExpired(entry, now)) removeEntry(key);
+    }
+    for (const key of entries.keys()) {
+        if (totalBytes <= MAX_BYTES && entries.size <= MAX_ENTRIES) break;
+        removeEntry(key);
+    }
+}
+
+/**
+ * Cache key for one translation request
+ * @param {{ text: string, sourceLang: string|null, targetLang: string, provider: string, glossary?: string|null }} params
+ *   glossary: key from getGlossaryKey()
+ * @returns {string}
+ */
+export function getTranslationCacheKey({ text, sourceLang, targetLang, provider, glossary = null }) {
+    return hashText(JSON.stringify({
+        text,
+        sourceLang: sourceLang || null,
+        targetLang,
+        provider,
+        glossary,
+    }));
+}
+
+/**
+ * @param {string} key
+ * @returns {{ text: string, provider: string }|null}
+ */
+export function lookupCachedTranslation(key) {
+    if (!CACHE_ENABLED) return null;
+
+    const entry = loadEntries().get(key);
+    if (!entry || isExpired(entry)) {
+        if (entry) {
+            removeEntry(key);
+            persistEntries();
+        }
+        misses++;
+        return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return { text: entry.text, provider: entry.provider };
+}
+
+/**
+ * @param {string} key
+ * @param {{ text: string, provider: string }} result
+ */
+export function storeCachedTranslation(key, { text, provider }) {
+    if (!CACHE_ENABLED) return;
+    loadEntries();
+
+    if (entries.has(key)) removeEntry(key);
+    const size = entrySize(key, text);
+    entries.set(key, { text, provider, createdAt: Date.now(), size });
+    totalBytes += size;
+    evict();
+    persistEntries();
+}
+
+export function getTranslationCacheStats() {
+    loadEntries();
+    const lookups = hits + misses;
+    return {
+        enabled: CACHE_ENABLED,
+        entries: entries.size,
+        bytes: totalBytes,
+        maxBytes: MAX_BYTES,
+        maxEntries: MAX_ENTRIES,
+        ttlHours: TTL_MS / (60 * 60 * 1000),
+        hits,
+        misses,
+        hitRate: lookups ? Math.round((hits / lookups) * 1000) / 1000 : null,
+    };
+}
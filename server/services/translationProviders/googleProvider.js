@@ -0,0 +1,19 @@
+/**
+ * googleProvider.js
+ * ─────────────────
+ * Google Translate through google-translate-api-x (public endpoint, needs
+ * network access).
+ */
+
+import translate from 'google-translate-api-x';
+
+export default {
+    id: 'google',
+    name: 'Google Translate',
+    maxLength: 4500,
+
+    async translate({ text, targetLang }) {
+        const result = await translate(text, { to: targetLang });
+        return result.text;
+    },
+};
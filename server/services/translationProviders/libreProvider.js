@@ -0,0 +1,46 @@
+/**
+ * libreProvider.js
+ * ────────────────
+ * Any LibreTranslate-compatible HTTP API, e.g. a local instance
+ * (`docker run -p 5000:5000 libretranslate/libretranslate`).
+ *
+ * Configuration (server .env):
+ *   LIBRETRANSLATE_URL      Base URL. Default: http://localhost:5000
+ *   LIBRETRANSLATE_API_KEY  Optional API key
+ */
+
+const BASE_URL = (process.env.LIBRETRANSLATE_URL || 'http://localhost:5000').replace(/\/+$/, '');
+const API_KEY = process.env.LIBRETRANSLATE_API_KEY || '';
+const REQUEST_TIMEOUT_MS = 30000;
+
+export default {
+    id: 'libre',
+    name: 'LibreTranslate',
+    maxLength: 4500,
+
+    async translate({ text, targetLang }) {
+        const response = await fetch(`${BASE_URL}/translate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                q: text,
+                source: 'auto',
+                target: targetLang,
+                format: 'text',
+                ...(API_KEY && { api_key: API_KEY }),
+            }),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `LibreTranslate responded ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        if (typeof data.translatedText !== 'string') {
+            throw new Error('LibreTranslate response has no translatedText');
+        }
+        return data.translatedText;
+    },
+};
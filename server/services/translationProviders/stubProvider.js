@@ -0,0 +1,54 @@
+/**
+ * stubProvider.js
+ * ───────────────
+ * Deterministic offline "translation" for tests and demos: words found in a
+ * per-language dictionary are replaced, everything else is kept as written.
+ * No network access.
+ *
+ * Configuration (server .env):
+ *   TRANSLATION_STUB_DICTIONARY  Optional JSON file of extra entries,
+ *                                { "hi": { "hello": "नमस्ते" }, ... }
+ */
+
+import fs from 'fs';
+
+const BUILT_IN_DICTIONARY = {
+    hi: { hello: 'नमस्ते', world: 'दुनिया', book: 'किताब', page: 'पृष्ठ', yes: 'हाँ', no: 'नहीं', thank: 'धन्यवाद' },
+    bn: { hello: 'নমস্কার', world: 'পৃথিবী', book: 'বই', page: 'পৃষ্ঠা', yes: 'হ্যাঁ', no: 'না' },
+    ta: { hello: 'வணக்கம்', world: 'உலகம்', book: 'புத்தகம்', page: 'பக்கம்' },
+    en: { 'नमस्ते': 'hello', 'दुनिया': 'world', 'किताब': 'book', 'নমস্কার': 'hello', 'বই': 'book' },
+};
+
+function loadDictionary() {
+    const dictionary = Object.fromEntries(
+        Object.entries(BUILT_IN_DICTIONARY).map(([language, words]) => [language, { ...words }])
+    );
+    const file = process.env.TRANSLATION_STUB_DICTIONARY;
+    if (!file) return dictionary;
+
+    try {
+        const extra = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        for (const [language, words] of Object.entries(extra)) {
+            dictionary[language] = { ...dictionary[language] };
+            for (const [word, translation] of Object.entries(words || {})) {
+                dictionary[language][word.toLocaleLowerCase()] = String(translation);
+            }
+        }
+    } catch (error) {
+        console.warn(`Could not read TRANSLATION_STUB_DICTIONARY: ${error.message}`);
+    }
+    return dictionary;
+}
+
+const DICTIONARY = loadDictionary();
+
+export default {
+    id: 'stub',
+    name: 'Dictionary stub (offline)',
+    maxLength: 4500,
+
+    async translate({ text, targetLang }) {
+        const words = DICTIONARY[targetLang] || {};
+        return text.replace(/[\p{L}\p{M}]+/gu, (word) => words[word.toLocaleLowerCase()] ?? word);
+    },
+};
@@ -1,13 +1,72 @@
-import translate from 'google-translate-api-x';
+/**
+ * translationService.js
+ * ─────────────────────
+ * Translation front door. smartTranslate()/translateText() pick a provider:
+ *
+ *   google — Google Translate public endpoint (default, needs network)
+ *   libre  — LibreTranslate-compatible HTTP API, e.g. a local instance
+ *   stub   — offline dictionary replacement (tests)
+ *
+ * The deployment default comes from TRANSLATION_PROVIDER.
+ *
+ * A provider is `{ id, name, maxLength, translate({ text, targetLang }) }`
+ * where translate resolves to the translated string; longer texts are split
+ * into sentence batches of at most maxLength characters.
+ * Results record the provider that produced them and are kept in the
+ * persistent translation cache (translationCacheService).
+ *
+ * With `options.glossary` (see glossaryService) glossary terms are masked
+ * before the provider sees the text and restored in its output.
+ */
+
+import googleProvider from './translationProviders/googleProvider.js';
+import libreProvider from './translationProviders/libreProvider.js';
+import stubProvider from './translationProviders/stubProvider.js';
 import { checkTranslationNeeded } from './languageDetector.js';
+import { maskGlossaryTerms, getGlossaryKey } from './glossaryService.js';
+import {
+    getTranslationCacheKey,
+    lookupCachedTranslation,
+    storeCachedTranslation,
+} from './translationCacheService.js';
+
+const PROVIDERS = new Map(
+    [googleProvider, libreProvider, stubProvider].map((provider) => [provider.id, provider])
+);
+
+export const DEFAULT_TRANSLATION_PROVIDER = PROVIDERS.has(process.env.TRANSLATION_PROVIDER)
+    ? process.env.TRANSLATION_PROVIDER
+    : 'google';
+
+export function hasTranslationProvider(providerId) {
+    return PROVIDERS.has(providerId);
+}
 
-const translationCache = new Map();
-const MAX_TRANSLATE_LENGTH = 4500;
+/**
+ * @param {string} [providerId] - Defaults to the deployment provider
+ * @returns {object} - Provider
+ * @throws {Error} - For unknown ids
+ */
+export function getTranslationProvider(providerId) {
+    const id = providerId || DEFAULT_TRANSLATION_PROVIDER;
+    const provider = PROVIDERS.get(id);
+    if (!provider) {
+        throw new Error(`Unknown translation provider "${id}"`);
+    }
+    return provider;
+}
 
-async function translateInBatches(text, targetLang) {
-    if (text.length <= MAX_TRANSLATE_LENGTH) {
-        const result = await translate(text, { to: targetLang });
-        return result.text;
+export function listTranslationProviders() {
+    return [...PROVIDERS.values()].map((provider) => ({
+        id: provider.id,
+        name: provider.name,
+        isDefault: provider.id === DEFAULT_TRANSLATION_PROVIDER,
+    }));
+}
+
+async function translateInBatches(provider, text, targetLang) {
+    if (text.length <= provider.maxLength) {
+        return provider.translate({ text, targetLang });
     }
 
     const sentences = text.match(/[^.!?।]+[.!?।]+/g) || [text];
@@ -15,10 +74,9 @@ async function translateInBatches(text, targetLang) {
     let batch = '';
 
     for (const sentence of sentences) {
-        if (batch.length + sentence.length > MAX_TRANSLATE_LENGTH) {
+        if (batch.length + sentence.length > provider.maxLength) {
             if (batch.trim()) {
-                const result = await translate(batch, { to: targetLang });
-                translatedParts.push(result.text);
+                translatedParts.push(await provider.translate({ text: batch, targetLang }));
             }
             batch = sentence;
         } else {
@@ -27,14 +85,26 @@ async function translateInBatches(text, targetLang) {
     }
 
     if (batch.trim()) {
-        const result = await translate(batch, { to: targetLang });
-        translatedParts.push(result.text);
+        translatedParts.push(await provider.translate({ text: batch, targetLang }));
     }
 
     return translatedParts.join(' ');
 }
 
-export async function smartTranslate(text, targetLang, cacheKey = null, sourceLangHint = null) {
+function isRateLimited(error) {
+    return error.name === 'TooManyRequestsError' || error.code === 429 || error.status === 429;
+}
+
+/**
+ * Translate text unless it is already in the target language
+ * @param {string} text
+ * @param {string} targetLang
+ * @param {string|null} [sourceLangHint] - Skips detection when given
+ * @param {{ provider?: string, glossary?: Array<object> }} [options] - See translateText()
+ * @returns {Promise<{ text: string, translated: boolean, sourceLang: string, provider: string|null }>}
+ *   provider is null when nothing was translated
+ */
+export async function smartTranslate(text, targetLang, sourceLangHint = null, options = {}) {
     const check = sourceLangHint
         ? { needsTranslation: sourceLangHint !== targetLang, sourceLang: sourceLangHint }
         : checkTranslationNeeded(text, targetLang);
@@ -44,50 +114,64 @@ export async function smartTranslate(text, targetLang, cacheKey = null, sourceLa
             text,
             translated: false,
             sourceLang: check.sourceLang,
+            provider: null,
         };
     }
 
-    const translated = await translateText(text, targetLang, cacheKey);
+    const result = await translateText(text, targetLang, { ...options, sourceLang: check.sourceLang });
     return {
-        text: translated,
-        translated: true,
+        text: result.text,
+        translated: result.provider !== null,
         sourceLang: check.sourceLang,
+        provider: result.provider,
     };
 }
 
-export async function translateText(text, targetLang, cacheKey = null) {
+/**
+ * Translate text, through the shared translation cache
+ * @param {string} text
+ * @param {string} targetLang
+ * @param {{ provider?: string, glossary?: Array<object>, sourceLang?: string }} [options]
+ *   glossary: entries for targetLang; sourceLang: part of the cache key
+ * @returns {Promise<{ text: string, provider: string|null }>} - provider is null when the text was kept as-is
+ */
+export async function translateText(text, targetLang, options = {}) {
     if (targetLang === 'en' && /^[ -~\s]*$/.test(text.substring(0, 200))) {
-        return text;
+        return { text, provider: null };
     }
 
-    if (cacheKey && translationCache.has(cacheKey)) {
-        return translationCache.get(cacheKey);
-    }
+    const provider = getTranslationProvider(options.provider);
+    const key = getTranslationCacheKey({
+        text,
+        sourceLang: options.sourceLang,
+        targetLang,
+        provider: provider.id,
+        glossary: getGlossaryKey(options.glossary),
+    });
+
+    const cached = lookupCachedTranslation(key);
+    if (cached) return cached;
+
+    const masked = maskGlossaryTerms(text, options.glossary);
+    const run = async () => {
+        const translated = await translateInBatches(provider, masked.text, targetLang);
+        const result = { text: masked.restore(translated), provider: provider.id };
+        storeCachedTranslation(key, result);
+        return result;
+    };
 
     try {
-        const fullTranslation = await translateInBatches(text, targetLang);
-        if (cacheKey) translationCache.set(cacheKey, fullTranslation);
-        return fullTranslation;
+        return await run();
     } catch (error) {
-        if (error.name === 'TooManyRequestsError' || error.code === 429) {
+        if (isRateLimited(error)) {
             await new Promise((r) => setTimeout(r, 2000));
             try {
-                const retriedTranslation = await translateInBatches(text, targetLang);
-                if (cacheKey) translationCache.set(cacheKey, retriedTranslation);
-                return retriedTranslation;
+                return await run();
             } catch (retryError) {
-                throw new Error(`Translation failed: ${retryError.message}`);
+                throw new Error(`Translation failed (${provider.id}): ${retryError.message}`);
             }
         }
 
-        throw new Error(`Translation failed: ${error.message}`);
-    }
-}
-
-export function clearTranslationCache(sessionId) {
-    for (const key of translationCache.keys()) {
-        if (key.startsWith(sessionId)) {
-            translationCache.delete(key);
-        }
+        throw new Error(`Translation failed (${provider.id}): ${error.message}`);
     }
 }
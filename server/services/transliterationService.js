@@ -0,0 +1,539 @@
+/**
+ * transliterationService.js
+ * ─────────────────────────
+ * Rule-based transliteration for the Brahmic scripts the app reads
+ * (Devanagari, Bengali/Assamese, Gurmukhi, Gujarati, Odia, Tamil, Telugu,
+ * Kannada, Malayalam):
+ *
+ *   iso       ISO 15919 romanization (कमला → "kamalā", ए → ē)
+ *   iast      IAST romanization (ṛ, ṃ, e/o without length marks)
+ *   readable  pronunciation-friendly ASCII (aa/ee/oo, sh, ch) with Hindi-style
+ *             schwa deletion ("कमला" → "kamlaa"); also the only scheme that
+ *             is suitable as TTS input
+ *   <script>  another Indic script, e.g. "tamil"
+ *
+ * The Unicode blocks of these scripts share one (ISCII) layout, so every
+ * letter is read as an offset into that layout and written out again from
+ * it. Letters a target script lacks fall back to the nearest one it has
+ * (Tamil ख → க, Malayalam क़ → ക). With `from: 'iso' | 'iast'`, romanized
+ * Latin words are converted into a target script as well. Urdu (Arabic
+ * script) is left as is.
+ */
+
+const INDIC_SCRIPTS = {
+    devanagari: { name: 'Devanagari', base: 0x0900 },
+    bengali: { name: 'Bengali', base: 0x0980 },
+    gurmukhi: { name: 'Gurmukhi', base: 0x0a00 },
+    gujarati: { name: 'Gujarati', base: 0x0a80 },
+    oriya: { name: 'Odia', base: 0x0b00 },
+    tamil: { name: 'Tamil', base: 0x0b80 },
+    telugu: { name: 'Telugu', base: 0x0c00 },
+    kannada: { name: 'Kannada', base: 0x0c80 },
+    malayalam: { name: 'Malayalam', base: 0x0d00 },
+};
+
+const ROMAN_SCHEMES = {
+    iso: 'ISO 15919',
+    iast: 'IAST',
+    readable: 'Readable romanization',
+};
+
+// Scripts whose inherent vowel is silent at the end of a word / between
+// VC_CV (Hindi-style schwa deletion), for the readable scheme
+const FINAL_SCHWA_SCRIPTS = new Set(['devanagari', 'gurmukhi', 'gujarati', 'bengali']);
+const MEDIAL_SCHWA_SCRIPTS = new Set(['devanagari', 'gurmukhi', 'gujarati']);
+const DRAVIDIAN_SCRIPTS = new Set(['tamil', 'telugu', 'kannada', 'malayalam']);
+
+const VIRAMA = 0x4d;
+const NUKTA = 0x3c;
+const ANUSVARA = 0x02;
+
+// Offsets (relative to the block start) by letter class
+const isConsonant = (offset) => (offset >= 0x15 && offset <= 0x39) || (offset >= 0x58 && offset <= 0x5f);
+const isVowel = (offset) => (offset >= 0x04 && offset <= 0x14) || offset === 0x60 || offset === 0x61;
+const isMatra = (offset) => (offset >= 0x3e && offset <= 0x4c) || offset === 0x62 || offset === 0x63 || offset === 0x57;
+const isDigit = (offset) => offset >= 0x66 && offset <= 0x6f;
+
+// Consonant + nukta → precomposed (Devanagari layout)
+const NUKTA_FORMS = new Map([
+    [0x15, 0x58], [0x16, 0x59], [0x17, 0x5a], [0x1c, 0x5b], [0x21, 0x5c], [0x22, 0x5d], [0x2b, 0x5e],
+    [0x2f, 0x5f], [0x28, 0x29], [0x30, 0x31], [0x33, 0x34],
+]);
+const NUKTA_BASES = new Map([...NUKTA_FORMS].map(([base, form]) => [form, base]));
+
+// Offsets 0x58–0x5f that hold a precomposed nukta consonant in each script.
+// The rest of that row is unassigned or holds unrelated letters (Telugu tsa,
+// Malayalam fractions), so those code points are never read or written as
+// nukta consonants; the plain consonant is written instead.
+const NUKTA_LETTERS = {
+    devanagari: new Set([0x58, 0x59, 0x5a, 0x5b, 0x5c, 0x5d, 0x5e, 0x5f]),
+    bengali: new Set([0x5c, 0x5d, 0x5f]),
+    gurmukhi: new Set([0x59, 0x5a, 0x5b, 0x5c, 0x5e]),
+    oriya: new Set([0x5c, 0x5d, 0x5f]),
+};
+const isNuktaForm = (offset) => offset >= 0x58 && offset <= 0x5f;
+const hasLetter = (script, offset) => !isNuktaForm(offset) || Boolean(NUKTA_LETTERS[script]?.has(offset));
+
+// Script-specific letters outside the shared layout → [consonant offset, virama?]
+const SPECIAL_LETTERS = new Map([
+    [0x09ce, [0x24, true]], // Bengali khanda ta
+    [0x09f0, [0x30, false]], // Assamese ra
+    [0x09f1, [0x35, false]], // Assamese wa
+    [0x0b71, [0x35, false]], // Odia wa
+    [0x0d7a, [0x23, true]], // Malayalam chillu ṇ
+    [0x0d7b, [0x28, true]], // chillu n
+    [0x0d7c, [0x30, true]], // chillu r
+    [0x0d7d, [0x32, true]], // chillu l
+    [0x0d7e, [0x33, true]], // chillu ḷ
+    [0x0d7f, [0x15, true]], // chillu k
+]);
+
+// Nearest letter when a target script lacks one
+const FALLBACKS = new Map([
+    [0x16, 0x15], [0x17, 0x15], [0x18, 0x15], [0x1b, 0x1a], [0x1d, 0x1a], [0x20, 0x1f], [0x21, 0x1f],
+    [0x22, 0x1f], [0x25, 0x24], [0x26, 0x24], [0x27, 0x24], [0x2b, 0x2a], [0x2c, 0x2a], [0x2d, 0x2a],
+    [0x35, 0x2c], [0x36, 0x38], [0x37, 0x38], [0x1c, 0x1a], [0x29, 0x28], [0x31, 0x30], [0x34, 0x33],
+    [0x0d, 0x0f], [0x11, 0x13], [0x0e, 0x0f], [0x12, 0x13], [0x45, 0x47], [0x49, 0x4b], [0x46, 0x47],
+    [0x4a, 0x4b], [0x01, 0x02],
+]);
+
+const ROMAN = {
+    iso: {
+        vowels: {
+            0x05: 'a', 0x06: 'ā', 0x07: 'i', 0x08: 'ī', 0x09: 'u', 0x0a: 'ū', 0x0b: 'r̥', 0x0c: 'l̥', 0x0d: 'ê',
+            0x0e: 'e', 0x0f: 'ē', 0x10: 'ai', 0x11: 'ô', 0x12: 'o', 0x13: 'ō', 0x14: 'au', 0x60: 'r̥̄', 0x61: 'l̥̄',
+        },
+        signs: { 0x01: 'm̐', 0x02: 'ṁ', 0x03: 'ḥ', 0x3d: '’', 0x50: 'ōṁ' },
+    },
+    iast: {
+        vowels: {
+            0x05: 'a', 0x06: 'ā', 0x07: 'i', 0x08: 'ī', 0x09: 'u', 0x0a: 'ū', 0x0b: 'ṛ', 0x0c: 'ḷ', 0x0d: 'ê',
+            0x0e: 'e', 0x0f: 'e', 0x10: 'ai', 0x11: 'ô', 0x12: 'o', 0x13: 'o', 0x14: 'au', 0x60: 'ṝ', 0x61: 'ḹ',
+        },
+        signs: { 0x01: 'm̐', 0x02: 'ṃ', 0x03: 'ḥ', 0x3d: '’', 0x50: 'oṃ' },
+    },
+    readable: {
+        vowels: {
+            0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ee', 0x09: 'u', 0x0a: 'oo', 0x0b: 'ri', 0x0c: 'lri', 0x0d: 'e',
+            0x0e: 'e', 0x0f: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au', 0x60: 'ree', 0x61: 'lree',
+        },
+        signs: { 0x01: 'n', 0x02: 'n', 0x03: 'h', 0x3d: '', 0x50: 'om' },
+    },
+};
+
+const CONSONANTS = {
+    iso: [
+        'k', 'kh', 'g', 'gh', 'ṅ', 'c', 'ch', 'j', 'jh', 'ñ', 'ṭ', 'ṭh', 'ḍ', 'ḍh', 'ṇ', 't', 'th', 'd', 'dh', 'n',
+        'ṉ', 'p', 'ph', 'b', 'bh', 'm', 'y', 'r', 'ṟ', 'l', 'ḷ', 'ḻ', 'v', 'ś', 'ṣ', 's', 'h',
+    ],
+    readable: [
+        'k', 'kh', 'g', 'gh', 'n', 'ch', 'chh', 'j', 'jh', 'n', 't', 'th', 'd', 'dh', 'n', 't', 'th', 'd', 'dh', 'n',
+        'n', 'p', 'ph', 'b', 'bh', 'm', 'y', 'r', 'r', 'l', 'l', 'zh', 'v', 'sh', 'sh', 's', 'h',
+    ],
+};
+const NUKTA_CONSONANTS = {
+    iso: { 0x58: 'q', 0x59: 'k͟h', 0x5a: 'ġ', 0x5b: 'z', 0x5c: 'ṛ', 0x5d: 'ṛh', 0x5e: 'f', 0x5f: 'ẏ' },
+    readable: { 0x58: 'q', 0x59: 'kh', 0x5a: 'gh', 0x5b: 'z', 0x5c: 'r', 0x5d: 'rh', 0x5e: 'f', 0x5f: 'y' },
+};
+
+function consonantRoman(offset, scheme) {
+    const table = scheme === 'readable' ? 'readable' : 'iso';
+    if (offset >= 0x58) return NUKTA_CONSONANTS[table][offset];
+    return CONSONANTS[table][offset - 0x15];
+}
+
+function scriptOf(codePoint) {
+    for (const [id, script] of Object.entries(INDIC_SCRIPTS)) {
+        if (codePoint >= script.base && codePoint < script.base + 0x80) return id;
+    }
+    return null;
+}
+
+/**
+ * Read text into tokens: { type: 'consonant'|'vowel'|'matra'|'virama'|'sign'|'digit'|'danda'|'gemination'|'other', ... }
+ * Indic letters carry their offset in the shared layout and their script.
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const char of text.normalize('NFC')) {
+        const codePoint = char.codePointAt(0);
+        const script = scriptOf(codePoint);
+        const previous = tokens[tokens.length - 1];
+
+        if (SPECIAL_LETTERS.has(codePoint)) {
+            const [offset, virama] = SPECIAL_LETTERS.get(codePoint);
+            tokens.push({ type: 'consonant', offset, script });
+            if (virama) tokens.push({ type: 'virama', script });
+            continue;
+        }
+        if (codePoint === 0x0964 || codePoint === 0x0965) {
+            tokens.push({ type: 'danda', double: codePoint === 0x0965 });
+            continue;
+        }
+        if (!script) {
+            tokens.push({ type: 'other', text: char });
+            continue;
+        }
+
+        const offset = codePoint - INDIC_SCRIPTS[script].base;
+        if (!hasLetter(script, offset)) {
+            tokens.push({ type: 'other', text: char });
+        } else if (offset === NUKTA && previous?.type === 'consonant') {
+            previous.offset = NUKTA_FORMS.get(previous.offset) ?? previous.offset;
+        } else if (script === 'gurmukhi' && offset === 0x70) {
+            tokens.push({ type: 'sign', offset: ANUSVARA, script }); // tippi
+        } else if (script === 'gurmukhi' && offset === 0x71) {
+            tokens.push({ type: 'gemination', script }); // addak
+        } else if (isConsonant(offset)) {
+            tokens.push({ type: 'consonant', offset, script });
+        } else if (isVowel(offset)) {
+            tokens.push({ type: 'vowel', offset, script });
+        } else if (isMatra(offset)) {
+            tokens.push({ type: 'matra', offset, script });
+        } else if (offset === VIRAMA) {
+            tokens.push({ type: 'virama', script });
+        } else if (isDigit(offset)) {
+            tokens.push({ type: 'digit', value: offset - 0x66 });
+        } else if ([0x01, 0x02, 0x03, 0x3d, 0x50].includes(offset)) {
+            tokens.push({ type: 'sign', offset, script });
+        } else {
+            tokens.push({ type: 'other', text: char });
+        }
+    }
+    return tokens;
+}
+
+function matraVowel(offset) {
+    // ा → आ, ि → इ ... (matras sit 0x38 above their vowels; ॢ/ॣ and the au length mark differ)
+    if (offset === 0x62) return 0x0c;
+    if (offset === 0x63) return 0x61;
+    if (offset === 0x44) return 0x60;
+    if (offset === 0x57) return 0x14;
+    return offset - 0x38;
+}
+
+function vowelMatra(offset) {
+    if (offset === 0x0c) return 0x62;
+    if (offset === 0x61) return 0x63;
+    if (offset === 0x60) return 0x44;
+    return offset + 0x38;
+}
+
+/**
+ * Group tokens into words of syllables for romanization
+ * A syllable is { consonants: string[], vowel: string|null, inherent: boolean, coda: string }.
+ */
+function romanizeTokens(tokens, scheme) {
+    const table = ROMAN[scheme];
+    const output = [];
+    let word = null;
+    let geminate = false;
+
+    const flushWord = () => {
+        if (!word) return;
+        if (scheme === 'readable') deleteSchwas(word);
+        output.push(word.syllables.map((s) => s.consonants.join('') + (s.vowel ?? '') + s.coda).join(''));
+        word = null;
+    };
+    const currentWord = (script) => {
+        if (!word) word = { script, syllables: [] };
+        return word;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === 'consonant') {
+            const { syllables } = currentWord(token.script);
+            let roman = consonantRoman(token.offset, scheme);
+            if (geminate) {
+                roman = roman.charAt(0) + roman;
+                geminate = false;
+            }
+            const last = syllables[syllables.length - 1];
+            // A consonant after a virama joins the open cluster
+            if (last && last.vowel === null) {
+                last.consonants.push(roman);
+            } else {
+                syllables.push({ consonants: [roman], vowel: null, inherent: false, coda: '' });
+            }
+            const syllable = syllables[syllables.length - 1];
+            const next = tokens[i + 1];
+            if (next?.type === 'matra') {
+                syllable.vowel = table.vowels[matraVowel(next.offset)] ?? '';
+                i++;
+            } else if (next?.type === 'virama') {
+                i++;
+                // Word-final virama: the cluster closes without a vowel
+                if (tokens[i + 1]?.type !== 'consonant') syllable.vowel = '';
+            } else {
+                syllable.vowel = 'a';
+                syllable.inherent = true;
+            }
+        } else if (token.type === 'vowel') {
+            currentWord(token.script).syllables.push({
+                consonants: [], vowel: table.vowels[token.offset] ?? '', inherent: false, coda: '',
+            });
+        } else if (token.type === 'sign') {
+            let roman = table.signs[token.offset] ?? '';
+            const next = tokens[i + 1];
+            // Readable: anusvara before p/b/m sounds like m
+            if (scheme === 'readable' && token.offset === ANUSVARA && next?.type === 'consonant'
+                && next.offset >= 0x2a && next.offset <= 0x2e) {
+                roman = 'm';
+            }
+            const { syllables } = currentWord(token.script);
+            if (syllables.length === 0) syllables.push({ consonants: [], vowel: '', inherent: false, coda: '' });
+            syllables[syllables.length - 1].coda += roman;
+        } else if (token.type === 'gemination') {
+            geminate = true;
+        } else if (token.type === 'matra' || token.type === 'virama') {
+            // Stray combining mark; nothing to attach it to
+        } else {
+            flushWord();
+            if (token.type === 'digit') output.push(String(token.value));
+            else if (token.type === 'danda') output.push('.');
+            else output.push(token.text);
+        }
+    }
+    flushWord();
+    return output.join('').normalize('NFC');
+}
+
+/** Hindi-style schwa deletion on one word (readable scheme) */
+function deleteSchwas(word) {
+    const { syllables, script } = word;
+    if (syllables.length < 2) return;
+
+    const last = syllables[syllables.length - 1];
+    if (FINAL_SCHWA_SCRIPTS.has(script) && last.inherent && !last.coda && last.consonants.length === 1) {
+        last.vowel = '';
+    }
+    if (!MEDIAL_SCHWA_SCRIPTS.has(script)) return;
+
+    // a → ∅ / VC_CV, right to left
+    for (let i = syllables.length - 2; i > 0; i--) {
+        const syllable = syllables[i];
+        const before = syllables[i - 1];
+        const after = syllables[i + 1];
+        if (
+            syllable.inherent && !syllable.coda && syllable.consonants.length === 1 &&
+            before.vowel && after.vowel && after.consonants.length === 1
+        ) {
+            syllable.vowel = '';
+        }
+    }
+}
+
+function targetCodePoint(offset, script) {
+    const base = INDIC_SCRIPTS[script].base;
+    const candidates = [offset];
+    if (NUKTA_BASES.has(offset)) candidates.push(NUKTA_BASES.get(offset));
+    for (let i = 0; i < candidates.length; i++) {
+        const fallback = FALLBACKS.get(candidates[i]);
+        if (fallback !== undefined && !candidates.includes(fallback)) candidates.push(fallback);
+    }
+    for (const candidate of candidates) {
+        if (!hasLetter(script, candidate)) continue;
+        const char = String.fromCodePoint(base + candidate);
+        if (!/\p{Cn}/u.test(char)) return char;
+    }
+    return null;
+}
+
+function scriptTokens(tokens, script) {
+    const base = INDIC_SCRIPTS[script].base;
+    let output = '';
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        switch (token.type) {
+            case 'consonant':
+            case 'vowel':
+            case 'matra':
+            case 'sign': {
+                const char = targetCodePoint(token.offset, script);
+                if (char) output += char;
+                // No vocalic r (Tamil): write it as "ru", as Tamil does (கிருஷ்ண)
+                else if (token.offset === 0x0b || token.offset === 0x43) {
+                    const ru = String.fromCodePoint(base + 0x30, base + 0x41);
+                    output += token.type === 'matra' ? String.fromCodePoint(base + 0x3f) + ru : ru;
+                }
+                break;
+            }
+            case 'virama':
+                output += String.fromCodePoint(base + VIRAMA);
+                break;
+            case 'gemination': {
+                const next = tokens[i + 1];
+                if (script === 'gurmukhi') output += 'ੱ';
+                else if (next?.type === 'consonant') {
+                    output += (targetCodePoint(next.offset, script) ?? '') + String.fromCodePoint(base + VIRAMA);
+                }
+                break;
+            }
+            case 'digit':
+                output += String.fromCodePoint(base + 0x66 + token.value);
+                break;
+            case 'danda':
+                output += token.double ? '॥' : '।';
+                break;
+            default:
+                output += token.text;
+        }
+    }
+    return output.normalize('NFC');
+}
+
+// Romanized input (ISO 15919 / IAST) → tokens in the shared layout
+const ROMAN_CONSONANTS = [
+    ['k͟h', 0x59], ['kh', 0x16], ['gh', 0x18], ['ch', 0x1b], ['jh', 0x1d], ['ṭh', 0x20], ['ḍh', 0x22],
+    ['th', 0x25], ['dh', 0x27], ['ph', 0x2b], ['bh', 0x2d], ['ṛh', 0x5d], ['k', 0x15], ['g', 0x17],
+    ['ṅ', 0x19], ['c', 0x1a], ['j', 0x1c], ['ñ', 0x1e], ['ṭ', 0x1f], ['ḍ', 0x21], ['ṇ', 0x23], ['t', 0x24],
+    ['d', 0x26], ['n', 0x28], ['ṉ', 0x29], ['p', 0x2a], ['b', 0x2c], ['m', 0x2e], ['y', 0x2f], ['r', 0x30],
+    ['ṟ', 0x31], ['l', 0x32], ['ḷ', 0x33], ['ḻ', 0x34], ['v', 0x35], ['w', 0x35], ['ś', 0x36], ['ṣ', 0x37],
+    ['s', 0x38], ['h', 0x39], ['q', 0x58], ['ġ', 0x5a], ['z', 0x5b], ['ṛ', 0x5c], ['f', 0x5e], ['ẏ', 0x5f],
+];
+const ROMAN_VOWELS = [
+    ['r̥̄', 0x60], ['l̥̄', 0x61], ['r̥', 0x0b], ['l̥', 0x0c], ['ai', 0x10], ['au', 0x14], ['ā', 0x06], ['ī', 0x08],
+    ['ū', 0x0a], ['ṝ', 0x60], ['ḹ', 0x61], ['ṛ', 0x0b], ['ḷ', 0x0c], ['ē', 0x0f], ['ō', 0x13], ['ê', 0x0d],
+    ['ô', 0x11], ['a', 0x05], ['i', 0x07], ['u', 0x09], ['e', 0x0f], ['o', 0x13],
+];
+const ROMAN_SIGNS = [['m̐', 0x01], ['ṁ', 0x02], ['ṃ', 0x02], ['ḥ', 0x03], ['’', 0x3d]];
+
+function matchAt(text, index, table) {
+    return table.find(([roman]) => text.startsWith(roman, index)) || null;
+}
+
+function romanTokens(text, from, script) {
+    const source = text.normalize('NFC');
+    const lower = source.toLocaleLowerCase();
+    const shortVowels = from === 'iso' && DRAVIDIAN_SCRIPTS.has(script);
+    const tokens = [];
+    let i = 0;
+
+    while (i < lower.length) {
+        const previous = tokens[tokens.length - 1];
+        const afterConsonant = previous?.type === 'consonant';
+        let vowel = matchAt(lower, i, ROMAN_VOWELS);
+        let consonant = matchAt(lower, i, ROMAN_CONSONANTS);
+
+        // ṛ/ḷ are vowels in IAST and consonants (ड़, ळ) in ISO; a following vowel decides
+        if (vowel && consonant && vowel[0] === consonant[0]) {
+            if (matchAt(lower, i + consonant[0].length, ROMAN_VOWELS)) vowel = null;
+            else consonant = null;
+        }
+
+        if (vowel && (!consonant || vowel[0].length >= consonant[0].length)) {
+            let offset = vowel[1];
+            if (shortVowels && vowel[0] === 'e') offset = 0x0e;
+            if (shortVowels && vowel[0] === 'o') offset = 0x12;
+            if (afterConsonant) {
+                if (offset !== 0x05) tokens.push({ type: 'matra', offset: vowelMatra(offset) });
+                previous.closed = true;
+            } else {
+                tokens.push({ type: 'vowel', offset });
+            }
+            i += vowel[0].length;
+            continue;
+        }
+        if (afterConsonant && !previous.closed) tokens.push({ type: 'virama' });
+        if (consonant) {
+            tokens.push({ type: 'consonant', offset: consonant[1] });
+            i += consonant[0].length;
+            continue;
+        }
+        const sign = matchAt(lower, i, ROMAN_SIGNS);
+        if (sign) {
+            tokens.push({ type: 'sign', offset: sign[1] });
+            i += sign[0].length;
+            continue;
+        }
+        tokens.push({ type: 'other', text: source[i] });
+        i++;
+    }
+    const last = tokens[tokens.length - 1];
+    if (last?.type === 'consonant' && !last.closed) tokens.push({ type: 'virama' });
+    return tokens;
+}
+
+/**
+ * Schemes for pickers: romanizations first, then scripts
+ * @returns {Array<{ id: string, name: string, kind: 'roman'|'script', speakable: boolean }>}
+ */
+export function listTransliterationSchemes() {
+    return [
+        ...Object.entries(ROMAN_SCHEMES).map(([id, name]) => ({ id, name, kind: 'roman', speakable: id === 'readable' })),
+        ...Object.entries(INDIC_SCRIPTS).map(([id, script]) => ({ id, name: script.name, kind: 'script', speakable: false })),
+    ];
+}
+
+export function isTransliterationScheme(id) {
+    return Object.hasOwn(ROMAN_SCHEMES, id) || Object.hasOwn(INDIC_SCRIPTS, id);
+}
+
+/**
+ * Validate a transliteration request for reading/audiobook playback
+ * Only the readable romanization can be spoken (`speak`); ISO/IAST diacritics
+ * and a foreign script mean nothing to the chunk language's voice.
+ * @param {object} input - { to, from?, speak? }
+ * @returns {{ transliteration?: object|null, error?: string }} - null when off
+ */
+export function normalizeTransliteration(input) {
+    if (!input || !input.to || input.to === 'off') return { transliteration: null };
+    if (!isTransliterationScheme(input.to)) {
+        return { error: `transliteration.to must be one of: off, ${listTransliterationSchemes().map((s) => s.id).join(', ')}` };
+    }
+    const from = input.from || 'auto';
+    if (!['auto', 'iso', 'iast'].includes(from)) {
+        return { error: 'transliteration.from must be one of: auto, iso, iast' };
+    }
+    const speak = input.speak === true;
+    if (speak && input.to !== 'readable') {
+        return { error: 'Only the readable romanization can be spoken' };
+    }
+    return { transliteration: { to: input.to, from, speak } };
+}
+
+/**
+ * Transliterate text
+ * @param {string} text
+ * @param {object} options
+ * @param {string} options.to - 'iso' | 'iast' | 'readable' | script id
+ * @param {'auto'|'iso'|'iast'} [options.from] - 'iso'/'iast' also converts
+ *   romanized Latin words into a target script
+ * @returns {string}
+ * @throws {Error} - For unknown schemes
+ */
+export function transliterate(text, { to, from = 'auto' }) {
+    if (!isTransliterationScheme(to)) {
+        throw new Error(`Unknown transliteration scheme "${to}"`);
+    }
+    const source = String(text || '');
+
+    if (Object.hasOwn(ROMAN_SCHEMES, to)) {
+        return romanizeTokens(tokenize(source), to);
+    }
+
+    const tokens = tokenize(source);
+    if (from !== 'iso' && from !== 'iast') {
+        return scriptTokens(tokens, to);
+    }
+
+    // Re-read Latin runs as romanized Indic
+    const mixed = [];
+    let latin = '';
+    const flushLatin = () => {
+        if (latin) mixed.push(...romanTokens(latin, from, to));
+        latin = '';
+    };
+    for (const token of tokens) {
+        if (token.type === 'other' && /[\p{Script=Latin}\p{M}’]/u.test(token.text)) {
+            latin += token.text;
+        } else {
+            flushLatin();
+            mixed.push(token);
+        }
+    }
+    flushLatin();
+    return scriptTokens(mixed, to);
+}
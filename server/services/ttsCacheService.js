@@ -0,0 +1,216 @@
+/**
+ * ttsCacheService.js
+ * ──────────────────
+ * Content-addressed cache of synthesized chunks, shared by every session.
+ *
+ * The key is a hash of everything that changes the audio: the exact text sent
+ * to the engine, language, provider, voice, speed, pitch, volume and lexicon
+ * phonemes. Each entry is `<key>.mp3` plus `<key>.json` (word timings) under
+ * audio/cache/<first two hex digits>/, so cached chunks can be served as-is.
+ *
+ * Least recently used entries are evicted once the cache grows past
+ * TTS_CACHE_MAX_MB (default 500) or TTS_CACHE_MAX_ENTRIES (default 20000).
+ * Entries held by a lease (createCacheLease) are skipped until it is released,
+ * so a chunk that is about to be merged cannot disappear underneath the merge.
+ * Set TTS_CACHE=off to disable it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashText } from './checkpointService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const CACHE_DIR = path.join(__dirname, '..', 'audio', 'cache');
+
+const CACHE_ENABLED = process.env.TTS_CACHE !== 'off';
+const MAX_BYTES = readPositive('TTS_CACHE_MAX_MB', 500) * 1024 * 1024;
+const MAX_ENTRIES = readPositive('TTS_CACHE_MAX_ENTRIES', 20000);
+
+function readPositive(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// key → size in bytes; Map order is least → most recently used
+let index = null;
+let totalBytes = 0;
+// key → number of leases holding it
+const pinned = new Map();
+
+function entryPaths(key) {
+    const dir = path.join(CACHE_DIR, key.slice(0, 2));
+    return { dir, audioPath: path.join(dir, `${key}.mp3`), timingsPath: path.join(dir, `${key}.json`) };
+}
+
+function loadIndex() {
+    if (index) return index;
+
+    index = new Map();
+    totalBytes = 0;
+    const found = [];
+
+    for (const shard of fs.existsSync(CACHE_DIR) ? fs.readdirSync(CACHE_DIR) : []) {
+        const shardDir = path.join(CACHE_DIR, shard);
+        if (!fs.statSync(shardDir).isDirectory()) continue;
+
+        for (const file of fs.readdirSync(shardDir)) {
+            if (!file.endsWith('.mp3')) continue;
+            const key = file.slice(0, -'.mp3'.length);
+            const { audioPath, timingsPath } = entryPaths(key);
+            if (!fs.existsSync(timingsPath)) {
+                fs.rmSync(audioPath, { force: true });
+                continue;
+            }
+            const stat = fs.statSync(audioPath);
+            found.push({ key, size: stat.size + fs.statSync(timingsPath).size, usedAt: stat.mtimeMs });
+        }
+    }
+
+    found.sort((a, b) => a.usedAt - b.usedAt);
+    for (const { key, size } of found) {
+        index.set(key, size);
+        totalBytes += size;
+    }
+    return index;
+}
+
+function removeEntry(key) {
+    const { audioPath, timingsPath } = entryPaths(key);
+    fs.rmSync(audioPath, { force: true });
+    fs.rmSync(timingsPath, { force: true });
+    totalBytes -= index.get(key) || 0;
+    index.delete(key);
+}
+
+function evict(keepKey) {
+    for (const key of [...index.keys()]) {
+        if (totalBytes <= MAX_BYTES && index.size <= MAX_ENTRIES) break;
+        if (key !== keepKey && !pinned.has(key)) removeEntry(key);
+    }
+}
+
+function keyOfPath(audioPath) {
+    if (!audioPath || path.dirname(path.dirname(audioPath)) !== CACHE_DIR) return null;
+    const key = path.basename(audioPath, '.mp3');
+    return index?.has(key) ? key : null;
+}
+
+/**
+ * Keep cache entries from being evicted while their files are in use
+ * hold() must be called in the same tick the path was returned by the cache.
+ * @returns {{ hold: (audioPath: string) => void, release: () => void }}
+ */
+export function createCacheLease() {
+    const keys = [];
+    return {
+        hold(audioPath) {
+            const key = keyOfPath(audioPath);
+            if (!key) return;
+            pinned.set(key, (pinned.get(key) || 0) + 1);
+            keys.push(key);
+        },
+        release() {
+            for (const key of keys.splice(0)) {
+                const count = pinned.get(key) - 1;
+                if (count > 0) pinned.set(key, count);
+                else pinned.delete(key);
+            }
+            if (index) evict(null);
+        },
+    };
+}
+
+export function isSpeechCacheEnabled() {
+    return CACHE_ENABLED;
+}
+
+/**
+ * Cache key for one synthesis request
+ * @param {string} text - Exact text sent to the engine
+ * @param {string} language
+ * @param {object} options - Normalized provider options
+ * @param {string} providerId
+ * @returns {string}
+ */
+export function getSpeechCacheKey(text, language, options, providerId) {
+    const phonemes = (options.phonemes || [])
+        .map(({ written, phoneme, alphabet, caseSensitive }) => [written, phoneme, alphabet, caseSensitive])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+
+    return hashText(JSON.stringify({
+        text,
+        language,
+        provider: providerId,
+        voice: options.voice || null,
+        voiceGender: options.voiceGender,
+        speed: options.speed,
+        pitch: options.pitch,
+        volume: options.volume,
+        phonemes,
+        ssml: options.ssml === true,
+    }));
+}
+
+/**
+ * @param {string} key
+ * @returns {{ audioPath: string, wordTimings: Array<object> }|null}
+ */
+export function lookupCachedSpeech(key) {
+    if (!CACHE_ENABLED || !loadIndex().has(key)) return null;
+
+    const { audioPath, timingsPath } = entryPaths(key);
+    try {
+        const wordTimings = JSON.parse(fs.readFileSync(timingsPath, 'utf-8'));
+        const size = index.get(key);
+        index.delete(key);
+        index.set(key, size);
+        const now = new Date();
+        fs.utimesSync(audioPath, now, now);
+        return { audioPath, wordTimings };
+    } catch {
+        removeEntry(key);
+        return null;
+    }
+}
+
+/**
+ * Add a synthesized chunk to the cache
+ * @param {string} key
+ * @param {string} sourcePath - MP3 that was just written
+ * @param {Array<object>} wordTimings
+ * @param {{ move?: boolean }} [options] - Move the file instead of copying it
+ * @returns {string|null} - Cached MP3 path, or null when caching is off
+ */
+export function storeCachedSpeech(key, sourcePath, wordTimings, { move = false } = {}) {
+    if (!CACHE_ENABLED) return null;
+    loadIndex();
+
+    const { dir, audioPath, timingsPath } = entryPaths(key);
+    if (pinned.has(key)) {
+        // Same key, same audio: leave the file a lease is reading alone
+        if (move) fs.rmSync(sourcePath, { force: true });
+        return audioPath;
+    }
+    if (index.has(key)) removeEntry(key);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(timingsPath, JSON.stringify(wordTimings || []), 'utf-8');
+    if (move) {
+        fs.renameSync(sourcePath, audioPath);
+    } else {
+        fs.copyFileSync(sourcePath, audioPath);
+    }
+
+    const size = fs.statSync(audioPath).size + fs.statSync(timingsPath).size;
+    index.set(key, size);
+    totalBytes += size;
+    evict(key);
+    return audioPath;
+}
+
+export function getSpeechCacheStats() {
+    loadIndex();
+    return { enabled: CACHE_ENABLED, entries: index.size, bytes: totalBytes, maxBytes: MAX_BYTES, maxEntries: MAX_ENTRIES };
+}
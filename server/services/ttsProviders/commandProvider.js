@@ -0,0 +1,147 @@
+/**
+ * commandProvider.js
+ * ──────────────────
+ * Offline TTS through local command-line engines (espeak-ng, piper, ...).
+ *
+ * Configuration (server .env):
+ *   TTS_COMMAND          Synthesis command template.
+ *                        Default: espeak-ng -v {voice} -s {wpm} -p {espeakPitch} -a {amplitude} -w {wav} -f {textFile}
+ *   TTS_ENCODER_COMMAND  WAV → MP3 command, skipped when TTS_COMMAND writes {mp3}.
+ *                        Default: lame --quiet -m m -b 96 --resample 24 {wav} {mp3}
+ *                        (matches the Edge chunk format so merged books stay one stream)
+ *   TTS_COMMAND_VOICES   Optional JSON map of "lang" or "lang-gender" → voice,
+ *                        e.g. {"hi":"hi","en-male":"en-us+m3"} or piper model paths.
+ *
+ * Placeholders: {voice} {lang} {gender} {speed} {wpm} {lengthScale}
+ *               {pitch} {volume} (percent offsets), {espeakPitch} (0-99),
+ *               {amplitude} (0-200), {textFile} {ssmlFile} {wav} {mp3}
+ * {ssmlFile} holds a full <speak> document, e.g. for `espeak-ng -m -f {ssmlFile}`.
+ * Only a command that reads {ssmlFile} counts as SSML-capable: otherwise
+ * (the default) lexicon phonemes are replaced by their spoken form instead
+ * of being written into SSML nobody reads.
+ * Commands run without a shell; each whitespace-separated token is one argument.
+ * The engines do not report word boundaries, so timings are estimated from
+ * the encoded duration.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getMp3DurationMs } from '../mp3FrameParser.js';
+import { estimateWordTimings } from '../wordAlignment.js';
+import { escapeSsml } from '../ssmlService.js';
+
+const DEFAULT_COMMAND = 'espeak-ng -v {voice} -s {wpm} -p {espeakPitch} -a {amplitude} -w {wav} -f {textFile}';
+const DEFAULT_ENCODER = 'lame --quiet -m m -b 96 --resample 24 {wav} {mp3}';
+const COMMAND_TIMEOUT_MS = 120000;
+const BASE_WORDS_PER_MINUTE = 175;
+const BASE_ESPEAK_PITCH = 50;
+const BASE_AMPLITUDE = 100;
+
+function readVoiceMap() {
+    try {
+        const parsed = JSON.parse(process.env.TTS_COMMAND_VOICES || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        console.warn('TTS_COMMAND_VOICES is not valid JSON, using language codes as voices');
+        return {};
+    }
+}
+
+const VOICES = readVoiceMap();
+
+function resolveVoice(language, gender) {
+    return VOICES[`${language}-${gender}`] || VOICES[language] || language;
+}
+
+function buildSpeakDocument(body, language) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${escapeSsml(language)}">
+${body}
+</speak>
+`;
+}
+
+function fillTemplate(template, values) {
+    return template
+        .trim()
+        .split(/\s+/)
+        .map((token) => token.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match)));
+}
+
+function run(template, values) {
+    const [command, ...args] = fillTemplate(template, values);
+
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: COMMAND_TIMEOUT_MS }, (error, stdout, stderr) => {
+            if (!error) return resolve();
+            if (error.code === 'ENOENT') {
+                return reject(new Error(`TTS command not found: ${command}`));
+            }
+            const detail = String(stderr || '').trim().split('\n').pop();
+            reject(new Error(`${command} failed${detail ? `: ${detail}` : ''}`));
+        });
+    });
+}
+
+function synthesisCommand() {
+    return process.env.TTS_COMMAND || DEFAULT_COMMAND;
+}
+
+export default {
+    id: 'command',
+    name: 'Local command-line engine',
+    get supportsSsml() {
+        return synthesisCommand().includes('{ssmlFile}');
+    },
+    ssmlOptions: { langSwitch: false },
+
+    async synthesize({ text, ssml, language, outputPath, options }) {
+        const command = synthesisCommand();
+        const encoder = process.env.TTS_ENCODER_COMMAND || DEFAULT_ENCODER;
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-tts-'));
+        const values = {
+            voice: options.voice || resolveVoice(language, options.voiceGender),
+            lang: language,
+            gender: options.voiceGender,
+            speed: options.speed,
+            wpm: Math.round(BASE_WORDS_PER_MINUTE * options.speed),
+            lengthScale: (1 / options.speed).toFixed(2),
+            pitch: options.pitch,
+            volume: options.volume,
+            espeakPitch: Math.min(99, Math.round(BASE_ESPEAK_PITCH * (1 + options.pitch / 100))),
+            amplitude: Math.round(BASE_AMPLITUDE * (1 + options.volume / 100)),
+            textFile: path.join(workDir, 'input.txt'),
+            ssmlFile: path.join(workDir, 'input.ssml'),
+            wav: path.join(workDir, 'speech.wav'),
+            mp3: outputPath,
+        };
+
+        try {
+            fs.writeFileSync(values.textFile, text, 'utf-8');
+            fs.writeFileSync(values.ssmlFile, buildSpeakDocument(ssml || escapeSsml(text), language), 'utf-8');
+            await run(command, values);
+            if (!command.includes('{mp3}')) {
+                await run(encoder, values);
+            }
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+
+        const durationMs = getMp3DurationMs(fs.readFileSync(outputPath));
+        return { wordTimings: estimateWordTimings(text, durationMs) };
+    },
+
+    // Only voices named in TTS_COMMAND_VOICES can be picked explicitly
+    async listVoices() {
+        const voices = new Map();
+        for (const [key, voice] of Object.entries(VOICES)) {
+            const [language, gender = 'female'] = key.split('-');
+            if (!voices.has(voice)) {
+                voices.set(voice, { id: voice, name: path.basename(voice), locale: language, language, gender, styles: [] });
+            }
+        }
+        return [...voices.values()];
+    },
+};
@@ -0,0 +1,208 @@
+/**
+ * edgeProvider.js
+ * ───────────────
+ * Microsoft Edge neural voices via node-edge-tts (needs network access).
+ * Word boundaries come back from the service, so timings are exact. Everything
+ * that depends on the library's internals lives in edgeTtsAdapter.js.
+ *
+ * SSML bodies are sent inside the library's <voice>/<prosody> wrapper. If the
+ * endpoint explicitly rejects one, the chunk is retried as plain text and SSML
+ * is skipped for SSML_RETRY_MS. Network errors and timeouts don't count as a
+ * rejection; they fail the attempt like any other synthesis error.
+ *
+ * The voice catalog comes from the service's voice list (cached for a day);
+ * when it cannot be fetched a built-in list of common locales is used.
+ */
+
+import fs from 'fs';
+import { synthesizeEdge, getServiceAuthQuery, SsmlRejectedError } from './edgeTtsAdapter.js';
+
+const VOICE_MAP = {
+    en: { lang: 'en-US', female: 'en-US-JennyNeural', male: 'en-US-GuyNeural' },
+    hi: { lang: 'hi-IN', female: 'hi-IN-SwaraNeural', male: 'hi-IN-MadhurNeural' },
+    bn: { lang: 'bn-IN', female: 'bn-IN-TanishaaNeural', male: 'bn-IN-BashkarNeural' },
+    ta: { lang: 'ta-IN', female: 'ta-IN-PallaviNeural', male: 'ta-IN-ValluvarNeural' },
+    te: { lang: 'te-IN', female: 'te-IN-ShrutiNeural', male: 'te-IN-MohanNeural' },
+    mr: { lang: 'mr-IN', female: 'mr-IN-AarohiNeural', male: 'mr-IN-ManoharNeural' },
+    gu: { lang: 'gu-IN', female: 'gu-IN-DhwaniNeural', male: 'gu-IN-NiranjanNeural' },
+    kn: { lang: 'kn-IN', female: 'kn-IN-SapnaNeural', male: 'kn-IN-GaganNeural' },
+    ml: { lang: 'ml-IN', female: 'ml-IN-SobhanaNeural', male: 'ml-IN-MidhunNeural' },
+    pa: { lang: 'pa-IN', female: 'pa-IN-GurleenNeural', male: 'pa-IN-VikasNeural' },
+    or: { lang: 'or-IN', female: 'or-IN-RupashreeNeural', male: 'or-IN-KishoreNeural' },
+    as: { lang: 'as-IN', female: 'as-IN-YashicaNeural', male: 'as-IN-PrabhatNeural' },
+    ur: { lang: 'ur-IN', female: 'ur-IN-GulNeural', male: 'ur-IN-SalmanNeural' },
+};
+
+const VOICE_LIST_URL = 'https://speech.platform.bing.com/consumer/speech/synthesize/readaloud/voices/list';
+const VOICE_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+const VOICE_LIST_RETRY_MS = 10 * 60 * 1000;
+const VOICE_LIST_TIMEOUT_MS = 10000;
+
+// Used when the live list is unreachable: the mapped voices plus regional variants
+const FALLBACK_VOICES = [
+    ...Object.values(VOICE_MAP).flatMap((pack) => [[pack.female, 'female'], [pack.male, 'male']]),
+    ['en-US-AriaNeural', 'female'],
+    ['en-US-ChristopherNeural', 'male'],
+    ['en-GB-SoniaNeural', 'female'],
+    ['en-GB-RyanNeural', 'male'],
+    ['en-IN-NeerjaNeural', 'female'],
+    ['en-IN-PrabhatNeural', 'male'],
+    ['en-AU-NatashaNeural', 'female'],
+    ['en-AU-WilliamNeural', 'male'],
+    ['en-CA-ClaraNeural', 'female'],
+    ['en-CA-LiamNeural', 'male'],
+    ['bn-BD-NabanitaNeural', 'female'],
+    ['bn-BD-PradeepNeural', 'male'],
+    ['ta-LK-SaranyaNeural', 'female'],
+    ['ta-LK-KumarNeural', 'male'],
+    ['ta-SG-VenbaNeural', 'female'],
+    ['ta-SG-AnbuNeural', 'male'],
+    ['ta-MY-KaniNeural', 'female'],
+    ['ta-MY-SuryaNeural', 'male'],
+    ['ur-PK-UzmaNeural', 'female'],
+    ['ur-PK-AsadNeural', 'male'],
+];
+
+function describeVoice(id, gender, styles = []) {
+    const [language, region, ...nameParts] = id.split('-');
+    return {
+        id,
+        name: nameParts.join('-').replace(/(Multilingual)?Neural$/, '') || id,
+        locale: `${language}-${region}`,
+        language,
+        gender,
+        styles,
+    };
+}
+
+let voiceCatalog = null;
+let voiceCatalogExpiresAt = 0;
+
+async function fetchVoiceList() {
+    const url = `${VOICE_LIST_URL}?${getServiceAuthQuery()}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(VOICE_LIST_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`voice list request failed (${response.status})`);
+    }
+
+    const voices = await response.json();
+    return voices
+        .filter((voice) => voice.ShortName && voice.Locale)
+        .map((voice) => describeVoice(
+            voice.ShortName,
+            String(voice.Gender).toLowerCase() === 'male' ? 'male' : 'female',
+            voice.VoiceTag?.VoicePersonalities || []
+        ));
+}
+
+async function loadVoiceCatalog() {
+    if (voiceCatalog && Date.now() < voiceCatalogExpiresAt) return voiceCatalog;
+
+    try {
+        voiceCatalog = await fetchVoiceList();
+        voiceCatalogExpiresAt = Date.now() + VOICE_LIST_TTL_MS;
+    } catch (error) {
+        console.warn(`Could not load Edge voice list (${error.message}); using built-in voices`);
+        voiceCatalog = FALLBACK_VOICES.map(([id, gender]) => describeVoice(id, gender));
+        voiceCatalogExpiresAt = Date.now() + VOICE_LIST_RETRY_MS;
+    }
+    return voiceCatalog;
+}
+
+// Chunks have always been rendered slightly louder than the voice default
+const BASE_VOLUME_PERCENT = 5;
+
+function formatPercent(percent) {
+    const rounded = Math.round(percent);
+    return `${rounded >= 0 ? '+' : ''}${rounded}%`;
+}
+
+function speedToRate(speed) {
+    return formatPercent((speed - 1) * 100);
+}
+
+function getVoiceConfig(language, voiceGender = 'female', { speed = 1, pitch = 0, volume = 0 } = {}) {
+    const voicePack = VOICE_MAP[language] || VOICE_MAP.en;
+    const selectedVoice = voiceGender === 'male' ? voicePack.male : voicePack.female;
+
+    return {
+        voice: selectedVoice || voicePack.female || VOICE_MAP.en.female,
+        lang: voicePack.lang || 'en-US',
+        rate: speedToRate(speed),
+        pitch: formatPercent(pitch),
+        volume: formatPercent(BASE_VOLUME_PERCENT + volume),
+    };
+}
+
+function getExplicitVoiceConfig(voiceId, prosody) {
+    const { locale } = describeVoice(voiceId, 'female');
+    return { ...getVoiceConfig('en', 'female', prosody), voice: voiceId, lang: locale };
+}
+
+const SSML_RETRY_MS = 30 * 60 * 1000;
+let ssmlRejectedUntil = 0;
+
+async function synthesizeWithSsml(text, outputPath, config, ssml, audioStream) {
+    if (!ssml || Date.now() < ssmlRejectedUntil) {
+        return synthesizeEdge(text, outputPath, config, { audioStream });
+    }
+
+    try {
+        await synthesizeEdge(text, outputPath, config, { ssml, audioStream });
+    } catch (ssmlError) {
+        if (!(ssmlError instanceof SsmlRejectedError)) throw ssmlError;
+
+        audioStream?.rollback();
+        await synthesizeEdge(text, outputPath, config, { audioStream });
+        ssmlRejectedUntil = Date.now() + SSML_RETRY_MS;
+        console.warn(`Edge TTS rejected SSML (${ssmlError.message}); using plain text for ${SSML_RETRY_MS / 60000} minutes`);
+    }
+}
+
+function readWordTimings(outputPath) {
+    // node-edge-tts writes word boundaries to `<audio file>.json`
+    const subtitlePath = `${outputPath}.json`;
+    if (!fs.existsSync(subtitlePath)) return [];
+
+    try {
+        return JSON.parse(fs.readFileSync(subtitlePath, 'utf-8'));
+    } catch {
+        console.warn('Could not parse subtitle data');
+        return [];
+    } finally {
+        fs.rmSync(subtitlePath, { force: true });
+    }
+}
+
+export default {
+    id: 'edge',
+    name: 'Microsoft Edge neural voices',
+    supportsSsml: true,
+    // None of the mapped voices are multilingual, so no <lang> switching
+    ssmlOptions: { langSwitch: false },
+
+    async synthesize({ text, ssml, language, outputPath, options, audioStream }) {
+        // Explicit voice first, then the language default, then English
+        const attempts = [
+            options.voice && getExplicitVoiceConfig(options.voice, options),
+            getVoiceConfig(language, options.voiceGender, options),
+            language !== 'en' && getVoiceConfig('en', 'female', options),
+        ].filter(Boolean);
+
+        for (let index = 0; index < attempts.length; index++) {
+            try {
+                await synthesizeWithSsml(text, outputPath, attempts[index], ssml, audioStream);
+                break;
+            } catch (error) {
+                if (index === attempts.length - 1) throw error;
+                audioStream?.rollback();
+            }
+        }
+
+        return { wordTimings: readWordTimings(outputPath) };
+    },
+
+    listVoices() {
+        return loadVoiceCatalog();
+    },
+};
@@ -0,0 +1,186 @@
+/**
+ * edgeTtsAdapter.js
+ * ─────────────────
+ * The only module that touches node-edge-tts internals. The library has no
+ * public API for SSML input, streamed audio or the voice-list token, so this
+ * adapter:
+ *
+ *   - reads the service token from the private dist/drm.js
+ *   - extends the private _connectWebSocket() to forward audio frames and to
+ *     swap the SSML body into the library's <voice>/<prosody> request
+ *
+ * Both are written against the exact version pinned in package.json
+ * (SUPPORTED_VERSION). Any other version, or a request shape the SSML swap
+ * cannot find, makes synthesis throw instead of quietly speaking without SSML.
+ */
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { EdgeTTS } from 'node-edge-tts';
+
+const require = createRequire(import.meta.url);
+
+export const SUPPORTED_VERSION = '1.2.10';
+
+// The library writes the escaped text between these tags
+const PROSODY_BODY = /(<prosody[^>]*>)[\s\S]*(<\/prosody>)/;
+const AUDIO_SEPARATOR = 'Path:audio\r\n';
+
+// Close codes the service uses for a request it refuses (invalid payload, policy)
+const REJECTION_CLOSE_CODES = new Set([1007, 1008]);
+
+/** The service refused the SSML body itself (as opposed to a network failure) */
+export class SsmlRejectedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SsmlRejectedError';
+    }
+}
+
+let internals = null;
+
+function loadInternals() {
+    if (internals) return internals;
+
+    const problems = [];
+    let drm = null;
+    try {
+        const { version } = require('node-edge-tts/package.json');
+        if (version !== SUPPORTED_VERSION) {
+            problems.push(`installed version is ${version}, adapter supports ${SUPPORTED_VERSION}`);
+        }
+        drm = require('node-edge-tts/dist/drm.js');
+    } catch (error) {
+        problems.push(error.message);
+    }
+    if (typeof drm?.generateSecMsGecToken !== 'function'
+        || typeof drm?.TRUSTED_CLIENT_TOKEN !== 'string'
+        || typeof drm?.CHROMIUM_FULL_VERSION !== 'string') {
+        problems.push('dist/drm.js no longer exports the service token helpers');
+    }
+    if (typeof EdgeTTS.prototype._connectWebSocket !== 'function' || typeof EdgeTTS.prototype.ttsPromise !== 'function') {
+        problems.push('EdgeTTS no longer has _connectWebSocket()/ttsPromise()');
+    }
+
+    internals = {
+        drm,
+        error: problems.length
+            ? new Error(`node-edge-tts internals changed (${problems.join('; ')}); update edgeTtsAdapter.js`)
+            : null,
+    };
+    if (internals.error) console.error(internals.error.message);
+    return internals;
+}
+
+function assertSupported() {
+    const { error, drm } = loadInternals();
+    if (error) throw error;
+    return drm;
+}
+
+/**
+ * Query string that authenticates a request to the speech endpoints
+ * @returns {string}
+ * @throws {Error} - When the installed library does not match the adapter
+ */
+export function getServiceAuthQuery() {
+    const drm = assertSupported();
+    return `trustedclienttoken=${drm.TRUSTED_CLIENT_TOKEN}`
+        + `&Sec-MS-GEC=${drm.generateSecMsGecToken()}&Sec-MS-GEC-Version=1-${drm.CHROMIUM_FULL_VERSION}`;
+}
+
+class AdaptedEdgeTTS extends EdgeTTS {
+    constructor(options, { ssml, audioStream, onEarlyClose }) {
+        super(options);
+        this.ssmlBody = ssml;
+        this.audioStream = audioStream;
+        this.onEarlyClose = onEarlyClose;
+        this.socket = null;
+        this.turnEnded = false;
+    }
+
+    async _connectWebSocket() {
+        const socket = await super._connectWebSocket();
+        this.socket = socket;
+
+        socket.on('message', (data, isBinary) => {
+            if (!isBinary) {
+                if (String(data).includes('Path:turn.end')) this.turnEnded = true;
+                return;
+            }
+            if (!this.audioStream) return;
+            const index = data.indexOf(AUDIO_SEPARATOR);
+            if (index >= 0) this.audioStream.write(data.subarray(index + AUDIO_SEPARATOR.length));
+        });
+        socket.on('close', (code) => {
+            if (!this.turnEnded) this.onEarlyClose(code);
+        });
+
+        if (!this.ssmlBody) return socket;
+
+        const send = socket.send.bind(socket);
+        socket.send = (message, ...rest) => {
+            const text = String(message);
+            if (!text.includes('Path:ssml')) return send(message, ...rest);
+            if (!PROSODY_BODY.test(text)) {
+                socket.close();
+                throw new Error('node-edge-tts internals changed (SSML request has no <prosody> body); update edgeTtsAdapter.js');
+            }
+            return send(text.replace(PROSODY_BODY, (_, open, close) => `${open}${this.ssmlBody}${close}`), ...rest);
+        };
+        return socket;
+    }
+}
+
+/**
+ * Synthesize one request to an MP3 file; word boundaries land in `<outputPath>.json`
+ * The plain `text` always goes through the library, which uses it to rebuild
+ * word boundaries; `ssml` (a <prosody> body) replaces it on the wire.
+ * @param {string} text
+ * @param {string} outputPath
+ * @param {object} config - { voice, lang, rate, pitch, volume }
+ * @param {object} [options]
+ * @param {string|null} [options.ssml]
+ * @param {object|null} [options.audioStream] - Receives audio frames as they arrive
+ * @throws {SsmlRejectedError} - The service refused the SSML body
+ * @throws {Error} - Network errors, timeouts, or a library the adapter does not support
+ */
+export async function synthesizeEdge(text, outputPath, config, { ssml = null, audioStream = null } = {}) {
+    assertSupported();
+
+    let rejectEarlyClose;
+    const earlyClose = new Promise((_, reject) => {
+        rejectEarlyClose = reject;
+    });
+    earlyClose.catch(() => {});
+
+    const tts = new AdaptedEdgeTTS({
+        voice: config.voice,
+        lang: config.lang,
+        outputFormat: 'audio-24khz-96kbitrate-mono-mp3',
+        saveSubtitles: true,
+        rate: config.rate,
+        pitch: config.pitch,
+        volume: config.volume,
+        timeout: 30000,
+    }, {
+        ssml,
+        audioStream,
+        onEarlyClose: (code) => rejectEarlyClose(ssml && REJECTION_CLOSE_CODES.has(code)
+            ? new SsmlRejectedError(`connection closed with code ${code}`)
+            : new Error(`Edge TTS connection closed with code ${code}`)),
+    });
+
+    try {
+        await Promise.race([tts.ttsPromise(text, outputPath), earlyClose]);
+    } catch (error) {
+        throw error instanceof Error ? error : new Error(String(error));
+    } finally {
+        if (tts.socket && tts.socket.readyState <= 1) tts.socket.close();
+    }
+
+    if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+        // The service answered the request and produced nothing: it refused the body
+        throw ssml ? new SsmlRejectedError('no audio received') : new Error('No audio received');
+    }
+}
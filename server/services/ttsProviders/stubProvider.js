@@ -0,0 +1,129 @@
+/**
+ * stubProvider.js
+ * ───────────────
+ * Deterministic offline TTS for tests and demos. Writes an MP3 in the same
+ * format as Edge output (MPEG-2 Layer III, 24 kHz mono, 96 kbps) whose length
+ * depends only on the text and speed, with synthetic word timings.
+ * No network access and no external binaries.
+ *
+ * STUB_TTS_SOUND picks the audio:
+ *   tone     a ~450 Hz beep during every word and silence between words
+ *            (default), so playback, merging and highlighting can be
+ *            followed by ear
+ *   silence  silent frames only
+ */
+
+import fs from 'fs';
+import { estimateWordTimings } from '../wordAlignment.js';
+
+// FF F3 A4 C4: MPEG-2 Layer III, no CRC, 96 kbps, 24 kHz, mono → 288-byte frames of 24 ms
+const FRAME_HEADER = Buffer.from([0xff, 0xf3, 0xa4, 0xc4]);
+const FRAME_BYTES = 288;
+const FRAME_MS = 24;
+const MS_PER_CHARACTER = 55;
+const MIN_DURATION_MS = 240;
+
+const SOUND = process.env.STUB_TTS_SOUND === 'silence' ? 'silence' : 'tone';
+
+// Spectral line 21 of 576 (≈ 21.5 × 12000 / 576 ≈ 450 Hz) at a moderate level
+const TONE_LINE = 21;
+const TONE_GLOBAL_GAIN = 200;
+// Silence at the end of each word, so consecutive words are heard apart
+const WORD_GAP_MS = 3 * FRAME_MS;
+
+function writeBits(buffer, fields, bitOffset = 0) {
+    let position = bitOffset;
+    for (const [value, width] of fields) {
+        for (let bit = width - 1; bit >= 0; bit--) {
+            if ((value >> bit) & 1) buffer[position >> 3] |= 0x80 >> (position & 7);
+            position++;
+        }
+    }
+    return position;
+}
+
+/**
+ * One frame holding a single spectral line: every pair before it is coded
+ * as (0,0) and the line itself as 1 with Huffman table 1, no scalefactors.
+ */
+function buildToneFrame() {
+    const frame = Buffer.alloc(FRAME_BYTES);
+    FRAME_HEADER.copy(frame, 0);
+
+    const pairIndex = TONE_LINE >> 1;
+    const lineIsOdd = TONE_LINE & 1;
+    // Huffman table 1: (0,0) → 1, (0,1) → 001, (1,0) → 01; then the sign bit
+    const mainData = [
+        ...Array(pairIndex).fill([0b1, 1]),
+        lineIsOdd ? [0b001, 3] : [0b01, 2],
+        [0, 1],
+    ];
+    const mainDataBits = mainData.reduce((sum, [, width]) => sum + width, 0);
+
+    const sideInfoEnd = writeBits(frame, [
+        [0, 8], // main_data_begin: no bit reservoir
+        [0, 1], // private_bits
+        [mainDataBits, 12], // part2_3_length
+        [pairIndex + 1, 9], // big_values
+        [TONE_GLOBAL_GAIN, 8],
+        [0, 9], // scalefac_compress: no scalefactors
+        [0, 1], // window_switching_flag: long blocks
+        [1, 5], [1, 5], [1, 5], // table_select for all three regions
+        [0, 4], // region0_count
+        [0, 3], // region1_count
+        [0, 1], // scalefac_scale
+        [0, 1], // count1table_select
+    ], FRAME_HEADER.length * 8);
+    writeBits(frame, mainData, sideInfoEnd);
+    return frame;
+}
+
+function buildSilentFrame() {
+    const frame = Buffer.alloc(FRAME_BYTES);
+    FRAME_HEADER.copy(frame, 0);
+    return frame;
+}
+
+const SILENT_FRAME = buildSilentFrame();
+const TONE_FRAME = buildToneFrame();
+
+/**
+ * @param {number} durationMs
+ * @param {(timeMs: number) => boolean} isSounding - Tone at this time?
+ */
+function buildMp3(durationMs, isSounding) {
+    const frameCount = Math.max(1, Math.ceil(durationMs / FRAME_MS));
+    const buffer = Buffer.alloc(frameCount * FRAME_BYTES);
+    for (let i = 0; i < frameCount; i++) {
+        const frame = isSounding(i * FRAME_MS + FRAME_MS / 2) ? TONE_FRAME : SILENT_FRAME;
+        frame.copy(buffer, i * FRAME_BYTES);
+    }
+    return { buffer, durationMs: frameCount * FRAME_MS };
+}
+
+export default {
+    id: 'stub',
+    name: `Deterministic stub (${SOUND === 'tone' ? 'beep per word' : 'silent audio'})`,
+
+    async synthesize({ text, outputPath, options }) {
+        const spokenLength = text.replace(/\s+/g, ' ').trim().length;
+        const durationMs = Math.max(1, Math.ceil(
+            Math.max(MIN_DURATION_MS, (spokenLength * MS_PER_CHARACTER) / options.speed) / FRAME_MS
+        )) * FRAME_MS;
+        const wordTimings = estimateWordTimings(text, durationMs);
+
+        const isSounding = SOUND === 'tone'
+            ? (timeMs) => wordTimings.some((word) =>
+                timeMs >= word.start && timeMs < Math.max(word.start + FRAME_MS, word.end - WORD_GAP_MS))
+            : () => false;
+        fs.writeFileSync(outputPath, buildMp3(durationMs, isSounding).buffer);
+        return { wordTimings };
+    },
+
+    async listVoices() {
+        return [
+            { id: 'stub-female', name: 'Stub (female)', locale: '*', language: '*', gender: 'female', styles: [] },
+            { id: 'stub-male', name: 'Stub (male)', locale: '*', language: '*', gender: 'male', styles: [] },
+        ];
+    },
+};
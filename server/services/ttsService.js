@@ -1,22 +1,56 @@
-import { EdgeTTS } from 'node-edge-tts';
-import path from 'path';
+/**
+ * ttsService.js
+ * ─────────────
+ * Text-to-speech front door. Every caller goes through
+ * generateSpeechWithTimings(); the actual engine is a provider:
+ *
+ *   edge    — Microsoft Edge neural voices (default, needs network)
+ *   command — local command-line engine such as espeak-ng or piper
+ *   stub    — deterministic beeps (or silence) with synthetic timings (tests)
+ *
+ * The deployment default comes from TTS_PROVIDER; requests may pick another
+ * one through `options.provider`.
+ *
+ * A provider is `{ id, name, synthesize({ text, ssml, language, outputPath, options, audioStream }), listVoices() }`
+ * where synthesize writes an MP3 to outputPath and resolves to `{ wordTimings }`,
+ * and listVoices resolves to `[{ id, name, locale, language, gender, styles }]`.
+ * `options.voice` is an explicit voice id from that list; without it the
+ * provider picks its default voice for the language and `options.voiceGender`.
+ * `options.pitch` and `options.volume` are percent offsets (-50..+50).
+ * `options.phonemes` are lexicon entries rendered as SSML <phoneme> tags.
+ *
+ * For direct streaming, `options.audioSink` (see liveAudioService) receives
+ * the MP3 bytes: providers that can stream get an `audioStream` to write to as
+ * audio arrives (and to roll back a failed attempt); for the others the whole
+ * file is written to the sink once it is done.
+ *
+ * Chunks go through the shared content-addressed cache (ttsCacheService).
+ * Providers with `supportsSsml` also get an SSML body built by ssmlService
+ * (disable with TTS_SSML=off); word timings always refer to `text`.
+ */
+
 import fs from 'fs';
+import path from 'path';
+import edgeProvider from './ttsProviders/edgeProvider.js';
+import commandProvider from './ttsProviders/commandProvider.js';
+import stubProvider from './ttsProviders/stubProvider.js';
+import { buildSsml } from './ssmlService.js';
+import {
+    isSpeechCacheEnabled,
+    getSpeechCacheKey,
+    lookupCachedSpeech,
+    storeCachedSpeech,
+} from './ttsCacheService.js';
 
-const VOICE_MAP = {
-    en: { lang: 'en-US', female: 'en-US-JennyNeural', male: 'en-US-GuyNeural' },
-    hi: { lang: 'hi-IN', female: 'hi-IN-SwaraNeural', male: 'hi-IN-MadhurNeural' },
-    bn: { lang: 'bn-IN', female: 'bn-IN-TanishaaNeural', male: 'bn-IN-BashkarNeural' },
-    ta: { lang: 'ta-IN', female: 'ta-IN-PallaviNeural', male: 'ta-IN-ValluvarNeural' },
-    te: { lang: 'te-IN', female: 'te-IN-ShrutiNeural', male: 'te-IN-MohanNeural' },
-    mr: { lang: 'mr-IN', female: 'mr-IN-AarohiNeural', male: 'mr-IN-ManoharNeural' },
-    gu: { lang: 'gu-IN', female: 'gu-IN-DhwaniNeural', male: 'gu-IN-NiranjanNeural' },
-    kn: { lang: 'kn-IN', female: 'kn-IN-SapnaNeural', male: 'kn-IN-GaganNeural' },
-    ml: { lang: 'ml-IN', female: 'ml-IN-SobhanaNeural', male: 'ml-IN-MidhunNeural' },
-    pa: { lang: 'pa-IN', female: 'pa-IN-GurleenNeural', male: 'pa-IN-VikasNeural' },
-    or: { lang: 'or-IN', female: 'or-IN-RupashreeNeural', male: 'or-IN-KishoreNeural' },
-    as: { lang: 'as-IN', female: 'as-IN-YashicaNeural', male: 'as-IN-PrabhatNeural' },
-    ur: { lang: 'ur-IN', female: 'ur-IN-GulNeural', male: 'ur-IN-SalmanNeural' },
-};
+const PROVIDERS = new Map(
+    [edgeProvider, commandProvider, stubProvider].map((provider) => [provider.id, provider])
+);
+
+export const DEFAULT_TTS_PROVIDER = PROVIDERS.has(process.env.TTS_PROVIDER)
+    ? process.env.TTS_PROVIDER
+    : 'edge';
+
+const SSML_ENABLED = process.env.TTS_SSML !== 'off';
 
 function clampSpeed(speed) {
     const numeric = Number(speed);
@@ -24,38 +58,76 @@ function clampSpeed(speed) {
     return Math.max(0.5, Math.min(2, numeric));
 }
 
-function speedToRate(speed) {
-    const clamped = clampSpeed(speed);
-    const percent = Math.round((clamped - 1) * 100);
-    return `${percent >= 0 ? '+' : ''}${percent}%`;
+function clampPercent(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return 0;
+    return Math.round(Math.max(-50, Math.min(50, numeric)));
+}
+
+export function hasTtsProvider(providerId) {
+    return PROVIDERS.has(providerId);
+}
+
+/**
+ * Whether lexicon phoneme strings reach the engine (through SSML)
+ * @param {string} [providerId]
+ * @returns {boolean}
+ */
+export function supportsPhonemes(providerId) {
+    return usesSsml(getTtsProvider(providerId));
 }
 
-function getVoiceConfig(language, voiceGender = 'female', speed = 1) {
-    const voicePack = VOICE_MAP[language] || VOICE_MAP.en;
-    const selectedVoice = voiceGender === 'male' ? voicePack.male : voicePack.female;
+/**
+ * @param {string} [providerId] - Defaults to the deployment provider
+ * @returns {object} - Provider
+ * @throws {Error} - For unknown ids
+ */
+export function getTtsProvider(providerId) {
+    const id = providerId || DEFAULT_TTS_PROVIDER;
+    const provider = PROVIDERS.get(id);
+    if (!provider) {
+        throw new Error(`Unknown TTS provider "${id}"`);
+    }
+    return provider;
+}
 
+export function listTtsProviders() {
+    return [...PROVIDERS.values()].map((provider) => ({
+        id: provider.id,
+        name: provider.name,
+        isDefault: provider.id === DEFAULT_TTS_PROVIDER,
+    }));
+}
+
+function normalizeOptions(options) {
     return {
-        voice: selectedVoice || voicePack.female || VOICE_MAP.en.female,
-        lang: voicePack.lang || 'en-US',
-        rate: speedToRate(speed),
-        pitch: '+0Hz',
-        volume: '+5%',
+        ...options,
+        speed: clampSpeed(options.speed),
+        pitch: clampPercent(options.pitch),
+        volume: clampPercent(options.volume),
+        voiceGender: options.voiceGender === 'male' ? 'male' : 'female',
     };
 }
 
-async function synthesizeToFile(text, outputPath, config) {
-    const tts = new EdgeTTS({
-        voice: config.voice,
-        lang: config.lang,
-        outputFormat: 'audio-24khz-96kbitrate-mono-mp3',
-        saveSubtitles: true,
-        rate: config.rate,
-        pitch: config.pitch,
-        volume: config.volume,
-        timeout: 30000,
-    });
+function usesSsml(provider) {
+    return SSML_ENABLED && provider.supportsSsml === true;
+}
 
-    await tts.ttsPromise(text, outputPath);
+// Bytes written during one synthesis call, so a failed attempt can be undone
+function createAudioStream(sink) {
+    if (!sink) return null;
+    const mark = sink.size();
+    return {
+        streamed: false,
+        write(bytes) {
+            this.streamed = true;
+            sink.write(bytes);
+        },
+        rollback() {
+            this.streamed = false;
+            sink.truncate(mark);
+        },
+    };
 }
 
 export async function generateSpeechWithTimings(text, language, outputPath, options = {}) {
@@ -63,38 +135,34 @@ export async function generateSpeechWithTimings(text, language, outputPath, opti
         throw new Error('Empty text provided for TTS');
     }
 
-    const config = getVoiceConfig(language, options.voiceGender, options.speed);
+    const provider = getTtsProvider(options.provider);
+    const providerOptions = normalizeOptions(options);
 
-    try {
-        try {
-            await synthesizeToFile(text, outputPath, config);
-        } catch (primaryError) {
-            if (language !== 'en') {
-                const fallbackConfig = getVoiceConfig('en', 'female', options.speed);
-                await synthesizeToFile(text, outputPath, fallbackConfig);
-            } else {
-                throw primaryError;
-            }
-        }
+    const ssml = usesSsml(provider)
+        ? buildSsml(text, { language, phonemes: options.phonemes, ...provider.ssmlOptions })
+        : null;
 
-        const subtitlePath = outputPath.replace(/\.mp3$/, '.json');
-        let wordTimings = [];
+    const audioStream = createAudioStream(options.audioSink);
 
-        if (fs.existsSync(subtitlePath)) {
-            try {
-                const subtitleData = fs.readFileSync(subtitlePath, 'utf-8');
-                wordTimings = JSON.parse(subtitleData);
-                fs.unlinkSync(subtitlePath);
-            } catch {
-                console.warn('Could not parse subtitle data');
-            }
+    try {
+        const { wordTimings = [] } = await provider.synthesize({
+            text,
+            ssml,
+            language,
+            outputPath,
+            options: providerOptions,
+            audioStream,
+        });
+        if (audioStream && !audioStream.streamed) {
+            options.audioSink.write(fs.readFileSync(outputPath));
         }
 
-        console.log(`Generated: ${path.basename(outputPath)} (${language}, ${wordTimings.length} words)`);
+        console.log(`Generated: ${path.basename(outputPath)} (${language}, ${provider.id}, ${wordTimings.length} words)`);
 
         return { audioPath: outputPath, wordTimings };
     } catch (error) {
-        console.error(`TTS Error (${language}):`, error.message);
+        audioStream?.rollback();
+        console.error(`TTS Error (${language}, ${provider.id}):`, error.message);
         throw new Error(`Speech generation failed for ${language}: ${error.message}`);
     }
 }
@@ -104,6 +172,30 @@ export async function generateSpeech(text, language, outputPath, options = {}) {
     return result.audioPath;
 }
 
+function getChunkCacheKey(text, language, options) {
+    if (!isSpeechCacheEnabled() || !text || text.trim().length === 0) return null;
+    const provider = getTtsProvider(options.provider);
+    return getSpeechCacheKey(text, language, { ...normalizeOptions(options), ssml: usesSsml(provider) }, provider.id);
+}
+
+function cacheChunk(cacheKey, audioPath, wordTimings, move) {
+    try {
+        return storeCachedSpeech(cacheKey, audioPath, wordTimings, { move });
+    } catch (error) {
+        console.warn(`Could not cache TTS chunk: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Synthesize one chunk with retries, through the shared audio cache
+ * With `options.reuseCachedAudio` the cached MP3 itself is returned as
+ * audioPath (outputPath is only used while synthesizing) and held by
+ * `options.cacheLease` (see createCacheLease) so it is not evicted before the
+ * caller is done with it; otherwise the audio always ends up at outputPath.
+ *
+ * @returns {Promise<{ audioPath: string, wordTimings: Array<object>, cached: boolean }>}
+ */
 export async function generateChunkWithTimings(
     text,
     language,
@@ -111,9 +203,30 @@ export async function generateChunkWithTimings(
     options = {},
     retries = 2
 ) {
+    const { reuseCachedAudio = false, cacheLease = null, ...speechOptions } = options;
+    const cacheKey = getChunkCacheKey(text, language, speechOptions);
+
+    const hit = cacheKey ? lookupCachedSpeech(cacheKey) : null;
+    if (hit) {
+        speechOptions.audioSink?.write(fs.readFileSync(hit.audioPath));
+        if (reuseCachedAudio) {
+            cacheLease?.hold(hit.audioPath);
+            return { audioPath: hit.audioPath, wordTimings: hit.wordTimings, cached: true };
+        }
+        fs.copyFileSync(hit.audioPath, outputPath);
+        return { audioPath: outputPath, wordTimings: hit.wordTimings, cached: true };
+    }
+
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            return await generateSpeechWithTimings(text, language, outputPath, options);
+            const result = await generateSpeechWithTimings(text, language, outputPath, speechOptions);
+            const cachedPath = cacheKey && cacheChunk(cacheKey, outputPath, result.wordTimings, reuseCachedAudio);
+            if (reuseCachedAudio && cachedPath) cacheLease?.hold(cachedPath);
+            return {
+                ...result,
+                audioPath: reuseCachedAudio && cachedPath ? cachedPath : outputPath,
+                cached: false,
+            };
         } catch (error) {
             if (attempt < retries) {
                 console.log(`Retry ${attempt}/${retries} for TTS chunk...`);
@@ -127,17 +240,42 @@ export async function generateChunkWithTimings(
     throw new Error('TTS retries exhausted');
 }
 
-export function getAvailableVoices() {
-    return Object.entries(VOICE_MAP).flatMap(([lang, config]) => ([
-        {
-            language: lang,
-            gender: 'female',
-            voice: config.female,
-        },
-        {
-            language: lang,
-            gender: 'male',
-            voice: config.male,
-        },
-    ]));
+/**
+ * Voices of a provider, optionally only those for one app language
+ * @param {string} [providerId]
+ * @param {string} [language] - e.g. 'hi'; voices with language '*' always match
+ * @returns {Promise<Array<{ id: string, name: string, locale: string, language: string, gender: string, styles: string[] }>>}
+ */
+export async function getAvailableVoices(providerId, language) {
+    const voices = await getTtsProvider(providerId).listVoices();
+    if (!language) return voices;
+    return voices.filter((voice) => voice.language === language || voice.language === '*');
+}
+
+/**
+ * Look up an explicit voice id in a provider's catalog
+ * @returns {Promise<object|null>}
+ */
+export async function findVoice(providerId, voiceId) {
+    const voices = await getTtsProvider(providerId).listVoices();
+    return voices.find((voice) => voice.id === voiceId) || null;
+}
+
+/**
+ * Group voices by locale (en-GB, en-IN, ...), locales and voices sorted by name
+ * @param {Array<object>} voices
+ * @returns {Array<{ locale: string, language: string, voices: Array<object> }>}
+ */
+export function groupVoicesByLocale(voices) {
+    const groups = new Map();
+    for (const voice of voices) {
+        if (!groups.has(voice.locale)) {
+            groups.set(voice.locale, { locale: voice.locale, language: voice.language, voices: [] });
+        }
+        groups.get(voice.locale).voices.push(voice);
+    }
+
+    return [...groups.values()]
+        .sort((a, b) => a.locale.localeCompare(b.locale))
+        .map((group) => ({ ...group, voices: group.voices.sort((a, b) => a.name.localeCompare(b.name)) }));
 }
@@ -0,0 +1,131 @@
+/**
+ * wordAlignment.js
+ * ────────────────
+ * Maps TTS word-boundary timings back to character offsets in the text that
+ * was spoken. Edge word "parts" may carry trailing punctuation/whitespace, so
+ * each part is reduced to its core before searching forward in the text.
+ */
+
+const EDGE_PUNCTUATION = /^[\s"'“”‘’«»()[\]{}.,;:!?।॥…-]+|[\s"'“”‘’«»()[\]{}.,;:!?।॥…-]+$/g;
+
+export function getWordCore(part) {
+    return String(part || '').replace(EDGE_PUNCTUATION, '');
+}
+
+const GRAPHEMES = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * NFC form of text plus, for every normalized index, the index in `text`
+ * PDF text (Indic especially) is often decomposed; matching happens on the
+ * normalized form but offsets must point into the original. Each grapheme is
+ * normalized on its own, so a boundary in one form is a boundary in the other.
+ */
+function normalizeWithOffsets(text) {
+    let normalized = '';
+    const toOriginal = [];
+    let originalIndex = 0;
+    for (const { segment } of GRAPHEMES.segment(text)) {
+        const nfc = segment.normalize('NFC');
+        for (let i = 0; i < nfc.length; i++) toOriginal.push(originalIndex);
+        normalized += nfc;
+        originalIndex += segment.length;
+    }
+    toOriginal.push(originalIndex);
+    return { normalized, toOriginal };
+}
+
+// End offset in the original text; a match ending inside a grapheme takes all of it
+function originalEnd(toOriginal, end) {
+    let index = end;
+    while (index < toOriginal.length - 1 && end > 0 && toOriginal[index] === toOriginal[end - 1]) index++;
+    return toOriginal[index];
+}
+
+function findCaseInsensitive(text, needle, fromIndex) {
+    return text.toLocaleLowerCase().indexOf(needle.toLocaleLowerCase(), fromIndex);
+}
+
+/**
+ * Attach charStart/charEnd (in `text`, as given) to every word timing
+ * Words that cannot be found keep the previous cursor and `aligned: false`.
+ *
+ * @param {string} text - Text that was synthesized
+ * @param {Array<{ part: string, start: number, end: number }>} wordTimings
+ * @returns {Array<{ part: string, start: number, end: number, charStart: number, charEnd: number, aligned: boolean }>}
+ */
+export function alignWordTimings(text, wordTimings) {
+    const { normalized: source, toOriginal } = normalizeWithOffsets(String(text || ''));
+    let cursor = 0;
+
+    return (wordTimings || []).map((timing) => {
+        const core = getWordCore(timing.part).normalize('NFC');
+        if (!core) {
+            return { ...timing, charStart: toOriginal[cursor], charEnd: toOriginal[cursor], aligned: false };
+        }
+
+        let index = source.indexOf(core, cursor);
+        if (index < 0) index = findCaseInsensitive(source, core, cursor);
+
+        if (index < 0) {
+            return { ...timing, charStart: toOriginal[cursor], charEnd: toOriginal[cursor], aligned: false };
+        }
+
+        cursor = index + core.length;
+        return { ...timing, charStart: toOriginal[index], charEnd: originalEnd(toOriginal, cursor), aligned: true };
+    });
+}
+
+/**
+ * Word timings with exact character offsets for highlighting
+ * Offsets are shifted by `offset` (the position of `text` in a larger text,
+ * e.g. the page); words that cannot be found get null offsets.
+ *
+ * @param {string} text - Text the words were spoken from
+ * @param {Array<{ part: string, start: number, end: number }>} wordTimings
+ * @param {number} [offset]
+ * @returns {Array<{ part: string, start: number, end: number, charStart: number|null, charEnd: number|null }>}
+ */
+export function locateWordTimings(text, wordTimings, offset = 0) {
+    return alignWordTimings(text, wordTimings).map(({ part, start, end, charStart, charEnd, aligned }) => ({
+        part,
+        start,
+        end,
+        charStart: aligned ? offset + charStart : null,
+        charEnd: aligned ? offset + charEnd : null,
+    }));
+}
+
+/**
+ * Synthetic word timings for engines that do not report word boundaries
+ * Spreads `durationMs` over the words by length, with a little extra time
+ * after clause and sentence punctuation where speech naturally pauses.
+ *
+ * @param {string} text
+ * @param {number} durationMs
+ * @returns {Array<{ part: string, start: number, end: number }>}
+ */
+export function estimateWordTimings(text, durationMs) {
+    const words = String(text || '').match(/\S+/g) || [];
+    if (words.length === 0 || durationMs <= 0) return [];
+
+    const weights = words.map((word) => {
+        let weight = word.length + 1;
+        if (/[.!?।॥…]["'”’)]*$/.test(word)) weight += 4;
+        else if (/[,;:]["'”’)]*$/.test(word)) weight += 2;
+        return weight;
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let elapsed = 0;
+    return words.map((word, index) => {
+        const span = (weights[index] / totalWeight) * durationMs;
+        const speaking = ((word.length + 1) / weights[index]) * span;
+        const timing = {
+            part: word,
+            start: Math.round(elapsed),
+            end: Math.round(elapsed + speaking),
+        };
+        elapsed += span;
+        return timing;
+    });
+}
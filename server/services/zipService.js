@@ -0,0 +1,171 @@
+/**
+ * zipService.js
+ * ─────────────
+ * Minimal ZIP writer for export packages (EPUB is a ZIP container).
+ *
+ * Entries are written in the given order, which EPUB needs: `mimetype` must
+ * be the first entry and stored uncompressed. Large files (merged audio) are
+ * copied from disk in blocks instead of being loaded into memory.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_SIG = 0x06054b50;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const UTF8_FLAG = 0x0800;
+const COPY_BLOCK_SIZE = 1024 * 1024;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function updateCrc32(crc, buffer) {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function fileCrc32(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const block = Buffer.alloc(COPY_BLOCK_SIZE);
+    let crc = 0;
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, block, 0, block.length, null)) > 0) {
+            crc = updateCrc32(crc, block.subarray(0, bytesRead));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return crc;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+function localHeader(entry, stamp) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(LOCAL_HEADER_SIG, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.day, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, entry.nameBuffer]);
+}
+
+function centralHeader(entry, stamp) {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(CENTRAL_HEADER_SIG, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(UTF8_FLAG, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(stamp.time, 12);
+    header.writeUInt16LE(stamp.day, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.nameBuffer.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, entry.nameBuffer]);
+}
+
+function copyFile(fd, filePath) {
+    const source = fs.openSync(filePath, 'r');
+    const block = Buffer.alloc(COPY_BLOCK_SIZE);
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(source, block, 0, block.length, null)) > 0) {
+            fs.writeSync(fd, block, 0, bytesRead);
+        }
+    } finally {
+        fs.closeSync(source);
+    }
+}
+
+/**
+ * Write a ZIP archive to disk
+ * @param {string} outputPath
+ * @param {Array<{ name: string, data?: Buffer|string, filePath?: string, store?: boolean }>} entries
+ *   `data` is kept in memory and deflated unless `store` is set;
+ *   `filePath` entries are always stored and streamed from disk.
+ * @returns {string} - outputPath
+ */
+export function writeZipFile(outputPath, entries) {
+    const stamp = dosDateTime(new Date());
+    const written = [];
+    const fd = fs.openSync(outputPath, 'w');
+    let offset = 0;
+
+    const write = (buffer) => {
+        fs.writeSync(fd, buffer);
+        offset += buffer.length;
+    };
+
+    try {
+        for (const input of entries) {
+            const entry = { nameBuffer: Buffer.from(input.name, 'utf-8'), offset };
+
+            if (input.filePath) {
+                entry.method = METHOD_STORE;
+                entry.size = fs.statSync(input.filePath).size;
+                entry.compressedSize = entry.size;
+                entry.crc = fileCrc32(input.filePath);
+                write(localHeader(entry, stamp));
+                copyFile(fd, input.filePath);
+                offset += entry.size;
+            } else {
+                const raw = Buffer.isBuffer(input.data) ? input.data : Buffer.from(String(input.data ?? ''), 'utf-8');
+                const payload = input.store ? raw : zlib.deflateRawSync(raw);
+                entry.method = input.store ? METHOD_STORE : METHOD_DEFLATE;
+                entry.size = raw.length;
+                entry.compressedSize = payload.length;
+                entry.crc = updateCrc32(0, raw);
+                write(localHeader(entry, stamp));
+                write(payload);
+            }
+
+            written.push(entry);
+        }
+
+        const centralStart = offset;
+        for (const entry of written) {
+            write(centralHeader(entry, stamp));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_SIG, 0);
+        end.writeUInt16LE(written.length, 8);
+        end.writeUInt16LE(written.length, 10);
+        end.writeUInt32LE(offset - centralStart, 12);
+        end.writeUInt32LE(centralStart, 16);
+        write(end);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return outputPath;
+}
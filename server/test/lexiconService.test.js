@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLexicon, transliterateLexicon } from '../services/lexiconService.js';
+import { transliterate } from '../services/transliterationService.js';
+
+test('native-script entries still apply to spoken romanized text', () => {
+    const transliteration = { to: 'readable', from: 'auto', speak: true };
+    const entries = [{ language: 'hi', written: 'किताब', spoken: 'पुस्तक', caseSensitive: false }];
+    const romanized = transliterate('यह किताब है', transliteration);
+
+    assert.equal(applyLexicon(romanized, entries).text, romanized);
+    assert.equal(applyLexicon(romanized, transliterateLexicon(entries, transliteration)).text, 'yah pustak hai');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPdf, checkPdfLanguage, PdfFontError } from '../services/pdfDocumentService.js';
+
+function translatedDoc(paragraph) {
+    return {
+        title: 'Sample',
+        author: '',
+        sourceLanguage: { code: 'hi', name: 'Hindi' },
+        targetLanguage: { code: 'en', name: 'English' },
+        translationProviders: [],
+        generatedAt: '2026-01-01T00:00:00.000Z',
+        pages: [{ pageIndex: 0, paragraphs: [paragraph] }],
+    };
+}
+
+test('only Latin-script target languages are offered as PDF', () => {
+    assert.equal(checkPdfLanguage('en'), null);
+    assert.match(checkPdfLanguage('hi', { languageName: 'Hindi' }), /Latin-script only: Hindi text/);
+    assert.match(checkPdfLanguage('ur', { languageName: 'Urdu' }), /Latin-script only/);
+});
+
+test('text that needs shaping is refused instead of drawn code point by code point', () => {
+    assert.throws(() => buildPdf(translatedDoc('The word किताब means book.'), { fontPath: '' }), PdfFontError);
+    assert.equal(buildPdf(translatedDoc('The café is open.'), { fontPath: '' }).subarray(0, 5).toString(), '%PDF-');
+});
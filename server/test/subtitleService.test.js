@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSubtitleCues } from '../services/subtitleService.js';
+
+function timings(parts, stepMs = 100) {
+    return parts.map((part, index) => ({ part, start: index * stepMs, end: (index + 1) * stepMs }));
+}
+
+test('an unaligned token mid-chunk does not stretch a cue to the end of the chunk', () => {
+    const spokenText = 'He said " hello there. Then left. Fine.';
+    const cues = buildSubtitleCues([{
+        spokenText,
+        wordTimings: timings(['He', 'said', '"', 'hello', 'there.', 'Then', 'left.', 'Fine.']),
+        offsetMs: 0,
+        durationMs: 800,
+    }]);
+
+    assert.deepEqual(cues.map((cue) => cue.text), ['He said " hello there.', 'Then left.', 'Fine.']);
+    assert.deepEqual(cues.map((cue) => [cue.startMs, cue.endMs]), [[0, 500], [500, 700], [700, 800]]);
+});
+
+test('unaligned tokens at the end of a chunk stay in the last cue only', () => {
+    const cues = buildSubtitleCues([{
+        spokenText: 'First one. Second one "',
+        wordTimings: timings(['First', 'one.', 'Second', 'one', '"']),
+        offsetMs: 1000,
+        durationMs: 500,
+    }]);
+
+    assert.deepEqual(cues.map((cue) => cue.text), ['First one.', 'Second one "']);
+    assert.equal(cues[0].startMs, 1000);
+});
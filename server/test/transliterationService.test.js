@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transliterate } from '../services/transliterationService.js';
+
+test('nukta consonants fall back to the plain consonant where the target has no such letter', () => {
+    assert.equal(transliterate('क़िताब', { to: 'malayalam' }), 'കിതാബ');
+    assert.equal(transliterate('ग़ज़ल', { to: 'malayalam' }), 'ഗജല');
+    assert.equal(transliterate('ग़ज़ल', { to: 'telugu' }), 'గజల');
+    assert.equal(transliterate('য়', { to: 'malayalam' }), 'യ');
+});
+
+test('nukta consonants are kept where the target has them', () => {
+    assert.equal(transliterate('ग़ज़ल', { to: 'gurmukhi' }), 'ਗ਼ਜ਼ਲ');
+    assert.equal(transliterate('য়', { to: 'devanagari' }), 'य़');
+    assert.equal(transliterate('ड़', { to: 'oriya' }), 'ଡ଼');
+});
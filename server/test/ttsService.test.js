@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { supportsPhonemes } from '../services/ttsService.js';
+
+test('the command engine only takes phonemes when its command reads {ssmlFile}', (t) => {
+    const saved = process.env.TTS_COMMAND;
+    t.after(() => {
+        if (saved === undefined) delete process.env.TTS_COMMAND;
+        else process.env.TTS_COMMAND = saved;
+    });
+
+    delete process.env.TTS_COMMAND;
+    assert.equal(supportsPhonemes('command'), false);
+
+    process.env.TTS_COMMAND = 'espeak-ng -m -v {voice} -w {wav} -f {ssmlFile}';
+    assert.equal(supportsPhonemes('command'), true);
+});
@@ -1,12 +1,43 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import Header from './components/Header';
 import UploadSection from './components/UploadSection';
 import PdfViewer from './components/PdfViewer';
 import ReadingControls from './components/ReadingControls';
+import LexiconEditor from './components/LexiconEditor';
 import useStreamingAudio from './hooks/useStreamingAudio';
 import useWordHighlight from './hooks/useWordHighlight';
 import useAmbientBackground from './hooks/useAmbientBackground';
-import { API_BASE, AUDIO_BASE } from './config';
+import useAudiobookJob from './hooks/useAudiobookJob';
+import useVoiceCatalog from './hooks/useVoiceCatalog';
+import useLexicon from './hooks/useLexicon';
+import { API_BASE } from './config';
+
+const PAUSE_PRESETS = {
+    none: { paragraphMs: 0, pageMs: 0, chapterMs: 0 },
+    short: { paragraphMs: 250, pageMs: 600, chapterMs: 1200 },
+    normal: { paragraphMs: 500, pageMs: 1200, chapterMs: 2500 },
+    long: { paragraphMs: 900, pageMs: 2000, chapterMs: 4000 },
+};
+
+// "Maya=male, Arjun=hi-IN-MadhurNeural" → { Maya: 'male', Arjun: 'hi-IN-MadhurNeural' }
+function buildNarration(mode, speakerVoices) {
+    if (mode !== 'dialogue') return undefined;
+
+    const speakers = {};
+    for (const pair of speakerVoices.split(',')) {
+        const [name, voice] = pair.split('=').map((part) => part.trim());
+        if (name && voice) speakers[name] = voice;
+    }
+    return { mode, speakers };
+}
+
+// Audiobook scope select value → { pageRange } / { sectionIds } for export requests
+function buildSelection(scope, pageRange, currentPage) {
+    if (scope === 'current') return { pageRange: String(currentPage + 1) };
+    if (scope === 'range') return { pageRange };
+    if (scope.startsWith('section:')) return { sectionIds: [scope.slice('section:'.length)] };
+    return {};
+}
 
 export default function App() {
     // ─── Theme ───
@@ -33,19 +64,43 @@ export default function App() {
     const [error, setError] = useState(null);
     const [startOffset, setStartOffset] = useState(0);
     const [readingSpeed, setReadingSpeed] = useState(1);
+    const [readingPitch, setReadingPitch] = useState(0);
+    const [readingVolume, setReadingVolume] = useState(0);
     const [voiceGender, setVoiceGender] = useState('female');
-    const [isGeneratingAudiobook, setIsGeneratingAudiobook] = useState(false);
-    const [audiobookUrl, setAudiobookUrl] = useState('');
+    const [voiceId, setVoiceId] = useState('');
+    const [narrationMode, setNarrationMode] = useState('single');
+    const [speakerVoices, setSpeakerVoices] = useState('');
+    const [directAudio, setDirectAudio] = useState(true);
+    const [bilingualView, setBilingualView] = useState(false);
+    const [transliterationScheme, setTransliterationScheme] = useState('off');
+    const [speakTransliteration, setSpeakTransliteration] = useState(false);
+    const [translationFormat, setTranslationFormat] = useState('docx');
+    const [sections, setSections] = useState([]);
+    const [audiobookScope, setAudiobookScope] = useState('all');
+    const [audiobookPageRange, setAudiobookPageRange] = useState('');
+    const [includeEpub, setIncludeEpub] = useState(false);
+    const [pausePreset, setPausePreset] = useState('normal');
     const [ambientEnabled, setAmbientEnabled] = useState(false);
     const [ambientVolume, setAmbientVolume] = useState(0.08);
 
+    const narration = useMemo(() => buildNarration(narrationMode, speakerVoices), [narrationMode, speakerVoices]);
+    const transliteration = useMemo(() => (
+        transliterationScheme === 'off'
+            ? undefined
+            : { to: transliterationScheme, speak: speakTransliteration && transliterationScheme === 'readable' }
+    ), [transliterationScheme, speakTransliteration]);
+
     const pdfContainerRef = useRef(null);
     const prevWordRef = useRef(-1);
     const autoAdvancedPageRef = useRef(-1);
 
     const streaming = useStreamingAudio();
-    const { highlightWord, clearHighlight } = useWordHighlight(pdfContainerRef);
+    const { highlightedRange, highlightWord, clearHighlight } = useWordHighlight(pdfContainerRef);
     const ambient = useAmbientBackground(ambientVolume);
+    const audiobook = useAudiobookJob();
+    const voiceCatalog = useVoiceCatalog(selectedLanguage);
+    const lexicon = useLexicon(sessionId, selectedLanguage);
+    const { start: startAudiobook, reset: resetAudiobook } = audiobook;
 
     useEffect(() => {
         if (streaming.currentWordIndex === prevWordRef.current) return;
@@ -101,7 +156,13 @@ export default function App() {
         clearHighlight();
         streaming.start(sessionId, selectedLanguage, nextPage, 0, {
             speed: readingSpeed,
+            pitch: readingPitch,
+            volume: readingVolume,
             voiceGender,
+            voice: voiceId || undefined,
+            narration,
+            transliteration,
+            audioDelivery: directAudio ? 'direct' : 'file',
         });
     }, [
         sessionId,
@@ -109,12 +170,26 @@ export default function App() {
         currentPage,
         selectedLanguage,
         readingSpeed,
+        readingPitch,
+        readingVolume,
         voiceGender,
+        voiceId,
+        narration,
+        transliteration,
+        directAudio,
         streaming,
         clearHighlight,
     ]);
 
-    const handleTextExtracted = useCallback(async ({ text, pages: extractedPages, file }) => {
+    const handleTextExtracted = useCallback(async ({
+        text,
+        pages: extractedPages,
+        outline,
+        metadata,
+        cover,
+        fileName,
+        file,
+    }) => {
         setIsProcessing(true);
         setError(null);
         setPdfFile(file);
@@ -126,6 +201,10 @@ export default function App() {
                 body: JSON.stringify({
                     text,
                     pages: extractedPages,
+                    outline,
+                    metadata,
+                    cover,
+                    fileName,
                 }),
             });
 
@@ -137,39 +216,64 @@ export default function App() {
             const data = await response.json();
             setSessionId(data.sessionId);
             setPages(data.pagePreviews);
+            setSections(data.sections || []);
+            setAudiobookScope('all');
+            setAudiobookPageRange('');
             setCurrentPage(0);
             setStartOffset(0);
-            setAudiobookUrl('');
+            resetAudiobook();
 
             if (data.detectedLanguage && data.detectedLanguage.confidence === 'high') {
                 setSelectedLanguage(data.detectedLanguage.code);
+                setVoiceId('');
             }
         } catch (err) {
             setError(err.message);
         } finally {
             setIsProcessing(false);
         }
-    }, []);
+    }, [resetAudiobook]);
 
-    const handleStart = useCallback(() => {
+    const startReadingAt = useCallback((offset) => {
         if (!sessionId) return;
         autoAdvancedPageRef.current = -1;
         clearHighlight();
-        streaming.start(sessionId, selectedLanguage, currentPage, startOffset, {
+        streaming.start(sessionId, selectedLanguage, currentPage, offset, {
             speed: readingSpeed,
+            pitch: readingPitch,
+            volume: readingVolume,
             voiceGender,
+            voice: voiceId || undefined,
+            narration,
+            transliteration,
+            audioDelivery: directAudio ? 'direct' : 'file',
         });
     }, [
         sessionId,
         selectedLanguage,
         currentPage,
-        startOffset,
         readingSpeed,
+        readingPitch,
+        readingVolume,
         voiceGender,
+        voiceId,
+        narration,
+        transliteration,
+        directAudio,
         streaming,
         clearHighlight,
     ]);
 
+    const handleStart = useCallback(() => {
+        startReadingAt(startOffset);
+    }, [startReadingAt, startOffset]);
+
+    // Bilingual view: clicking a sentence on either side reads from it
+    const handleSentenceClick = useCallback((pageOffset) => {
+        setStartOffset(pageOffset);
+        startReadingAt(pageOffset);
+    }, [startReadingAt]);
+
     const handleStop = useCallback(() => {
         streaming.stop(sessionId);
         ambient.stop();
@@ -187,7 +291,8 @@ export default function App() {
 
     const handleLanguageChange = (lang) => {
         setSelectedLanguage(lang);
-        setAudiobookUrl('');
+        setVoiceId('');
+        resetAudiobook();
     };
 
     const handlePageChange = (newPage) => {
@@ -209,37 +314,52 @@ export default function App() {
         setStartOffset(nextOffset);
     };
 
-    const handleGenerateAudiobook = useCallback(async () => {
+    const handleGenerateAudiobook = useCallback(() => {
         if (!sessionId) return;
 
-        setIsGeneratingAudiobook(true);
         setError(null);
 
-        try {
-            const response = await fetch(`${API_BASE}/generate-book`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    sessionId,
-                    language: selectedLanguage,
-                    speed: readingSpeed,
-                    voiceGender,
-                }),
-            });
-
-            if (!response.ok) {
-                const err = await response.json();
-                throw new Error(err.error || 'Failed to generate audiobook');
-            }
+        const selection = buildSelection(audiobookScope, audiobookPageRange, currentPage);
+        startAudiobook({
+            sessionId,
+            language: selectedLanguage,
+            speed: readingSpeed,
+            pitch: readingPitch,
+            volume: readingVolume,
+            voiceGender,
+            voice: voiceId || undefined,
+            narration,
+            transliteration,
+            epub: includeEpub,
+            pauses: PAUSE_PRESETS[pausePreset] || PAUSE_PRESETS.normal,
+            ...selection,
+        });
+    }, [
+        sessionId,
+        selectedLanguage,
+        readingSpeed,
+        readingPitch,
+        readingVolume,
+        voiceGender,
+        voiceId,
+        narration,
+        transliteration,
+        audiobookScope,
+        audiobookPageRange,
+        includeEpub,
+        pausePreset,
+        currentPage,
+        startAudiobook,
+    ]);
 
-            const data = await response.json();
-            setAudiobookUrl(`${AUDIO_BASE}${data.audioUrl}`);
-        } catch (err) {
-            setError(err.message);
-        } finally {
-            setIsGeneratingAudiobook(false);
-        }
-    }, [sessionId, selectedLanguage, readingSpeed, voiceGender]);
+    const translationDownloadUrl = useMemo(() => {
+        if (!sessionId) return null;
+        const { pageRange, sectionIds } = buildSelection(audiobookScope, audiobookPageRange, currentPage);
+        const params = new URLSearchParams({ language: selectedLanguage, format: translationFormat });
+        if (pageRange) params.set('pageRange', pageRange);
+        if (sectionIds) params.set('sectionIds', sectionIds.join(','));
+        return `${API_BASE}/session/${sessionId}/translation?${params}`;
+    }, [sessionId, selectedLanguage, translationFormat, audiobookScope, audiobookPageRange, currentPage]);
 
     const hasSession = !!sessionId && pages.length > 0;
     const isReadingActive =
@@ -247,7 +367,7 @@ export default function App() {
         streaming.state === 'paused' ||
         streaming.state === 'loading';
     const showTranslation =
-        streaming.chunkTextInfo?.translated &&
+        (streaming.chunkTextInfo?.translated || !!streaming.chunkTextInfo?.transliteratedText) &&
         (streaming.state === 'playing' || streaming.state === 'paused');
 
     return (
@@ -265,10 +385,17 @@ export default function App() {
                     />
                 )}
 
-                {error && (
+                {(error || audiobook.error) && (
                     <div className="error-banner animate-slide-up">
-                        <span>❌ {error}</span>
-                        <button onClick={() => setError(null)}>✕</button>
+                        <span>❌ {error || audiobook.error}</span>
+                        <button
+                            onClick={() => {
+                                setError(null);
+                                if (audiobook.error) resetAudiobook();
+                            }}
+                        >
+                            ✕
+                        </button>
                     </div>
                 )}
 
@@ -284,7 +411,16 @@ export default function App() {
                                 onTextClick={handleTextClick}
                                 disabled={isReadingActive}
                                 translatedText={streaming.chunkTextInfo?.spokenText}
+                                translatedHighlight={
+                                    Number.isInteger(highlightedRange?.spokenStart)
+                                        ? { start: highlightedRange.spokenStart, end: highlightedRange.spokenEnd }
+                                        : null
+                                }
                                 showTranslation={showTranslation}
+                                bilingual={bilingualView}
+                                chunkInfo={streaming.chunkTextInfo}
+                                highlightedRange={highlightedRange}
+                                onSentenceClick={handleSentenceClick}
                             />
                         </div>
 
@@ -305,11 +441,51 @@ export default function App() {
                                 onResetStartOffset={() => setStartOffset(0)}
                                 readingSpeed={readingSpeed}
                                 onReadingSpeedChange={setReadingSpeed}
+                                readingPitch={readingPitch}
+                                onReadingPitchChange={setReadingPitch}
+                                readingVolume={readingVolume}
+                                onReadingVolumeChange={setReadingVolume}
                                 voiceGender={voiceGender}
                                 onVoiceGenderChange={setVoiceGender}
+                                voiceId={voiceId}
+                                onVoiceIdChange={setVoiceId}
+                                narrationMode={narrationMode}
+                                onNarrationModeChange={setNarrationMode}
+                                speakerVoices={speakerVoices}
+                                onSpeakerVoicesChange={setSpeakerVoices}
+                                directAudio={directAudio}
+                                onDirectAudioChange={setDirectAudio}
+                                bilingualView={bilingualView}
+                                onBilingualViewChange={setBilingualView}
+                                transliterationScheme={transliterationScheme}
+                                onTransliterationSchemeChange={setTransliterationScheme}
+                                speakTransliteration={speakTransliteration}
+                                onSpeakTransliterationChange={setSpeakTransliteration}
+                                voiceLocales={voiceCatalog.locales}
+                                previewingVoice={voiceCatalog.previewingVoice}
+                                onPreviewVoice={voiceCatalog.preview}
+                                onStopPreview={voiceCatalog.stopPreview}
                                 onGenerateAudiobook={handleGenerateAudiobook}
-                                isGeneratingAudiobook={isGeneratingAudiobook}
-                                audiobookUrl={audiobookUrl}
+                                onCancelAudiobook={audiobook.cancel}
+                                onResumeAudiobook={audiobook.retry}
+                                canResumeAudiobook={audiobook.canResume}
+                                isGeneratingAudiobook={audiobook.isRunning}
+                                audiobookJob={audiobook.job}
+                                audiobookUrl={audiobook.audiobookUrl}
+                                translationFormat={translationFormat}
+                                onTranslationFormatChange={setTranslationFormat}
+                                translationDownloadUrl={translationDownloadUrl}
+                                subtitleUrls={audiobook.subtitleUrls}
+                                epubUrl={audiobook.epubUrl}
+                                sections={sections}
+                                audiobookScope={audiobookScope}
+                                onAudiobookScopeChange={setAudiobookScope}
+                                audiobookPageRange={audiobookPageRange}
+                                onAudiobookPageRangeChange={setAudiobookPageRange}
+                                includeEpub={includeEpub}
+                                pausePreset={pausePreset}
+                                onPausePresetChange={setPausePreset}
+                                onIncludeEpubChange={setIncludeEpub}
                                 ambientEnabled={ambientEnabled}
                                 onAmbientToggle={setAmbientEnabled}
                                 ambientVolume={ambientVolume}
@@ -318,6 +494,15 @@ export default function App() {
                                 totalPages={pages.length}
                             />
 
+                            <LexiconEditor
+                                language={selectedLanguage}
+                                entries={lexicon.entries}
+                                error={lexicon.error}
+                                onSave={lexicon.saveEntry}
+                                onDelete={lexicon.deleteEntry}
+                                disabled={isReadingActive}
+                            />
+
                             <button
                                 className="upload-new-btn"
                                 onClick={() => {
@@ -325,9 +510,10 @@ export default function App() {
                                     setSessionId(null);
                                     setPdfFile(null);
                                     setPages([]);
+                                    setSections([]);
                                     setCurrentPage(0);
                                     setStartOffset(0);
-                                    setAudiobookUrl('');
+                                    resetAudiobook();
                                     autoAdvancedPageRef.current = -1;
                                 }}
                             >
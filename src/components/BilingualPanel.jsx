@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Index of the sentence pair holding the word being spoken
+ * Word offsets point into the page text or into spokenText (see useWordHighlight).
+ */
+function findActiveSentence(sentences, chunkInfo, highlightedRange) {
+    if (!highlightedRange) return -1;
+
+    const spoken = chunkInfo.wordOffsets === 'spoken';
+    const offset = spoken ? highlightedRange.spokenStart : highlightedRange.char;
+    if (!Number.isInteger(offset)) return -1;
+
+    // The first sentence not yet passed; offsets between sentences fall forward
+    const index = sentences.findIndex((pair) => offset < (spoken ? pair.spokenEnd : pair.sourceEnd));
+    return index < 0 ? sentences.length - 1 : index;
+}
+
+function SpokenSentence({ text, start, highlight }) {
+    const local = highlight && highlight.start >= start && highlight.start < start + text.length
+        ? { start: highlight.start - start, end: Math.min(text.length, highlight.end - start) }
+        : null;
+    if (!local) return text;
+
+    return (
+        <>
+            {text.slice(0, local.start)}
+            <mark className="translated-word-highlight">{text.slice(local.start, local.end)}</mark>
+            {text.slice(local.end)}
+        </>
+    );
+}
+
+/**
+ * Side-by-side source/translation view of the current chunk, one row per
+ * aligned sentence pair; clicking a row starts reading from that sentence
+ */
+export default function BilingualPanel({ chunkInfo, highlightedRange, translatedHighlight, onSentenceClick }) {
+    const activeRowRef = useRef(null);
+    const sentences = chunkInfo?.sentences || [];
+    const pageText = chunkInfo?.pageText || '';
+    const spokenText = chunkInfo?.spokenText || '';
+    const activeIndex = chunkInfo ? findActiveSentence(sentences, chunkInfo, highlightedRange) : -1;
+
+    useEffect(() => {
+        activeRowRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, [activeIndex]);
+
+    if (sentences.length === 0) return null;
+
+    return (
+        <div className="translated-panel bilingual-panel animate-slide-up">
+            <div className="translated-header bilingual-row">
+                <span>Original</span>
+                <span>Translation</span>
+            </div>
+            <div className="bilingual-content">
+                {sentences.map((pair, index) => {
+                    const isActive = index === activeIndex;
+                    const spoken = spokenText.slice(pair.spokenStart, pair.spokenEnd);
+                    return (
+                        <button
+                            key={`${pair.sourceStart}-${pair.spokenStart}`}
+                            type="button"
+                            ref={isActive ? activeRowRef : null}
+                            className={`bilingual-row${isActive ? ' active' : ''}`}
+                            onClick={() => onSentenceClick?.(pair.sourceStart)}
+                            title="Read from this sentence"
+                        >
+                            <span className="bilingual-source">
+                                {pageText.slice(pair.sourceStart, pair.sourceEnd)}
+                            </span>
+                            <span className="bilingual-spoken">
+                                {isActive ? (
+                                    <SpokenSentence text={spoken} start={pair.spokenStart} highlight={translatedHighlight} />
+                                ) : spoken}
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+
+const EMPTY_FORM = { id: null, scope: 'session', written: '', spoken: '', phoneme: '' };
+
+export default function LexiconEditor({ language, entries, error, onSave, onDelete, disabled }) {
+    const [form, setForm] = useState(EMPTY_FORM);
+
+    const rows = [
+        ...entries.session.map((entry) => ({ ...entry, scope: 'session' })),
+        ...entries.global.map((entry) => ({ ...entry, scope: 'global' })),
+    ];
+
+    const updateField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const saved = await onSave?.(form.scope, {
+            id: form.id || undefined,
+            written: form.written,
+            spoken: form.spoken,
+            phoneme: form.phoneme,
+        });
+        if (saved) setForm((current) => ({ ...EMPTY_FORM, scope: current.scope }));
+    };
+
+    const canSubmit = form.written.trim() && (form.spoken.trim() || form.phoneme.trim());
+
+    return (
+        <details className="lexicon-editor glass-card">
+            <summary>
+                Pronunciation lexicon ({language}) — {rows.length} {rows.length === 1 ? 'entry' : 'entries'}
+            </summary>
+
+            <form className="controls-row settings-row" onSubmit={handleSubmit}>
+                <label className="control-field">
+                    <span>Written</span>
+                    <input type="text" value={form.written} onChange={updateField('written')} placeholder="Kubernetes" />
+                </label>
+                <label className="control-field">
+                    <span>Say it as</span>
+                    <input type="text" value={form.spoken} onChange={updateField('spoken')} placeholder="koo-ber-net-eez" />
+                </label>
+                <label className="control-field">
+                    <span>Phoneme (IPA, optional)</span>
+                    <input type="text" value={form.phoneme} onChange={updateField('phoneme')} placeholder="ˌkuːbərˈnɛtiːz" />
+                </label>
+                <label className="control-field">
+                    <span>Applies to</span>
+                    <select value={form.scope} onChange={updateField('scope')} disabled={!!form.id}>
+                        <option value="session">This document</option>
+                        <option value="global">All documents</option>
+                    </select>
+                </label>
+                <button className="pdf-nav-btn" type="submit" disabled={!canSubmit || disabled} title="Save entry">
+                    {form.id ? '✓' : '+'}
+                </button>
+                {form.id && (
+                    <button className="pdf-nav-btn" type="button" onClick={() => setForm(EMPTY_FORM)} title="Cancel edit">
+                        ✕
+                    </button>
+                )}
+            </form>
+
+            {error && <div className="lexicon-error">{error}</div>}
+
+            {rows.length > 0 && (
+                <ul className="lexicon-list">
+                    {rows.map((entry) => (
+                        <li key={`${entry.scope}-${entry.id}`}>
+                            <span className="lexicon-written">{entry.written}</span>
+                            <span className="lexicon-spoken">
+                                → {entry.spoken || ''}
+                                {entry.phoneme && ` /${entry.phoneme}/`}
+                            </span>
+                            <span className="lexicon-scope">{entry.scope === 'session' ? 'document' : 'all'}</span>
+                            <button
+                                className="pdf-nav-btn"
+                                onClick={() => setForm({
+                                    id: entry.id,
+                                    scope: entry.scope,
+                                    written: entry.written,
+                                    spoken: entry.spoken || '',
+                                    phoneme: entry.phoneme || '',
+                                })}
+                                disabled={disabled}
+                                title="Edit"
+                            >
+                                ✎
+                            </button>
+                            <button
+                                className="pdf-nav-btn"
+                                onClick={() => onDelete?.(entry.scope, entry.id)}
+                                disabled={disabled}
+                                title="Delete"
+                            >
+                                🗑
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </details>
+    );
+}
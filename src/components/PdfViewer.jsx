@@ -2,9 +2,51 @@ import { useState, useRef, useCallback, useEffect, forwardRef } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
 import 'react-pdf/dist/Page/TextLayer.css';
 import 'react-pdf/dist/Page/AnnotationLayer.css';
+import BilingualPanel from './BilingualPanel';
 
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
 
+function wordRanges(text) {
+    return [...text.matchAll(/\S+/g)].map((match) => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Range of the spoken word in the transliteration
+ * Transliteration keeps the words of the text it was made from (the
+ * translation, or the chunk itself), so the word is found by its index.
+ */
+function findTransliterationHighlight(chunkInfo, highlightedRange) {
+    const transliteratedText = chunkInfo?.transliteratedText;
+    if (!transliteratedText || !highlightedRange) return null;
+
+    const spoken = chunkInfo.wordOffsets === 'spoken';
+    if (spoken && chunkInfo.spokenText === transliteratedText) {
+        return Number.isInteger(highlightedRange.spokenStart)
+            ? { start: highlightedRange.spokenStart, end: highlightedRange.spokenEnd }
+            : null;
+    }
+
+    const source = spoken
+        ? chunkInfo.spokenText || ''
+        : (chunkInfo.pageText || '').slice(chunkInfo.charStart, chunkInfo.charEnd);
+    const offset = spoken ? highlightedRange.spokenStart : highlightedRange.char - chunkInfo.charStart;
+    if (!Number.isInteger(offset) || offset < 0) return null;
+
+    const wordIndex = wordRanges(source.slice(0, offset + 1)).length - 1;
+    return wordRanges(transliteratedText)[wordIndex] || null;
+}
+
+function HighlightedText({ text, highlight }) {
+    if (!Number.isInteger(highlight?.start)) return text;
+    return (
+        <>
+            {text.slice(0, highlight.start)}
+            <mark className="translated-word-highlight">{text.slice(highlight.start, highlight.end)}</mark>
+            {text.slice(highlight.end)}
+        </>
+    );
+}
+
 const PdfViewer = forwardRef(function PdfViewer(
     {
         file,
@@ -14,13 +56,21 @@ const PdfViewer = forwardRef(function PdfViewer(
         onTextClick,
         disabled,
         translatedText,
+        translatedHighlight,
         showTranslation,
+        bilingual,
+        chunkInfo,
+        highlightedRange,
+        onSentenceClick,
     },
     ref
 ) {
     const [numPages, setNumPages] = useState(null);
     const [pageWidth, setPageWidth] = useState(600);
     const containerRef = useRef(null);
+    const transliteratedText = chunkInfo?.transliteratedText || '';
+    // A spoken transliteration replaces the translation as spokenText
+    const showTranslatedText = Boolean(chunkInfo?.translated && translatedText && translatedText !== transliteratedText);
 
     useEffect(() => {
         const updateWidth = () => {
@@ -165,13 +215,32 @@ const PdfViewer = forwardRef(function PdfViewer(
                     </div>
                 </div>
 
-                {showTranslation && translatedText && (
+                {showTranslation && bilingual && chunkInfo?.translated && chunkInfo.sentences?.length > 0 ? (
+                    <BilingualPanel
+                        chunkInfo={chunkInfo}
+                        highlightedRange={highlightedRange}
+                        translatedHighlight={translatedHighlight}
+                        onSentenceClick={onSentenceClick}
+                    />
+                ) : showTranslation && (translatedText || transliteratedText) && (
                     <div className="translated-panel animate-slide-up">
                         <div className="translated-header">
-                            <span>Translated Text</span>
+                            <span>{showTranslatedText ? 'Translated Text' : 'Transliteration'}</span>
                         </div>
                         <div className="translated-content">
-                            <p>{translatedText}</p>
+                            {showTranslatedText && (
+                                <p>
+                                    <HighlightedText text={translatedText} highlight={translatedHighlight} />
+                                </p>
+                            )}
+                            {transliteratedText && (
+                                <p className={showTranslatedText ? 'transliterated-text' : undefined}>
+                                    <HighlightedText
+                                        text={transliteratedText}
+                                        highlight={findTransliterationHighlight(chunkInfo, highlightedRange)}
+                                    />
+                                </p>
+                            )}
                         </div>
                     </div>
                 )}
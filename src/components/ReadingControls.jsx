@@ -1,7 +1,7 @@
 import { useEffect } from 'react';
 
 const LANGUAGES = [
-    { code: 'en', name: 'English', flag: '🇬🇧', native: 'English' },
+    { code: 'en', name: 'English', flag: '🇬🇧', native: 'English', latinScript: true },
     { code: 'hi', name: 'Hindi', flag: '🇮🇳', native: 'हिन्दी' },
     { code: 'bn', name: 'Bengali', flag: '🇮🇳', native: 'বাংলা' },
     { code: 'ta', name: 'Tamil', flag: '🇮🇳', native: 'தமிழ்' },
@@ -16,6 +16,39 @@ const LANGUAGES = [
     { code: 'ur', name: 'Urdu', flag: '🇮🇳', native: 'اردو' },
 ];
 
+// Mirrors GET /api/transliteration; only the readable romanization can be spoken
+const TRANSLITERATIONS = [
+    { id: 'off', name: 'Off' },
+    { id: 'iso', name: 'ISO 15919' },
+    { id: 'iast', name: 'IAST' },
+    { id: 'readable', name: 'Readable romanization' },
+    { id: 'devanagari', name: 'Devanagari' },
+    { id: 'bengali', name: 'Bengali' },
+    { id: 'gurmukhi', name: 'Gurmukhi' },
+    { id: 'gujarati', name: 'Gujarati' },
+    { id: 'oriya', name: 'Odia' },
+    { id: 'tamil', name: 'Tamil' },
+    { id: 'telugu', name: 'Telugu' },
+    { id: 'kannada', name: 'Kannada' },
+    { id: 'malayalam', name: 'Malayalam' },
+];
+
+function formatPercent(value) {
+    const rounded = Math.round(Number(value) || 0);
+    return `${rounded > 0 ? '+' : ''}${rounded}%`;
+}
+
+function formatEta(ms) {
+    if (!Number.isFinite(ms) || ms <= 0) return '';
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    if (minutes >= 60) {
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m left`;
+    }
+    return minutes > 0 ? `${minutes}m ${seconds}s left` : `${seconds}s left`;
+}
+
 export default function ReadingControls({
     state,
     language,
@@ -32,11 +65,51 @@ export default function ReadingControls({
     onResetStartOffset,
     readingSpeed,
     onReadingSpeedChange,
+    readingPitch = 0,
+    onReadingPitchChange,
+    readingVolume = 0,
+    onReadingVolumeChange,
     voiceGender,
     onVoiceGenderChange,
+    voiceId = '',
+    onVoiceIdChange,
+    narrationMode = 'single',
+    onNarrationModeChange,
+    speakerVoices = '',
+    onSpeakerVoicesChange,
+    directAudio = true,
+    onDirectAudioChange,
+    bilingualView = false,
+    onBilingualViewChange,
+    transliterationScheme = 'off',
+    onTransliterationSchemeChange,
+    speakTransliteration = false,
+    onSpeakTransliterationChange,
+    voiceLocales = [],
+    previewingVoice,
+    onPreviewVoice,
+    onStopPreview,
     onGenerateAudiobook,
+    onCancelAudiobook,
+    onResumeAudiobook,
+    canResumeAudiobook,
     isGeneratingAudiobook,
+    audiobookJob,
     audiobookUrl,
+    translationFormat = 'docx',
+    onTranslationFormatChange,
+    translationDownloadUrl,
+    subtitleUrls,
+    epubUrl,
+    sections = [],
+    audiobookScope = 'all',
+    onAudiobookScopeChange,
+    audiobookPageRange = '',
+    onAudiobookPageRangeChange,
+    includeEpub = false,
+    pausePreset = 'normal',
+    onPausePresetChange,
+    onIncludeEpubChange,
     ambientEnabled,
     onAmbientToggle,
     ambientVolume,
@@ -65,7 +138,25 @@ export default function ReadingControls({
         return () => window.removeEventListener('keydown', handleKeyDown);
     }, [state, onStart, onPause, onResume, onStop]);
 
+    // The PDF writer does no glyph shaping, so Indic and Urdu text go to DOCX instead
+    const pdfAvailable = LANGUAGES.some((lang) => lang.code === language && lang.latinScript);
+    useEffect(() => {
+        if (!pdfAvailable && translationFormat === 'pdf') onTranslationFormatChange?.('docx');
+    }, [pdfAvailable, translationFormat, onTranslationFormatChange]);
+
     const isActive = state === 'playing' || state === 'paused' || state === 'loading';
+    const jobProgress = audiobookJob?.progress;
+    const isPreviewing = !!previewingVoice && previewingVoice === (voiceId || voiceGender);
+
+    // "auto:<gender>" keeps the language's default voice for that gender
+    const handleVoiceChange = (value) => {
+        if (value.startsWith('auto:')) {
+            onVoiceIdChange?.('');
+            onVoiceGenderChange?.(value.slice('auto:'.length));
+        } else {
+            onVoiceIdChange?.(value);
+        }
+    };
 
     return (
         <div className="reading-controls glass-card animate-slide-up">
@@ -109,17 +200,126 @@ export default function ReadingControls({
                     />
                 </label>
 
+                <label className="control-field">
+                    <span>Pitch: {formatPercent(readingPitch)}</span>
+                    <input
+                        type="range"
+                        min="-50"
+                        max="50"
+                        step="5"
+                        value={readingPitch}
+                        onChange={(e) => onReadingPitchChange?.(Number(e.target.value))}
+                        disabled={isActive || disabled}
+                    />
+                </label>
+
+                <label className="control-field">
+                    <span>Volume: {formatPercent(readingVolume)}</span>
+                    <input
+                        type="range"
+                        min="-50"
+                        max="50"
+                        step="5"
+                        value={readingVolume}
+                        onChange={(e) => onReadingVolumeChange?.(Number(e.target.value))}
+                        disabled={isActive || disabled}
+                    />
+                </label>
+
                 <label className="control-field">
                     <span>Voice</span>
                     <select
-                        value={voiceGender}
-                        onChange={(e) => onVoiceGenderChange?.(e.target.value)}
+                        value={voiceId || `auto:${voiceGender}`}
+                        onChange={(e) => handleVoiceChange(e.target.value)}
                         disabled={isActive || disabled}
                     >
-                        <option value="female">Female</option>
-                        <option value="male">Male</option>
+                        <option value="auto:female">Default female</option>
+                        <option value="auto:male">Default male</option>
+                        {voiceLocales.map((group) => (
+                            <optgroup key={group.locale} label={group.locale === '*' ? 'All languages' : group.locale}>
+                                {group.voices.map((voice) => (
+                                    <option key={voice.id} value={voice.id}>
+                                        {voice.name} ({voice.gender}
+                                        {voice.styles?.length > 0 && ` — ${voice.styles.join(', ')}`})
+                                    </option>
+                                ))}
+                            </optgroup>
+                        ))}
                     </select>
                 </label>
+
+                <button
+                    className="pdf-nav-btn"
+                    onClick={() => (isPreviewing
+                        ? onStopPreview?.()
+                        : onPreviewVoice?.({
+                            voice: voiceId || undefined,
+                            voiceGender,
+                            speed: readingSpeed,
+                            pitch: readingPitch,
+                            volume: readingVolume,
+                        }))}
+                    disabled={disabled}
+                    title={isPreviewing ? 'Stop preview' : 'Preview this voice'}
+                >
+                    {isPreviewing ? '⏹' : '🔊'}
+                </button>
+            </div>
+
+            <div className="controls-row settings-row">
+                <label className="control-field">
+                    <span>Narration</span>
+                    <select
+                        value={narrationMode}
+                        onChange={(e) => onNarrationModeChange?.(e.target.value)}
+                        disabled={isActive || disabled}
+                    >
+                        <option value="single">One voice</option>
+                        <option value="dialogue">Dialogue in a second voice</option>
+                    </select>
+                </label>
+
+                {narrationMode === 'dialogue' && (
+                    <label className="control-field">
+                        <span>Speaker voices</span>
+                        <input
+                            type="text"
+                            value={speakerVoices}
+                            onChange={(e) => onSpeakerVoicesChange?.(e.target.value)}
+                            placeholder="Maya=female, Arjun=hi-IN-MadhurNeural"
+                            disabled={isActive || disabled}
+                        />
+                    </label>
+                )}
+            </div>
+
+            <div className="controls-row settings-row">
+                <label className="control-field" title="Show the text read aloud in another script or romanized">
+                    <span>Transliteration</span>
+                    <select
+                        value={transliterationScheme}
+                        onChange={(e) => onTransliterationSchemeChange?.(e.target.value)}
+                        disabled={isActive || disabled}
+                    >
+                        {TRANSLITERATIONS.map((scheme) => (
+                            <option key={scheme.id} value={scheme.id}>
+                                {scheme.name}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+
+                {transliterationScheme === 'readable' && (
+                    <label className="ambient-toggle" title="Read the romanized text aloud instead of the original script">
+                        <input
+                            type="checkbox"
+                            checked={speakTransliteration}
+                            onChange={(e) => onSpeakTransliterationChange?.(e.target.checked)}
+                            disabled={isActive || disabled}
+                        />
+                        <span>Speak transliteration</span>
+                    </label>
+                )}
             </div>
 
             <div className="controls-row settings-row">
@@ -132,6 +332,25 @@ export default function ReadingControls({
                     <span>Ambient background</span>
                 </label>
 
+                <label className="ambient-toggle" title="Start playback while a chunk is still being synthesized">
+                    <input
+                        type="checkbox"
+                        checked={directAudio}
+                        onChange={(e) => onDirectAudioChange?.(e.target.checked)}
+                        disabled={isActive || disabled}
+                    />
+                    <span>Stream audio directly</span>
+                </label>
+
+                <label className="ambient-toggle" title="Show translated chunks sentence by sentence next to the original">
+                    <input
+                        type="checkbox"
+                        checked={bilingualView}
+                        onChange={(e) => onBilingualViewChange?.(e.target.checked)}
+                    />
+                    <span>Bilingual view</span>
+                </label>
+
                 <label className="control-field">
                     <span>Ambient Vol: {Math.round((ambientVolume || 0) * 100)}%</span>
                     <input
@@ -187,22 +406,186 @@ export default function ReadingControls({
                 )}
             </div>
 
+            <div className="controls-row settings-row">
+                <label className="control-field">
+                    <span>Audiobook scope</span>
+                    <select
+                        value={audiobookScope}
+                        onChange={(e) => onAudiobookScopeChange?.(e.target.value)}
+                        disabled={isGeneratingAudiobook || disabled}
+                    >
+                        <option value="all">Whole book</option>
+                        <option value="current">Current page ({currentPage + 1})</option>
+                        <option value="range">Page range...</option>
+                        {sections.map((section) => (
+                            <option key={section.id} value={`section:${section.id}`}>
+                                {'\u00a0\u00a0'.repeat(section.level)}{section.title} (p. {section.pageIndex + 1})
+                            </option>
+                        ))}
+                    </select>
+                </label>
+
+                {audiobookScope === 'range' && (
+                    <label className="control-field">
+                        <span>Pages (e.g. 1-5, 8, 12-)</span>
+                        <input
+                            type="text"
+                            value={audiobookPageRange}
+                            placeholder={`1-${totalPages}`}
+                            onChange={(e) => onAudiobookPageRangeChange?.(e.target.value)}
+                            disabled={isGeneratingAudiobook || disabled}
+                        />
+                    </label>
+                )}
+
+                <label className="control-field">
+                    <span>Pauses</span>
+                    <select
+                        value={pausePreset}
+                        onChange={(e) => onPausePresetChange?.(e.target.value)}
+                        disabled={isGeneratingAudiobook || disabled}
+                        title="Silence between paragraphs, pages and chapters"
+                    >
+                        <option value="none">None</option>
+                        <option value="short">Short</option>
+                        <option value="normal">Normal</option>
+                        <option value="long">Long</option>
+                    </select>
+                </label>
+
+                <label className="ambient-toggle">
+                    <input
+                        type="checkbox"
+                        checked={includeEpub}
+                        onChange={(e) => onIncludeEpubChange?.(e.target.checked)}
+                        disabled={isGeneratingAudiobook || disabled}
+                    />
+                    <span>Also build EPUB read-along</span>
+                </label>
+            </div>
+
             <div className="controls-row controls-buttons">
                 <button
                     className="control-btn resume-btn"
                     onClick={onGenerateAudiobook}
-                    disabled={isGeneratingAudiobook || isActive || disabled}
+                    disabled={
+                        isGeneratingAudiobook ||
+                        isActive ||
+                        disabled ||
+                        (audiobookScope === 'range' && !audiobookPageRange.trim())
+                    }
                 >
                     <span className="btn-icon">📚</span>
-                    <span>{isGeneratingAudiobook ? 'Generating Audiobook...' : 'Generate Full Audiobook'}</span>
+                    <span>
+                        {isGeneratingAudiobook
+                            ? 'Generating Audiobook...'
+                            : audiobookScope === 'all' ? 'Generate Full Audiobook' : 'Generate Audiobook'}
+                    </span>
                 </button>
+
+                {isGeneratingAudiobook && (
+                    <button
+                        className="control-btn stop-btn"
+                        onClick={onCancelAudiobook}
+                        disabled={audiobookJob?.cancelRequested}
+                    >
+                        <span className="btn-icon">⏹</span>
+                        <span>{audiobookJob?.cancelRequested ? 'Cancelling...' : 'Cancel'}</span>
+                    </button>
+                )}
             </div>
 
+            <div className="controls-row settings-row">
+                <label className="control-field">
+                    <span>Translation format</span>
+                    <select
+                        value={translationFormat}
+                        onChange={(e) => onTranslationFormatChange?.(e.target.value)}
+                        disabled={disabled}
+                    >
+                        <option value="docx">Word (DOCX)</option>
+                        <option value="pdf" disabled={!pdfAvailable}>
+                            {pdfAvailable ? 'PDF' : 'PDF (Latin-script languages only)'}
+                        </option>
+                        <option value="md">Markdown</option>
+                        <option value="txt">Plain text</option>
+                    </select>
+                </label>
+
+                {translationDownloadUrl && !disabled && (
+                    <a
+                        className="upload-new-btn"
+                        href={translationDownloadUrl}
+                        title="Translate the audiobook scope into the selected language and download it"
+                    >
+                        Download translation
+                    </a>
+                )}
+            </div>
+
+            {isGeneratingAudiobook && jobProgress && (
+                <div className="controls-row progress-info">
+                    <div className="chunk-progress">
+                        <div
+                            className="chunk-progress-bar"
+                            style={{ width: `${jobProgress.percent || 0}%` }}
+                        />
+                    </div>
+                    <span className="chunk-text">
+                        {audiobookJob.status === 'queued'
+                            ? 'Queued...'
+                            : `Page ${jobProgress.currentPage || 0} (${jobProgress.completedPages} / ${jobProgress.totalPages} done) — ${jobProgress.percent || 0}%`}
+                        {jobProgress.resumedChunks > 0 && ` • ${jobProgress.resumedChunks} resumed`}
+                        {formatEta(jobProgress.etaMs) && ` • ${formatEta(jobProgress.etaMs)}`}
+                    </span>
+                </div>
+            )}
+
+            {audiobookJob?.status === 'cancelled' && (
+                <div className="controls-row start-offset-info">
+                    <span className="chunk-text">Audiobook generation cancelled</span>
+                </div>
+            )}
+
+            {canResumeAudiobook && !isGeneratingAudiobook && (
+                <div className="controls-row controls-buttons">
+                    <button
+                        className="control-btn resume-btn"
+                        onClick={onResumeAudiobook}
+                        disabled={isActive || disabled}
+                    >
+                        <span className="btn-icon">↻</span>
+                        <span>
+                            Resume Audiobook ({jobProgress.completedChunks} / {jobProgress.totalChunks} chunks saved)
+                        </span>
+                    </button>
+                </div>
+            )}
+
             {audiobookUrl && (
                 <div className="controls-row">
                     <a className="upload-new-btn" href={audiobookUrl} target="_blank" rel="noreferrer">
                         Download Audiobook MP3
+                        {audiobookJob?.result?.selection && audiobookJob.result.selection !== 'Full book' &&
+                            ` — ${audiobookJob.result.selection}`}
+                        {audiobookJob?.result?.chapters?.length > 0 &&
+                            ` (${audiobookJob.result.chapters.length} chapters)`}
                     </a>
+                    {subtitleUrls && (
+                        <>
+                            <a className="upload-new-btn" href={subtitleUrls.srt} target="_blank" rel="noreferrer">
+                                Subtitles (SRT)
+                            </a>
+                            <a className="upload-new-btn" href={subtitleUrls.vtt} target="_blank" rel="noreferrer">
+                                Subtitles (WebVTT)
+                            </a>
+                        </>
+                    )}
+                    {epubUrl && (
+                        <a className="upload-new-btn" href={epubUrl} target="_blank" rel="noreferrer">
+                            Download EPUB (read-along)
+                        </a>
+                    )}
                 </div>
             )}
 
@@ -5,6 +5,103 @@ if (!pdfjs.GlobalWorkerOptions.workerSrc) {
     pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
 }
 
+const COVER_WIDTH = 600;
+
+async function resolveOutlinePageIndex(doc, dest) {
+    try {
+        const explicitDest = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+        if (!Array.isArray(explicitDest) || !explicitDest[0]) return -1;
+
+        const ref = explicitDest[0];
+        return typeof ref === 'object' ? await doc.getPageIndex(ref) : Number(ref);
+    } catch {
+        return -1;
+    }
+}
+
+async function extractOutline(doc) {
+    const outline = await doc.getOutline().catch(() => null);
+    if (!outline) return [];
+
+    const sections = [];
+    const walk = async (items, level) => {
+        for (const item of items) {
+            const pageIndex = await resolveOutlinePageIndex(doc, item.dest);
+            if (pageIndex >= 0 && item.title) {
+                sections.push({ title: item.title, pageIndex, level });
+            }
+            if (item.items?.length && level < 2) {
+                await walk(item.items, level + 1);
+            }
+        }
+    };
+
+    await walk(outline, 0);
+    return sections;
+}
+
+async function extractMetadata(doc) {
+    try {
+        const { info } = await doc.getMetadata();
+        return {
+            title: info?.Title || '',
+            author: info?.Author || '',
+        };
+    } catch {
+        return { title: '', author: '' };
+    }
+}
+
+async function renderCoverImage(doc) {
+    try {
+        const page = await doc.getPage(1);
+        const baseViewport = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: COVER_WIDTH / baseViewport.width });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+
+        await page.render({ canvas, viewport }).promise;
+        return canvas.toDataURL('image/jpeg', 0.8);
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Join pdf.js text items into page text. A vertical jump clearly larger than
+ * the line height starts a new paragraph ("\n\n"), which the server uses
+ * for paragraph pauses in audiobooks; everything else collapses to spaces.
+ */
+function joinTextItems(items) {
+    let text = '';
+    let lastY = null;
+    let lastHeight = 0;
+
+    for (const item of items) {
+        if (typeof item.str !== 'string') continue;
+        const y = item.transform?.[5];
+        const height = item.height || lastHeight;
+
+        if (lastY !== null && typeof y === 'number') {
+            const lineHeight = Math.max(height, lastHeight);
+            text += lineHeight > 0 && Math.abs(lastY - y) > lineHeight * 1.6 ? '\n\n' : ' ';
+        }
+        text += item.str;
+
+        if (typeof y === 'number' && item.str.trim()) {
+            lastY = y;
+            lastHeight = height;
+        }
+    }
+
+    return text
+        .split(/\n\n/)
+        .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
 async function extractPdfTextByPage(file) {
     const arrayBuffer = await file.arrayBuffer();
     const doc = await pdfjs.getDocument({ data: arrayBuffer }).promise;
@@ -13,18 +110,23 @@ async function extractPdfTextByPage(file) {
     for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
         const page = await doc.getPage(pageNumber);
         const textContent = await page.getTextContent();
-        const pageText = textContent.items
-            .map((item) => item.str || '')
-            .join(' ')
-            .replace(/\s+/g, ' ')
-            .trim();
+        const pageText = joinTextItems(textContent.items);
 
         pages.push(pageText);
     }
 
+    const [outline, metadata, cover] = await Promise.all([
+        extractOutline(doc),
+        extractMetadata(doc),
+        renderCoverImage(doc),
+    ]);
+
     return {
         pages,
         fullText: pages.filter(Boolean).join('\n\n'),
+        outline,
+        metadata,
+        cover,
     };
 }
 
@@ -61,7 +163,7 @@ export default function UploadSection({ onTextExtracted, isProcessing }) {
         setExtractionStatus('Extracting text from PDF...');
 
         try {
-            const { pages, fullText } = await extractPdfTextByPage(file);
+            const { pages, fullText, outline, metadata, cover } = await extractPdfTextByPage(file);
 
             if (!fullText || fullText.trim().length === 0) {
                 setError('Could not extract text. This might be a scanned PDF (image-based).');
@@ -73,6 +175,9 @@ export default function UploadSection({ onTextExtracted, isProcessing }) {
             onTextExtracted({
                 text: fullText,
                 pages,
+                outline,
+                metadata,
+                cover,
                 fileName: file.name,
                 file,
             });
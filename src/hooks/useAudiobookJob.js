@@ -0,0 +1,147 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { API_BASE, AUDIO_BASE } from '../config';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * useAudiobookJob
+ * ───────────────
+ * Starts a background audiobook job and follows its progress over SSE.
+ */
+export default function useAudiobookJob() {
+    const [job, setJob] = useState(null);
+    const [error, setError] = useState(null);
+    const eventSourceRef = useRef(null);
+
+    const closeEvents = useCallback(() => {
+        if (eventSourceRef.current) {
+            eventSourceRef.current.close();
+            eventSourceRef.current = null;
+        }
+    }, []);
+
+    useEffect(() => closeEvents, [closeEvents]);
+
+    const subscribe = useCallback((jobId) => {
+        closeEvents();
+
+        const source = new EventSource(`${API_BASE}/jobs/${jobId}/events`);
+        eventSourceRef.current = source;
+
+        source.onmessage = (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                if (!data.job) return;
+
+                setJob(data.job);
+                if (TERMINAL_STATUSES.includes(data.job.status)) {
+                    if (data.job.status === 'failed') {
+                        setError(data.job.error || 'Audiobook generation failed');
+                    }
+                    closeEvents();
+                }
+            } catch {
+                // Ignore malformed SSE event
+            }
+        };
+
+        source.onerror = () => {
+            // EventSource reconnects on its own; only give up once the job is gone.
+            if (source.readyState === EventSource.CLOSED) {
+                closeEvents();
+            }
+        };
+    }, [closeEvents]);
+
+    const launch = useCallback(async (url, init, fallbackMessage) => {
+        closeEvents();
+        setError(null);
+
+        try {
+            const response = await fetch(url, init);
+            const data = await response.json();
+
+            // 409 means a job is already running for this session — follow it instead.
+            if (response.status === 409 && data.job) {
+                setJob(data.job);
+                subscribe(data.job.id);
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(data.error || fallbackMessage);
+            }
+
+            setJob(data.job);
+            subscribe(data.jobId);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [closeEvents, subscribe]);
+
+    const start = useCallback((body) => {
+        setJob(null);
+        return launch(
+            `${API_BASE}/generate-book`,
+            {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            },
+            'Failed to generate audiobook'
+        );
+    }, [launch]);
+
+    const cancel = useCallback(async () => {
+        if (!job?.id) return;
+
+        try {
+            await fetch(`${API_BASE}/jobs/${job.id}/cancel`, { method: 'POST' });
+        } catch {
+            // Best effort cancel
+        }
+    }, [job?.id]);
+
+    const retry = useCallback(() => {
+        if (!job?.id) return;
+        return launch(
+            `${API_BASE}/jobs/${job.id}/retry`,
+            { method: 'POST' },
+            'Failed to resume audiobook'
+        );
+    }, [job?.id, launch]);
+
+    const reset = useCallback(() => {
+        closeEvents();
+        setJob(null);
+        setError(null);
+    }, [closeEvents]);
+
+    const isRunning = !!job && !TERMINAL_STATUSES.includes(job.status);
+    const canResume = (job?.status === 'failed' || job?.status === 'cancelled') &&
+        job.progress?.completedChunks > 0;
+    const audiobookUrl = job?.status === 'completed' && job.result?.audioUrl
+        ? `${AUDIO_BASE}${job.result.audioUrl}`
+        : '';
+    const subtitles = job?.status === 'completed' ? job.result?.subtitles : null;
+    const subtitleUrls = subtitles?.cues > 0
+        ? { srt: `${AUDIO_BASE}${subtitles.srtUrl}`, vtt: `${AUDIO_BASE}${subtitles.vttUrl}` }
+        : null;
+    const epubUrl = job?.status === 'completed' && job.result?.epubUrl
+        ? `${AUDIO_BASE}${job.result.epubUrl}`
+        : '';
+
+    return {
+        job,
+        error,
+        isRunning,
+        canResume,
+        audiobookUrl,
+        subtitleUrls,
+        epubUrl,
+        start,
+        cancel,
+        retry,
+        reset,
+    };
+}
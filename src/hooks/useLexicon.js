@@ -0,0 +1,76 @@
+import { useState, useCallback, useEffect } from 'react';
+import { API_BASE } from '../config';
+
+/**
+ * useLexicon
+ * ──────────
+ * Pronunciation lexicon entries for one language: the global list shared by
+ * every document and the current session's own list.
+ */
+export default function useLexicon(sessionId, language) {
+    const [entries, setEntries] = useState({ global: [], session: [] });
+    const [error, setError] = useState(null);
+
+    const baseUrl = useCallback(
+        (scope) => (scope === 'session' ? `${API_BASE}/session/${sessionId}/lexicon` : `${API_BASE}/lexicon`),
+        [sessionId]
+    );
+
+    const refresh = useCallback(async () => {
+        if (!sessionId || !language) return;
+
+        try {
+            const query = `?language=${encodeURIComponent(language)}`;
+            const [globalResponse, sessionResponse] = await Promise.all([
+                fetch(`${baseUrl('global')}${query}`),
+                fetch(`${baseUrl('session')}${query}`),
+            ]);
+            const [globalData, sessionData] = await Promise.all([globalResponse.json(), sessionResponse.json()]);
+            setEntries({ global: globalData.entries || [], session: sessionData.entries || [] });
+        } catch {
+            setError('Could not load the pronunciation lexicon');
+        }
+    }, [sessionId, language, baseUrl]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const request = useCallback(async (url, method, body) => {
+        setError(null);
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined,
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Lexicon update failed');
+            await refresh();
+            return true;
+        } catch (err) {
+            setError(err.message);
+            return false;
+        }
+    }, [refresh]);
+
+    /**
+     * Create (no id) or update an entry
+     * @param {'global'|'session'} scope
+     * @param {{ id?: string, written: string, spoken?: string, phoneme?: string }} entry
+     */
+    const saveEntry = useCallback((scope, entry) => {
+        const { id, ...fields } = entry;
+        const body = { ...fields, language };
+        return id
+            ? request(`${baseUrl(scope)}/${id}`, 'PUT', body)
+            : request(baseUrl(scope), 'POST', body);
+    }, [language, baseUrl, request]);
+
+    const deleteEntry = useCallback(
+        (scope, entryId) => request(`${baseUrl(scope)}/${entryId}`, 'DELETE'),
+        [baseUrl, request]
+    );
+
+    return { entries, error, saveEntry, deleteEntry };
+}
@@ -1,6 +1,20 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { API_BASE, AUDIO_BASE } from '../config';
 
+function toChunkTextInfo(chunk, pageText) {
+    return {
+        originalText: chunk.originalText,
+        spokenText: chunk.spokenText,
+        charStart: chunk.charStart,
+        charEnd: chunk.charEnd,
+        translated: chunk.translated,
+        transliteratedText: chunk.transliteratedText || null,
+        wordOffsets: chunk.wordOffsets,
+        sentences: chunk.sentences || [],
+        pageText,
+    };
+}
+
 export default function useStreamingAudio() {
     const [state, setState] = useState('idle');
     const [currentChunkIndex, setCurrentChunkIndex] = useState(-1);
@@ -24,6 +38,8 @@ export default function useStreamingAudio() {
     const pendingPageDoneRef = useRef(null);
     const totalChunksRef = useRef(0);
     const lastPlayedChunkRef = useRef(-1);
+    const pageTextRef = useRef('');
+    const currentChunkRef = useRef(null);
 
     useEffect(() => {
         stateRef.current = state;
@@ -61,6 +77,7 @@ export default function useStreamingAudio() {
         pendingPageDoneRef.current = null;
         totalChunksRef.current = 0;
         lastPlayedChunkRef.current = -1;
+        currentChunkRef.current = null;
     }, [clearIdleResetTimer]);
 
     useEffect(() => cleanup, [cleanup]);
@@ -106,16 +123,11 @@ export default function useStreamingAudio() {
         }
 
         const chunk = queue.shift();
+        currentChunkRef.current = chunk;
         lastPlayedChunkRef.current = chunk.chunkIndex;
         setCurrentChunkIndex(chunk.chunkIndex);
         setWordTimings(chunk.wordTimings || []);
-        setChunkTextInfo({
-            originalText: chunk.originalText,
-            spokenText: chunk.spokenText,
-            charStart: chunk.charStart,
-            charEnd: chunk.charEnd,
-            translated: chunk.translated,
-        });
+        setChunkTextInfo(toChunkTextInfo(chunk, pageTextRef.current));
 
         if (audioRef.current) {
             audioRef.current.pause();
@@ -140,6 +152,12 @@ export default function useStreamingAudio() {
         };
 
         audio.onerror = () => {
+            // A directly streamed chunk restarts when the server retries its
+            // synthesis; fetch it once more before giving up on it
+            if (chunk.live && !chunk.retried) {
+                chunk.retried = true;
+                chunkQueueRef.current.unshift(chunk);
+            }
             playNextChunkRef.current?.();
         };
 
@@ -173,7 +191,13 @@ export default function useStreamingAudio() {
 
             const playbackOptions = {
                 speed: Number(options.speed) || 1,
+                pitch: Number(options.pitch) || 0,
+                volume: Number(options.volume) || 0,
                 voiceGender: options.voiceGender || 'female',
+                voice: options.voice || undefined,
+                narration: options.narration || undefined,
+                transliteration: options.transliteration || undefined,
+                audioDelivery: options.audioDelivery || 'file',
             };
 
             try {
@@ -228,12 +252,41 @@ export default function useStreamingAudio() {
 
                             if (data.type === 'stream-start') {
                                 setTotalChunks(data.totalChunks || 0);
+                                pageTextRef.current = data.pageText || '';
                                 totalChunksRef.current = data.totalChunks || 0;
                                 setDetectedLanguage(data.detectedLanguage || null);
                                 setNeedsTranslation(!!data.needsTranslation);
                             }
 
-                            if (data.type === 'chunk-ready') {
+                            // Direct delivery: the chunk can play while it is being
+                            // synthesized; its timings follow in chunk-ready
+                            if (data.type === 'chunk-start') {
+                                chunkQueueRef.current.push({ ...data, wordTimings: [], live: true });
+
+                                if (isFirstChunk) {
+                                    isFirstChunk = false;
+                                    playNextChunkRef.current?.();
+                                }
+
+                                if (!isPlayingRef.current && stateRef.current !== 'paused') {
+                                    playNextChunkRef.current?.();
+                                }
+                            }
+
+                            const startedChunk = data.type === 'chunk-ready'
+                                && [currentChunkRef.current, ...chunkQueueRef.current]
+                                    .find((chunk) => chunk?.live && chunk.chunkIndex === data.chunkIndex);
+                            if (startedChunk) {
+                                Object.assign(startedChunk, data);
+                                if (startedChunk === currentChunkRef.current) {
+                                    setWordTimings(data.wordTimings || []);
+                                    setChunkTextInfo(toChunkTextInfo(startedChunk, pageTextRef.current));
+                                    if (audioRef.current && !audioRef.current.paused) {
+                                        if (wordTimerRef.current) cancelAnimationFrame(wordTimerRef.current);
+                                        startWordTracking(data.wordTimings || []);
+                                    }
+                                }
+                            } else if (data.type === 'chunk-ready' && data.chunkIndex > lastPlayedChunkRef.current) {
                                 chunkQueueRef.current.push(data);
 
                                 if (isFirstChunk) {
@@ -294,7 +347,7 @@ export default function useStreamingAudio() {
                 }
             }
         },
-        [cleanup, clearIdleResetTimer]
+        [cleanup, clearIdleResetTimer, startWordTracking]
     );
 
     const pause = useCallback(() => {
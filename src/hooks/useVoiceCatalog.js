@@ -0,0 +1,72 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { API_BASE } from '../config';
+
+/**
+ * useVoiceCatalog
+ * ───────────────
+ * Loads the server's voices for a language (grouped by locale) and plays
+ * short previews so voices can be auditioned before reading.
+ */
+export default function useVoiceCatalog(language) {
+    const [locales, setLocales] = useState([]);
+    const [previewingVoice, setPreviewingVoice] = useState(null);
+    const previewAudioRef = useRef(null);
+
+    useEffect(() => {
+        if (!language) return undefined;
+
+        const abortController = new AbortController();
+
+        fetch(`${API_BASE}/voices?language=${encodeURIComponent(language)}`, { signal: abortController.signal })
+            .then((response) => (response.ok ? response.json() : { locales: [] }))
+            .then((data) => setLocales(data.locales || []))
+            .catch((err) => {
+                if (err.name !== 'AbortError') setLocales([]);
+            });
+
+        return () => abortController.abort();
+    }, [language]);
+
+    const stopPreview = useCallback(() => {
+        if (previewAudioRef.current) {
+            previewAudioRef.current.pause();
+            previewAudioRef.current = null;
+        }
+        setPreviewingVoice(null);
+    }, []);
+
+    useEffect(() => stopPreview, [stopPreview]);
+
+    /**
+     * @param {{ voice?: string, voiceGender?: string, speed?: number, pitch?: number, volume?: number }} options
+     */
+    const preview = useCallback((options) => {
+        stopPreview();
+
+        const params = new URLSearchParams({
+            language,
+            speed: String(options.speed || 1),
+            pitch: String(options.pitch || 0),
+            volume: String(options.volume || 0),
+        });
+        if (options.voice) params.set('voice', options.voice);
+        if (options.voiceGender) params.set('voiceGender', options.voiceGender);
+
+        const audio = new Audio(`${API_BASE}/voices/preview?${params}`);
+        const previewKey = options.voice || options.voiceGender || 'default';
+        previewAudioRef.current = audio;
+        setPreviewingVoice(previewKey);
+
+        const finish = () => {
+            if (previewAudioRef.current === audio) {
+                previewAudioRef.current = null;
+                setPreviewingVoice(null);
+            }
+        };
+        audio.onended = finish;
+        audio.onerror = finish;
+        audio.play().catch(finish);
+    }, [language, stopPreview]);
+
+    return { locales, previewingVoice, preview, stopPreview };
+}
@@ -1,8 +1,36 @@
 import { useState, useCallback, useRef } from 'react';
 
+/**
+ * Page-text range covered by each text-layer span
+ * pdf.js spans are the page's text items; the page text joins them with
+ * spaces/paragraph breaks, so each span is located by searching forward.
+ * Without the page text, spans are assumed to be back to back.
+ */
+function getSpanRanges(spans, pageText) {
+    const ranges = [];
+    let cursor = 0;
+
+    for (const span of spans) {
+        const text = span.textContent || '';
+        if (!pageText) {
+            ranges.push({ span, start: cursor, end: cursor + text.length });
+            cursor += text.length;
+            continue;
+        }
+
+        const core = text.replace(/\s+/g, ' ').trim();
+        const index = core ? pageText.indexOf(core, cursor) : -1;
+        if (index < 0) continue;
+        ranges.push({ span, start: index, end: index + core.length });
+        cursor = index + core.length;
+    }
+    return ranges;
+}
+
 export default function useWordHighlight(containerRef) {
     const [highlightedRange, setHighlightedRange] = useState(null);
     const lastHighlightRef = useRef(null);
+    const spanRangesRef = useRef({ spans: null, pageText: null, ranges: [] });
 
     const clearHighlight = useCallback(() => {
         setHighlightedRange(null);
@@ -13,6 +41,22 @@ export default function useWordHighlight(containerRef) {
         lastHighlightRef.current = null;
     }, [containerRef]);
 
+    const getRanges = useCallback((spans, pageText) => {
+        const cached = spanRangesRef.current;
+        const sameSpans = cached.spans?.length === spans.length && cached.spans[0] === spans[0];
+        if (!sameSpans || cached.pageText !== pageText) {
+            spanRangesRef.current = { spans, pageText, ranges: getSpanRanges(spans, pageText) };
+        }
+        return spanRangesRef.current.ranges;
+    }, []);
+
+    /**
+     * Highlight the word being spoken
+     * Words carry exact offsets from the server: into the page text
+     * (`wordOffsets: 'page'`) or into the translated text ('spoken'). Translated
+     * words are placed on the page proportionally, and their exact range is
+     * exposed as `highlightedRange.spokenStart/spokenEnd` for the translation panel.
+     */
     const highlightWord = useCallback(
         (wordIndex, wordTimings, chunkInfo) => {
             if (!containerRef?.current || wordIndex < 0 || !wordTimings?.length || !chunkInfo) {
@@ -23,48 +67,51 @@ export default function useWordHighlight(containerRef) {
             const currentWord = wordTimings[wordIndex];
             if (!currentWord) return;
 
-            const { charStart = 0, charEnd = charStart } = chunkInfo;
+            const { charStart = 0, charEnd = charStart, wordOffsets, spokenText = '' } = chunkInfo;
             const chunkLength = Math.max(1, charEnd - charStart);
-            const progress =
-                wordTimings.length <= 1
-                    ? 0
-                    : Math.max(0, Math.min(1, wordIndex / (wordTimings.length - 1)));
-            const targetChar = charStart + Math.floor(progress * chunkLength);
+            const hasOffsets = Number.isInteger(currentWord.charStart) && Number.isInteger(currentWord.charEnd);
+
+            let target;
+            if (hasOffsets && wordOffsets === 'page') {
+                target = { start: currentWord.charStart, end: Math.max(currentWord.charEnd, currentWord.charStart + 1) };
+            } else {
+                const progress = hasOffsets && wordOffsets === 'spoken'
+                    ? currentWord.charStart / Math.max(1, spokenText.length)
+                    : wordTimings.length <= 1 ? 0 : wordIndex / (wordTimings.length - 1);
+                const char = charStart + Math.floor(Math.max(0, Math.min(1, progress)) * chunkLength);
+                target = { start: char, end: char + 1 };
+            }
 
             setHighlightedRange({
                 wordIndex,
                 word: currentWord.part?.trim(),
                 startMs: currentWord.start,
                 endMs: currentWord.end,
-                char: targetChar,
+                char: target.start,
+                charEnd: target.end,
+                spokenStart: hasOffsets && wordOffsets === 'spoken' ? currentWord.charStart : null,
+                spokenEnd: hasOffsets && wordOffsets === 'spoken' ? currentWord.charEnd : null,
             });
 
             const container = containerRef.current;
             const prevHighlights = container.querySelectorAll('.word-highlight');
             prevHighlights.forEach((el) => el.classList.remove('word-highlight'));
 
-            const textSpans = container.querySelectorAll('.react-pdf__Page__textContent span');
+            const textSpans = [...container.querySelectorAll('.react-pdf__Page__textContent span')];
             if (textSpans.length === 0) return;
 
-            let runningCharCount = 0;
-            for (const span of textSpans) {
-                const text = span.textContent || '';
-                const spanStart = runningCharCount;
-                const spanEnd = spanStart + text.length;
-
-                if (targetChar >= spanStart && targetChar < spanEnd) {
-                    span.classList.add('word-highlight');
-                    if (lastHighlightRef.current !== span) {
-                        span.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                        lastHighlightRef.current = span;
-                    }
-                    break;
-                }
-
-                runningCharCount = spanEnd;
+            const matches = getRanges(textSpans, chunkInfo.pageText || '')
+                .filter((range) => range.start < target.end && range.end > target.start);
+            if (matches.length === 0) return;
+
+            matches.forEach(({ span }) => span.classList.add('word-highlight'));
+            const firstSpan = matches[0].span;
+            if (lastHighlightRef.current !== firstSpan) {
+                firstSpan.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                lastHighlightRef.current = firstSpan;
             }
         },
-        [containerRef, clearHighlight]
+        [containerRef, clearHighlight, getRanges]
     );
 
     return {